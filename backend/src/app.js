@@ -7,6 +7,11 @@ const rateLimit = require('express-rate-limit');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const jobRoutes = require('./routes/jobs');
+const notificationRoutes = require('./routes/notifications');
+const secretRoutes = require('./routes/secrets');
+const scheduleRoutes = require('./routes/schedule');
+const delayedRoutes = require('./routes/delayed');
+const pingRoutes = require('./routes/ping');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -34,7 +39,9 @@ const limiter = rateLimit({
   max: 100, // 100 requests per window
   message: { error: 'Too many requests from this IP, please try again later.' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Delayed calls have their own per-user limit
+  skip: (req) => req.path.startsWith('/delayed')
 });
 
 app.use('/api', limiter);
@@ -103,7 +110,12 @@ app.get('/', (req, res) => {
       keepAlive: '/keep-alive',
       auth: '/api/auth/*',
       users: '/api/users/*',
-      jobs: '/api/jobs/*'
+      jobs: '/api/jobs/*',
+      notifications: '/api/notifications/*',
+      secrets: '/api/secrets/*',
+      schedule: '/api/schedule/*',
+      delayed: '/api/delayed',
+      ping: '/ping/:token'
     }
   });
 });
@@ -112,6 +124,13 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/secrets', secretRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/delayed', delayedRoutes);
+
+// Inbound pings from heartbeat monitors (public, authenticated by token)
+app.use('/ping', pingRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -133,7 +152,25 @@ app.use((req, res) => {
       'POST /api/jobs',
       'GET /api/jobs/:id',
       'PUT /api/jobs/:id',
-      'DELETE /api/jobs/:id'
+      'DELETE /api/jobs/:id',
+      'POST /api/jobs/:id/executions/:executionId/cancel',
+      'GET /api/jobs/:id/executions/:executionId/artifacts',
+      'GET /api/jobs/:id/executions/:executionId/artifacts/:artifactId',
+      'POST /api/jobs/:id/signing-secret/rotate',
+      'GET /api/notifications/channels',
+      'POST /api/notifications/channels',
+      'PUT /api/notifications/channels/:id',
+      'DELETE /api/notifications/channels/:id',
+      'POST /api/notifications/channels/:id/test',
+      'GET /api/notifications/logs',
+      'GET /api/secrets',
+      'POST /api/secrets',
+      'PUT /api/secrets/:id',
+      'DELETE /api/secrets/:id',
+      'POST /api/delayed',
+      'POST /ping/:token',
+      'POST /ping/:token/start',
+      'POST /ping/:token/fail'
     ]
   });
 });
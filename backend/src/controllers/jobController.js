@@ -1,22 +1,321 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../models');
 const { 
   validateCronJobCreation, 
   validateCronJobUpdate, 
+  validateDelayedCall,
   validatePagination,
+  validateSigningSecretRotation,
   sanitizeInput 
 } = require('../utils/validation');
 const { 
-  validateCronExpression, 
-  parseCronExpression, 
-  getNextExecutionTime 
+  SCHEDULE_TYPES,
+  describeSchedule, 
+  getNextExecutionTime,
+  resolveRunAt
 } = require('../utils/cronUtils');
 const { 
   ValidationError, 
   NotFoundError,
-  AuthorizationError 
+  AuthorizationError,
+  ConflictError
 } = require('../middleware/errorHandler');
+const { getReferencedSecrets, getJobTemplates } = require('../utils/template');
+const { generateSigningSecret } = require('../utils/requestSigning');
+const heartbeatMonitor = require('../services/heartbeatMonitor');
+const artifactStore = require('../services/artifactStore');
 const logger = require('../utils/logger');
 
+/**
+ * Make sure every notification channel referenced by a job belongs to the user
+ */
+const assertChannelsOwned = async (userId, notifications) => {
+  const channelIds = notifications.map(notification => notification.channelId);
+  if (channelIds.length === 0) return;
+
+  const ownedCount = await prisma.notificationChannel.count({
+    where: {
+      id: { in: channelIds },
+      user_id: userId
+    }
+  });
+
+  if (ownedCount !== channelIds.length) {
+    throw new ValidationError('One or more notification channels were not found');
+  }
+};
+
+/**
+ * Replace the notification channels attached to a job
+ */
+const replaceJobNotifications = async (jobId, notifications) => {
+  await prisma.$transaction([
+    prisma.jobNotification.deleteMany({ where: { job_id: jobId } }),
+    prisma.jobNotification.createMany({
+      data: notifications.map(notification => ({
+        job_id: jobId,
+        channel_id: notification.channelId,
+        on_failure: notification.onFailure,
+        failure_threshold: notification.failureThreshold,
+        on_recovery: notification.onRecovery,
+        digest: notification.digest
+      }))
+    })
+  ]);
+};
+
+// Auth and proxy fields that hold credentials; literal values are never sent back to the client
+const AUTH_CREDENTIAL_FIELDS = ['password', 'token', 'clientSecret', 'value', 'secret'];
+const PROXY_CREDENTIAL_FIELDS = ['username', 'password'];
+
+/**
+ * Hide literal credentials in an object, keeping {{secret.NAME}} references visible
+ */
+const maskCredentials = (values, fields) => {
+  const masked = { ...values };
+  for (const field of fields) {
+    if (masked[field] && getReferencedSecrets([masked[field]]).length === 0) {
+      masked[field] = '********';
+    }
+  }
+  return masked;
+};
+
+/**
+ * Hide credentials in a job's auth block
+ */
+const maskAuth = auth => (auth ? maskCredentials(auth, AUTH_CREDENTIAL_FIELDS) : auth);
+
+/**
+ * Hide the proxy credentials in a job's transport settings
+ */
+const maskTransport = (transport) => {
+  if (!transport || !transport.proxy) return transport;
+  return { ...transport, proxy: maskCredentials(transport.proxy, PROXY_CREDENTIAL_FIELDS) };
+};
+
+/**
+ * Replace a job's stored signing secrets with a summary that is safe to return
+ */
+const withSigningSummary = ({
+  signing_secret: signingSecret,
+  previous_signing_secret: previousSigningSecret,
+  previous_signing_secret_expires_at: previousExpiresAt,
+  ...job
+}) => ({
+  ...job,
+  signing: {
+    enabled: Boolean(signingSecret),
+    previousSecretExpiresAt: previousSigningSecret && previousExpiresAt > new Date() ? previousExpiresAt : null
+  }
+});
+
+/**
+ * Add the public ping URL to heartbeat monitors
+ */
+const withPingUrl = (req, job) => {
+  if (!job.ping_token) return job;
+
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return { ...job, pingUrl: `${baseUrl}/ping/${job.ping_token}` };
+};
+
+/**
+ * Shape a job record for a response: signing summary, ping URL, masked
+ * credentials and a readable schedule
+ */
+const toJobResponse = (req, job) => ({
+  ...withPingUrl(req, withSigningSummary(job)),
+  auth: maskAuth(job.auth),
+  transport: maskTransport(job.transport),
+  cronDescription: describeSchedule(job, job.timezone)
+});
+
+/**
+ * Make sure every {{secret.NAME}} a job references exists for the user
+ */
+const assertSecretsExist = async (userId, job) => {
+  const secretNames = getReferencedSecrets(getJobTemplates(job));
+  if (secretNames.length === 0) return;
+
+  const secrets = await prisma.secret.findMany({
+    where: {
+      user_id: userId,
+      name: { in: secretNames }
+    },
+    select: { name: true }
+  });
+
+  const foundNames = secrets.map(secret => secret.name);
+  const missingNames = secretNames.filter(name => !foundNames.includes(name));
+
+  if (missingNames.length > 0) {
+    throw new ValidationError(`Unknown secret(s): ${missingNames.join(', ')}`);
+  }
+};
+
+/**
+ * Make sure every downstream job belongs to the user
+ */
+const assertDownstreamJobsOwned = async (userId, downstream) => {
+  const jobIds = downstream.map(link => link.jobId);
+  if (jobIds.length === 0) return;
+
+  // Heartbeat monitors only run when pinged, so they cannot be chained to
+  const ownedCount = await prisma.cronJob.count({
+    where: {
+      id: { in: jobIds },
+      user_id: userId,
+      type: 'http',
+      status: { not: 'deleted' }
+    }
+  });
+
+  if (ownedCount !== jobIds.length) {
+    throw new ValidationError('One or more downstream jobs were not found or are heartbeat monitors');
+  }
+};
+
+/**
+ * Reject downstream links that would lead back to the job itself
+ */
+const assertNoChainCycle = async (userId, jobId, downstream) => {
+  if (downstream.some(link => link.jobId === jobId)) {
+    throw new ValidationError('A job cannot be its own downstream job');
+  }
+
+  // Every other link between the user's jobs; this job's own links are being replaced
+  const links = await prisma.jobLink.findMany({
+    where: {
+      upstream: { user_id: userId },
+      upstream_job_id: { not: jobId }
+    },
+    select: { upstream_job_id: true, downstream_job_id: true }
+  });
+
+  const graph = new Map();
+  for (const link of links) {
+    graph.set(link.upstream_job_id, [...(graph.get(link.upstream_job_id) || []), link.downstream_job_id]);
+  }
+
+  for (const { jobId: startId } of downstream) {
+    const visited = new Set();
+    const stack = [startId];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === jobId) {
+        throw new ValidationError(`Downstream job ${startId} leads back to this job, which would create a cycle`);
+      }
+      if (visited.has(current)) continue;
+
+      visited.add(current);
+      stack.push(...(graph.get(current) || []));
+    }
+  }
+};
+
+/**
+ * Replace the downstream jobs linked to a job
+ */
+const replaceJobLinks = async (jobId, downstream) => {
+  await prisma.$transaction([
+    prisma.jobLink.deleteMany({ where: { upstream_job_id: jobId } }),
+    prisma.jobLink.createMany({
+      data: downstream.map(link => ({
+        upstream_job_id: jobId,
+        downstream_job_id: link.jobId,
+        condition: link.on
+      }))
+    })
+  ]);
+};
+
+// Schedule types each schedule field of an update applies to, and what to say when it does not
+const SCHEDULE_FIELD_TYPES = {
+  cronExpression: { types: ['cron'], message: 'Cron expression is only used by cron schedules' },
+  rrule: { types: ['rrule'], message: 'Recurrence rules are only used by rrule schedules' },
+  intervalSeconds: { types: ['interval', 'fixed_delay'], message: 'Only interval and fixed-delay schedules take an interval' },
+  anchorTime: { types: ['interval'], message: 'Only interval schedules take an anchor time' },
+  runAt: { types: ['once'], message: 'Only one-time jobs take a run time' }
+};
+
+/**
+ * Work out a job's schedule fields after an update. Fields left out keep
+ * their current values, as far as they still apply to the schedule type.
+ * @returns {Object} { schedule_type, cron_expression, rrule, interval_seconds, schedule_anchor, run_at }
+ */
+const resolveScheduleUpdate = (existingJob, value) => {
+  const scheduleType = value.scheduleType || existingJob.schedule_type;
+  const typeChanged = scheduleType !== existingJob.schedule_type;
+
+  for (const [field, { types, message }] of Object.entries(SCHEDULE_FIELD_TYPES)) {
+    if (value[field] !== undefined && value[field] !== null && !types.includes(scheduleType)) {
+      throw new ValidationError(message, field);
+    }
+  }
+
+  const schedule = {
+    schedule_type: scheduleType,
+    cron_expression: null,
+    rrule: null,
+    interval_seconds: null,
+    schedule_anchor: null,
+    run_at: null
+  };
+
+  if (scheduleType === 'cron') {
+    schedule.cron_expression = value.cronExpression || (typeChanged ? null : existingJob.cron_expression);
+    if (!schedule.cron_expression) {
+      throw new ValidationError('Cron expression is required', 'cronExpression');
+    }
+  } else if (scheduleType === 'rrule') {
+    schedule.rrule = value.rrule || (typeChanged ? null : existingJob.rrule);
+    if (!schedule.rrule) {
+      throw new ValidationError('Recurrence rule is required', 'rrule');
+    }
+  } else if (scheduleType === 'once') {
+    schedule.run_at = value.runAt
+      ? resolveRunAt(value.runAt, value.timezone || existingJob.timezone)
+      : (typeChanged ? null : existingJob.run_at);
+    if (!schedule.run_at) {
+      throw new ValidationError('Run time is required for one-time jobs', 'runAt');
+    }
+  } else {
+    // Interval and fixed-delay schedules can trade their interval between them
+    schedule.interval_seconds = value.intervalSeconds || existingJob.interval_seconds;
+    if (!schedule.interval_seconds) {
+      throw new ValidationError('Interval is required for interval and fixed-delay schedules', 'intervalSeconds');
+    }
+  }
+
+  if (scheduleType === 'interval') {
+    // Without an anchor of its own, an interval counts from now
+    const anchor = value.anchorTime !== undefined ? value.anchorTime : (typeChanged ? null : existingJob.schedule_anchor);
+    schedule.schedule_anchor = anchor || new Date();
+  }
+
+  return schedule;
+};
+
+/**
+ * Error for a schedule with no runs left: a recurrence that has run its
+ * course or a one-time run in the past
+ */
+const noRunsLeftError = (scheduleType) => (
+  scheduleType === 'once'
+    ? new ValidationError('Run time must be in the future', 'runAt')
+    : new ValidationError('Recurrence rule has no runs after now', 'rrule')
+);
+
+/**
+ * Next execution of a job being resumed. A one-time job whose run time
+ * passed while it was paused runs straight away.
+ */
+const getResumedExecutionTime = (job) => (
+  getNextExecutionTime(job, job.timezone) || (job.schedule_type === 'once' ? new Date() : null)
+);
+
 /**
  * Create a new cron job
  */
@@ -30,37 +329,115 @@ const createJob = async (req, res) => {
     throw new ValidationError(error.details[0].message);
   }
 
-  const { name, url, method, cronExpression, timezone, headers, body, description } = value;
+  const {
+    name,
+    type,
+    url,
+    method,
+    scheduleType,
+    cronExpression,
+    rrule,
+    intervalSeconds,
+    anchorTime,
+    runAt,
+    timezone,
+    headers,
+    body,
+    description,
+    retryPolicy,
+    timeoutMs,
+    maxResponseBytes,
+    archivePolicy,
+    archiveMaxBytes,
+    assertions,
+    steps,
+    notifications,
+    misfirePolicy,
+    misfireMaxRuns,
+    concurrencyPolicy,
+    downstream,
+    auth,
+    transport,
+    signRequests,
+    gracePeriodMs
+  } = value;
+
+  await assertSecretsExist(req.user.id, { url, headers, body, auth, steps, transport });
+
+  if (notifications) {
+    await assertChannelsOwned(req.user.id, notifications);
+  }
 
-  // Validate cron expression
-  const cronValidation = validateCronExpression(cronExpression);
-  if (!cronValidation.isValid) {
-    throw new ValidationError(`Invalid cron expression: ${cronValidation.error}`);
+  // A new job has no upstream links yet, so it cannot close a cycle
+  if (downstream) {
+    await assertDownstreamJobsOwned(req.user.id, downstream);
   }
 
+  const schedule = {
+    schedule_type: scheduleType,
+    cron_expression: scheduleType === 'cron' ? cronExpression.trim() : null,
+    rrule: scheduleType === 'rrule' ? rrule : null,
+    interval_seconds: ['interval', 'fixed_delay'].includes(scheduleType) ? intervalSeconds : null,
+    // An interval without an anchor counts from when the job was created
+    schedule_anchor: scheduleType === 'interval' ? anchorTime || new Date() : null,
+    run_at: scheduleType === 'once' ? resolveRunAt(runAt, timezone) : null
+  };
+
   // Calculate next execution time
-  const nextExecution = getNextExecutionTime(cronExpression, timezone);
+  const nextExecution = getNextExecutionTime(schedule, timezone);
+  if (!nextExecution) {
+    throw noRunsLeftError(scheduleType);
+  }
+
+  // The plaintext signing secret is only ever returned in this response
+  const signing = signRequests ? generateSigningSecret() : null;
 
   // Create the job
   const job = await prisma.cronJob.create({
     data: {
       user_id: req.user.id,
       name: name.trim(),
-      url: url.trim(),
-      method: method.toUpperCase(),
-      cron_expression: cronExpression.trim(),
+      type,
+      // Multi-step jobs show their first step's URL and method
+      url: steps ? steps[0].url.trim() : url ? url.trim() : null,
+      method: steps ? steps[0].method : method.toUpperCase(),
+      ...schedule,
       timezone: timezone || 'UTC',
       headers: headers || {},
       body: body || null,
       next_execution: nextExecution,
-      description: description || null
+      description: description || null,
+      retry_policy: retryPolicy || Prisma.DbNull,
+      timeout_ms: timeoutMs,
+      max_response_bytes: maxResponseBytes,
+      archive_policy: archivePolicy,
+      archive_max_bytes: archiveMaxBytes,
+      assertions: assertions || Prisma.DbNull,
+      steps: steps || Prisma.DbNull,
+      misfire_policy: misfirePolicy,
+      misfire_max_runs: misfireMaxRuns,
+      concurrency_policy: concurrencyPolicy,
+      auth: auth || Prisma.DbNull,
+      transport: transport || Prisma.DbNull,
+      signing_secret: signing ? signing.encrypted : null,
+      ...(type === 'heartbeat' && {
+        ping_token: heartbeatMonitor.generatePingToken(),
+        grace_period_ms: gracePeriodMs,
+        monitor_status: 'new'
+      })
     },
     select: {
       id: true,
       name: true,
+      type: true,
       url: true,
       method: true,
+      schedule_type: true,
       cron_expression: true,
+      rrule: true,
+      interval_seconds: true,
+      schedule_anchor: true,
+      run_at: true,
       timezone: true,
       headers: true,
       body: true,
@@ -71,23 +448,43 @@ const createJob = async (req, res) => {
       next_execution: true,
       created_at: true,
       updated_at: true,
-      description: true
+      description: true,
+      retry_policy: true,
+      timeout_ms: true,
+      max_response_bytes: true,
+      archive_policy: true,
+      archive_max_bytes: true,
+      assertions: true,
+      steps: true,
+      misfire_policy: true,
+      misfire_max_runs: true,
+      concurrency_policy: true,
+      auth: true,
+      transport: true,
+      signing_secret: true,
+      previous_signing_secret: true,
+      previous_signing_secret_expires_at: true,
+      ping_token: true,
+      grace_period_ms: true,
+      monitor_status: true,
+      last_ping_at: true
     }
   });
 
-  // Add the job to the worker scheduler
-  try {
-    const jobWorker = require('../services/jobWorker');
-    await jobWorker.addJob(job.id);
-  } catch (error) {
-    logger.error('Failed to add job to scheduler:', error);
-    // Don't fail the creation, just log the error
+  if (notifications && notifications.length > 0) {
+    await replaceJobNotifications(job.id, notifications);
+  }
+
+  if (downstream && downstream.length > 0) {
+    await replaceJobLinks(job.id, downstream);
   }
 
   logger.info('Cron job created', {
     userId: req.user.id,
     jobId: job.id,
     jobName: job.name,
+    type: job.type,
+    scheduleType: job.schedule_type,
     cronExpression: job.cron_expression
   });
 
@@ -95,12 +492,73 @@ const createJob = async (req, res) => {
     success: true,
     message: 'Cron job created successfully',
     data: {
-      job: {
-        ...job,
-        cronDescription: parseCronExpression(job.cron_expression)
-      }
+      job: toJobResponse(req, job),
+      ...(signing && { signingSecret: signing.secret })
+    }
+  });
+};
+
+/**
+ * Schedule a single HTTP call at a time or after a delay. The call is a
+ * one-time job, kept as completed with its execution once it has run.
+ */
+const createDelayedCall = async (req, res) => {
+  const { error, value } = validateDelayedCall(sanitizeInput(req.body));
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const { name, url, method, runAt, delaySeconds, timezone, headers, body, retryPolicy, timeoutMs } = value;
+
+  const runTime = runAt !== undefined
+    ? resolveRunAt(runAt, timezone)
+    : new Date(Date.now() + delaySeconds * 1000);
+  if (runAt !== undefined && runTime <= new Date()) {
+    throw noRunsLeftError('once');
+  }
+
+  await assertSecretsExist(req.user.id, { url, headers, body });
+
+  const job = await prisma.cronJob.create({
+    data: {
+      user_id: req.user.id,
+      name: name || `Delayed ${method} ${url.trim()}`.slice(0, 100),
+      url: url.trim(),
+      method,
+      schedule_type: 'once',
+      run_at: runTime,
+      timezone,
+      headers,
+      body: body || null,
+      next_execution: runTime,
+      retry_policy: retryPolicy || Prisma.DbNull,
+      timeout_ms: timeoutMs,
+      // A call that was due while no worker was up still goes out
+      misfire_policy: 'run_once'
+    },
+    select: {
+      id: true,
+      name: true,
+      url: true,
+      method: true,
+      run_at: true,
+      timezone: true,
+      status: true,
+      created_at: true
     }
   });
+
+  logger.info('Delayed call scheduled', {
+    userId: req.user.id,
+    jobId: job.id,
+    runAt: job.run_at
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Delayed call scheduled successfully',
+    data: { job }
+  });
 };
 
 /**
@@ -120,13 +578,22 @@ const getJobs = async (req, res) => {
   const where = { user_id: req.user.id };
   
   // Add status filter if provided
-  if (req.query.status && ['active', 'paused', 'deleted'].includes(req.query.status)) {
+  if (req.query.status && ['active', 'paused', 'completed', 'deleted'].includes(req.query.status)) {
     where.status = req.query.status;
   } else {
     // By default, exclude deleted jobs
     where.status = { not: 'deleted' };
   }
 
+  // One-time jobs, or everything that recurs
+  if (req.query.scheduleType === 'once') {
+    where.schedule_type = 'once';
+  } else if (req.query.scheduleType === 'recurring') {
+    where.schedule_type = { not: 'once' };
+  } else if (SCHEDULE_TYPES.includes(req.query.scheduleType)) {
+    where.schedule_type = req.query.scheduleType;
+  }
+
   // Add search filter if provided
   if (req.query.search) {
     const searchTerm = req.query.search.trim();
@@ -143,11 +610,21 @@ const getJobs = async (req, res) => {
       select: {
         id: true,
         name: true,
+        type: true,
         url: true,
         method: true,
+        steps: true,
+        schedule_type: true,
         cron_expression: true,
+        rrule: true,
+        interval_seconds: true,
+        schedule_anchor: true,
+        run_at: true,
         timezone: true,
         status: true,
+        ping_token: true,
+        monitor_status: true,
+        last_ping_at: true,
         success_count: true,
         failure_count: true,
         last_execution: true,
@@ -165,8 +642,8 @@ const getJobs = async (req, res) => {
 
   // Add cron description to each job
   const jobsWithDescription = jobs.map(job => ({
-    ...job,
-    cronDescription: parseCronExpression(job.cron_expression),
+    ...withPingUrl(req, job),
+    cronDescription: describeSchedule(job, job.timezone),
     successRate: job.success_count + job.failure_count > 0 
       ? ((job.success_count / (job.success_count + job.failure_count)) * 100).toFixed(2)
       : 0
@@ -218,7 +695,42 @@ const getJobById = async (req, res) => {
           duration: true,
           response_code: true,
           error_message: true,
-          triggered_by: true
+          error_type: true,
+          failed_assertions: true,
+          triggered_by: true,
+          attempt: true,
+          retry_of_id: true,
+          parent_execution_id: true
+        }
+      },
+      notifications: {
+        select: {
+          channel_id: true,
+          on_failure: true,
+          failure_threshold: true,
+          on_recovery: true,
+          digest: true,
+          channel: {
+            select: { id: true, name: true, type: true, enabled: true }
+          }
+        }
+      },
+      downstream_links: {
+        where: { downstream: { status: { not: 'deleted' } } },
+        select: {
+          condition: true,
+          downstream: {
+            select: { id: true, name: true, status: true }
+          }
+        }
+      },
+      upstream_links: {
+        where: { upstream: { status: { not: 'deleted' } } },
+        select: {
+          condition: true,
+          upstream: {
+            select: { id: true, name: true, status: true }
+          }
         }
       }
     }
@@ -229,8 +741,7 @@ const getJobById = async (req, res) => {
   }
 
   const jobWithDescription = {
-    ...job,
-    cronDescription: parseCronExpression(job.cron_expression),
+    ...toJobResponse(req, job),
     successRate: job.success_count + job.failure_count > 0 
       ? ((job.success_count / (job.success_count + job.failure_count)) * 100).toFixed(2)
       : 0
@@ -278,6 +789,24 @@ const updateJob = async (req, res) => {
   // Prepare update data
   const updateData = {};
   
+  if (value.url && existingJob.type === 'heartbeat') {
+    throw new ValidationError('Heartbeat monitors do not have a target URL');
+  }
+
+  if (value.steps && existingJob.type === 'heartbeat') {
+    throw new ValidationError('Heartbeat monitors do not have steps');
+  }
+
+  if (value.scheduleType === 'once' && existingJob.type === 'heartbeat') {
+    throw new ValidationError('Heartbeat monitors cannot be one-time jobs', 'scheduleType');
+  }
+
+  // Removing the steps keeps the first step's URL and method as the job's single request
+  const hasSteps = value.steps !== undefined ? Boolean(value.steps) : Array.isArray(existingJob.steps);
+  if ((value.url || value.method) && hasSteps) {
+    throw new ValidationError('Multi-step jobs take their URL and method from their steps');
+  }
+
   if (value.name) updateData.name = value.name.trim();
   if (value.url) updateData.url = value.url.trim();
   if (value.method) updateData.method = value.method.toUpperCase();
@@ -286,16 +815,94 @@ const updateJob = async (req, res) => {
   if (value.body !== undefined) updateData.body = value.body;
   if (value.status) updateData.status = value.status;
   if (value.description !== undefined) updateData.description = value.description;
+  if (value.retryPolicy !== undefined) updateData.retry_policy = value.retryPolicy || Prisma.DbNull;
+  if (value.gracePeriodMs !== undefined) updateData.grace_period_ms = value.gracePeriodMs;
+  if (value.timeoutMs !== undefined) updateData.timeout_ms = value.timeoutMs;
+  if (value.maxResponseBytes !== undefined) updateData.max_response_bytes = value.maxResponseBytes;
+  if (value.archivePolicy) updateData.archive_policy = value.archivePolicy;
+  if (value.archiveMaxBytes !== undefined) updateData.archive_max_bytes = value.archiveMaxBytes;
+  if (value.assertions !== undefined) updateData.assertions = value.assertions || Prisma.DbNull;
+  if (value.steps !== undefined) updateData.steps = value.steps || Prisma.DbNull;
+  if (value.steps) {
+    updateData.url = value.steps[0].url.trim();
+    updateData.method = value.steps[0].method;
+  }
+  if (value.misfirePolicy) updateData.misfire_policy = value.misfirePolicy;
+  if (value.misfireMaxRuns !== undefined) updateData.misfire_max_runs = value.misfireMaxRuns;
+  if (value.concurrencyPolicy) updateData.concurrency_policy = value.concurrencyPolicy;
+  if (value.auth !== undefined) updateData.auth = value.auth || Prisma.DbNull;
+  if (value.transport !== undefined) updateData.transport = value.transport || Prisma.DbNull;
+
+  // Enabling signing generates a secret once; disabling drops every secret
+  let signing = null;
+  if (value.signRequests && !existingJob.signing_secret) {
+    signing = generateSigningSecret();
+    updateData.signing_secret = signing.encrypted;
+  } else if (value.signRequests === false) {
+    updateData.signing_secret = null;
+    updateData.previous_signing_secret = null;
+    updateData.previous_signing_secret_expires_at = null;
+  }
 
-  // Handle cron expression update
-  if (value.cronExpression) {
-    const cronValidation = validateCronExpression(value.cronExpression);
-    if (!cronValidation.isValid) {
-      throw new ValidationError(`Invalid cron expression: ${cronValidation.error}`);
+  // Handle schedule update
+  const scheduleUpdated = value.scheduleType || value.cronExpression || value.rrule ||
+    value.intervalSeconds !== undefined || value.anchorTime !== undefined || value.runAt;
+  if (scheduleUpdated) {
+    Object.assign(updateData, resolveScheduleUpdate(existingJob, value));
+  }
+
+  // A one-time job that has run only comes back with a new schedule, and
+  // then it is active again unless asked otherwise
+  if (existingJob.status === 'completed') {
+    if (!scheduleUpdated && value.status) {
+      throw new ConflictError('This one-time job has already run; give it a new run time to run it again');
     }
-    
-    updateData.cron_expression = value.cronExpression.trim();
-    updateData.next_execution = getNextExecutionTime(value.cronExpression, value.timezone || existingJob.timezone);
+    if (scheduleUpdated && !value.status) {
+      updateData.status = 'active';
+    }
+  }
+
+  // The scheduler picks jobs up by next_execution, so recompute it whenever
+  // the schedule changes or a paused job is resumed
+  const scheduleChanged = scheduleUpdated || updateData.timezone;
+  const resumed = updateData.status === 'active' && existingJob.status !== 'active';
+  if (scheduleUpdated) {
+    updateData.next_execution = getNextExecutionTime(
+      { ...existingJob, ...updateData },
+      updateData.timezone || existingJob.timezone
+    );
+
+    if (!updateData.next_execution) {
+      throw noRunsLeftError(updateData.schedule_type);
+    }
+  } else if ((scheduleChanged || resumed) && existingJob.status !== 'completed') {
+    updateData.next_execution = getResumedExecutionTime({ ...existingJob, ...updateData });
+  }
+
+  if (value.url || value.headers !== undefined || value.body !== undefined || value.auth !== undefined ||
+    value.steps !== undefined || value.transport !== undefined) {
+    await assertSecretsExist(req.user.id, {
+      url: value.url || existingJob.url,
+      headers: value.headers !== undefined ? value.headers : existingJob.headers,
+      body: value.body !== undefined ? value.body : existingJob.body,
+      auth: value.auth !== undefined ? value.auth : existingJob.auth,
+      steps: value.steps !== undefined ? value.steps : existingJob.steps,
+      transport: value.transport !== undefined ? value.transport : existingJob.transport
+    });
+  }
+
+  if (value.downstream) {
+    await assertDownstreamJobsOwned(req.user.id, value.downstream);
+    await assertNoChainCycle(req.user.id, jobId, value.downstream);
+  }
+
+  if (value.notifications) {
+    await assertChannelsOwned(req.user.id, value.notifications);
+    await replaceJobNotifications(jobId, value.notifications);
+  }
+
+  if (value.downstream) {
+    await replaceJobLinks(jobId, value.downstream);
   }
 
   // Update the job
@@ -308,9 +915,15 @@ const updateJob = async (req, res) => {
     select: {
       id: true,
       name: true,
+      type: true,
       url: true,
       method: true,
+      schedule_type: true,
       cron_expression: true,
+      rrule: true,
+      interval_seconds: true,
+      schedule_anchor: true,
+      run_at: true,
       timezone: true,
       headers: true,
       body: true,
@@ -321,22 +934,29 @@ const updateJob = async (req, res) => {
       next_execution: true,
       created_at: true,
       updated_at: true,
-      description: true
+      description: true,
+      retry_policy: true,
+      timeout_ms: true,
+      max_response_bytes: true,
+      archive_policy: true,
+      archive_max_bytes: true,
+      assertions: true,
+      steps: true,
+      misfire_policy: true,
+      misfire_max_runs: true,
+      concurrency_policy: true,
+      auth: true,
+      transport: true,
+      signing_secret: true,
+      previous_signing_secret: true,
+      previous_signing_secret_expires_at: true,
+      ping_token: true,
+      grace_period_ms: true,
+      monitor_status: true,
+      last_ping_at: true
     }
   });
 
-  // Update job in scheduler if it's active
-  try {
-    const jobWorker = require('../services/jobWorker');
-    if (updatedJob.status === 'active') {
-      await jobWorker.addJob(updatedJob.id);
-    } else {
-      jobWorker.removeJob(updatedJob.id);
-    }
-  } catch (error) {
-    logger.error('Failed to update job in scheduler:', error);
-  }
-
   logger.info('Cron job updated', {
     userId: req.user.id,
     jobId: updatedJob.id,
@@ -347,10 +967,8 @@ const updateJob = async (req, res) => {
     success: true,
     message: 'Job updated successfully',
     data: {
-      job: {
-        ...updatedJob,
-        cronDescription: parseCronExpression(updatedJob.cron_expression)
-      }
+      job: toJobResponse(req, updatedJob),
+      ...(signing && { signingSecret: signing.secret })
     }
   });
 };
@@ -387,14 +1005,6 @@ const deleteJob = async (req, res) => {
     }
   });
 
-  // Remove job from scheduler
-  try {
-    const jobWorker = require('../services/jobWorker');
-    jobWorker.removeJob(jobId);
-  } catch (error) {
-    logger.error('Failed to remove job from scheduler:', error);
-  }
-
   logger.info('Cron job deleted', {
     userId: req.user.id,
     jobId: jobId,
@@ -430,6 +1040,10 @@ const toggleJobStatus = async (req, res) => {
     throw new NotFoundError('Job not found');
   }
 
+  if (existingJob.status === 'completed') {
+    throw new ConflictError('This one-time job has already run; give it a new run time to run it again');
+  }
+
   const newStatus = existingJob.status === 'active' ? 'paused' : 'active';
 
   // Update job status
@@ -440,7 +1054,7 @@ const toggleJobStatus = async (req, res) => {
       updated_at: new Date(),
       // Recalculate next execution if activating
       ...(newStatus === 'active' && {
-        next_execution: getNextExecutionTime(existingJob.cron_expression, existingJob.timezone)
+        next_execution: getResumedExecutionTime(existingJob)
       })
     },
     select: {
@@ -451,18 +1065,6 @@ const toggleJobStatus = async (req, res) => {
     }
   });
 
-  // Update job in scheduler
-  try {
-    const jobWorker = require('../services/jobWorker');
-    if (newStatus === 'active') {
-      await jobWorker.addJob(jobId);
-    } else {
-      jobWorker.removeJob(jobId);
-    }
-  } catch (error) {
-    logger.error('Failed to update job in scheduler:', error);
-  }
-
   logger.info('Cron job status toggled', {
     userId: req.user.id,
     jobId: jobId,
@@ -500,6 +1102,10 @@ const triggerJob = async (req, res) => {
     throw new NotFoundError('Job not found');
   }
 
+  if (job.type === 'heartbeat') {
+    throw new ConflictError('Heartbeat monitors run when pinged and cannot be triggered manually');
+  }
+
   try {
     // Import the job worker
     const jobWorker = require('../services/jobWorker');
@@ -529,6 +1135,199 @@ const triggerJob = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a running execution of a job
+ */
+const cancelExecution = async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const executionId = parseInt(req.params.executionId);
+
+  if (isNaN(jobId) || isNaN(executionId)) {
+    throw new ValidationError('Invalid job or execution ID');
+  }
+
+  const execution = await prisma.jobExecution.findFirst({
+    where: {
+      id: executionId,
+      job_id: jobId,
+      job: { user_id: req.user.id }
+    },
+    select: { id: true, status: true }
+  });
+
+  if (!execution) {
+    throw new NotFoundError('Execution');
+  }
+
+  const jobWorker = require('../services/jobWorker');
+  const cancelled = execution.status === 'running' &&
+    await jobWorker.cancelExecution(executionId, req.user.id);
+
+  if (!cancelled) {
+    throw new ConflictError('Only running executions can be cancelled');
+  }
+
+  logger.info('Job execution cancelled', {
+    userId: req.user.id,
+    jobId,
+    executionId
+  });
+
+  res.json({
+    success: true,
+    message: 'Execution cancelled successfully'
+  });
+};
+
+/**
+ * List the archived request and response bodies of an execution
+ */
+const getExecutionArtifacts = async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const executionId = parseInt(req.params.executionId);
+
+  if (isNaN(jobId) || isNaN(executionId)) {
+    throw new ValidationError('Invalid job or execution ID');
+  }
+
+  const execution = await prisma.jobExecution.findFirst({
+    where: {
+      id: executionId,
+      job_id: jobId,
+      job: { user_id: req.user.id }
+    },
+    select: {
+      id: true,
+      artifacts: {
+        select: {
+          id: true,
+          kind: true,
+          step_index: true,
+          content_type: true,
+          size: true,
+          compressed_size: true,
+          truncated: true,
+          created_at: true
+        },
+        orderBy: { id: 'asc' }
+      }
+    }
+  });
+
+  if (!execution) {
+    throw new NotFoundError('Execution');
+  }
+
+  res.json({
+    success: true,
+    message: 'Artifacts retrieved successfully',
+    data: { artifacts: execution.artifacts }
+  });
+};
+
+/**
+ * Download an archived body. Clients that accept gzip get the stored
+ * compressed bytes as they are; others get the decompressed body.
+ */
+const downloadExecutionArtifact = async (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const executionId = parseInt(req.params.executionId);
+  const artifactId = parseInt(req.params.artifactId);
+
+  if (isNaN(jobId) || isNaN(executionId) || isNaN(artifactId)) {
+    throw new ValidationError('Invalid job, execution or artifact ID');
+  }
+
+  const artifact = await prisma.executionArtifact.findFirst({
+    where: {
+      id: artifactId,
+      execution_id: executionId,
+      execution: { job_id: jobId, job: { user_id: req.user.id } }
+    }
+  });
+
+  if (!artifact) {
+    throw new NotFoundError('Artifact');
+  }
+
+  const compressed = Boolean(req.acceptsEncodings('gzip'));
+  const body = await artifactStore.readArtifact(artifact, { compressed });
+  const stepPart = artifact.step_index !== null ? `-step-${artifact.step_index + 1}` : '';
+
+  res.set({
+    'Content-Type': artifact.content_type || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="execution-${executionId}${stepPart}-${artifact.kind}"`,
+    'X-Artifact-Truncated': String(artifact.truncated),
+    Vary: 'Accept-Encoding'
+  });
+  if (compressed) {
+    res.set('Content-Encoding', 'gzip');
+  }
+
+  res.send(body);
+};
+
+/**
+ * Rotate a job's signing secret. Requests are signed with both the new and
+ * the old secret until the grace period ends, so targets can switch over.
+ */
+const rotateSigningSecret = async (req, res) => {
+  const jobId = parseInt(req.params.id);
+
+  if (isNaN(jobId)) {
+    throw new ValidationError('Invalid job ID');
+  }
+
+  const { error, value } = validateSigningSecretRotation(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const job = await prisma.cronJob.findFirst({
+    where: {
+      id: jobId,
+      user_id: req.user.id,
+      status: { not: 'deleted' }
+    },
+    select: { id: true, signing_secret: true }
+  });
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  if (!job.signing_secret) {
+    throw new ConflictError('Request signing is not enabled for this job');
+  }
+
+  const signing = generateSigningSecret();
+  const previousSecretExpiresAt = new Date(Date.now() + value.graceHours * 60 * 60 * 1000);
+
+  await prisma.cronJob.update({
+    where: { id: jobId },
+    data: {
+      signing_secret: signing.encrypted,
+      previous_signing_secret: value.graceHours > 0 ? job.signing_secret : null,
+      previous_signing_secret_expires_at: value.graceHours > 0 ? previousSecretExpiresAt : null
+    }
+  });
+
+  logger.info('Job signing secret rotated', {
+    userId: req.user.id,
+    jobId,
+    graceHours: value.graceHours
+  });
+
+  res.json({
+    success: true,
+    message: 'Signing secret rotated successfully',
+    data: {
+      signingSecret: signing.secret,
+      previousSecretExpiresAt: value.graceHours > 0 ? previousSecretExpiresAt : null
+    }
+  });
+};
+
 /**
  * Get job execution logs
  */
@@ -576,8 +1375,30 @@ const getJobLogs = async (req, res) => {
         response_code: true,
         response_body: true,
         response_headers: true,
+        request: true,
         error_message: true,
-        triggered_by: true
+        error_type: true,
+        failed_assertions: true,
+        redirect_chain: true,
+        tls_info: true,
+        step_results: true,
+        artifacts: {
+          select: {
+            id: true,
+            kind: true,
+            step_index: true,
+            content_type: true,
+            size: true,
+            truncated: true
+          },
+          orderBy: { id: 'asc' }
+        },
+        triggered_by: true,
+        attempt: true,
+        retry_of_id: true,
+        cancelled_by: true,
+        cancelled_at: true,
+        parent_execution_id: true
       }
     }),
     prisma.jobExecution.count({ where: { job_id: jobId } })
@@ -592,6 +1413,7 @@ const getJobLogs = async (req, res) => {
       job: {
         id: job.id,
         name: job.name,
+        type: job.type,
         url: job.url
       },
       executions,
@@ -626,7 +1448,7 @@ const getAllExecutions = async (req, res) => {
   };
 
   // Add status filter if provided
-  if (req.query.status && ['success', 'failed', 'timeout', 'cancelled'].includes(req.query.status)) {
+  if (req.query.status && ['success', 'failed', 'timeout', 'cancelled', 'skipped', 'abandoned'].includes(req.query.status)) {
     where.status = req.query.status;
   }
 
@@ -651,6 +1473,7 @@ const getAllExecutions = async (req, res) => {
           select: {
             id: true,
             name: true,
+            type: true,
             url: true,
             method: true
           }
@@ -719,13 +1542,23 @@ const getDashboardStats = async (req, res) => {
       },
       include: {
         job: {
-          select: { id: true, name: true, url: true }
+          select: { id: true, name: true, type: true, url: true }
         }
       },
       orderBy: { executed_at: 'desc' },
       take: 10
     });
 
+    // Heartbeat monitors whose last expected ping did not arrive
+    const monitorsDown = await prisma.cronJob.count({
+      where: {
+        user_id: userId,
+        type: 'heartbeat',
+        status: 'active',
+        monitor_status: 'down'
+      }
+    });
+
     // Get upcoming jobs (next 5 executions)
     const upcomingJobs = await prisma.cronJob.findMany({
       where: {
@@ -736,8 +1569,13 @@ const getDashboardStats = async (req, res) => {
       select: {
         id: true,
         name: true,
+        type: true,
         url: true,
+        schedule_type: true,
         cron_expression: true,
+        rrule: true,
+        interval_seconds: true,
+        run_at: true,
         next_execution: true
       },
       orderBy: { next_execution: 'asc' },
@@ -750,6 +1588,7 @@ const getDashboardStats = async (req, res) => {
     
     const successfulExecutions = executionStats.find(stat => stat.status === 'success')?._count.id || 0;
     const failedExecutions = executionStats.find(stat => stat.status === 'failed')?._count.id || 0;
+    const timedOutExecutions = executionStats.find(stat => stat.status === 'timeout')?._count.id || 0;
     
     const successRate = totalExecutions > 0 ? 
       ((successfulExecutions / totalExecutions) * 100).toFixed(2) : 0;
@@ -762,9 +1601,12 @@ const getDashboardStats = async (req, res) => {
           totalJobs,
           activeJobs: jobStats.find(stat => stat.status === 'active')?._count.id || 0,
           pausedJobs: jobStats.find(stat => stat.status === 'paused')?._count.id || 0,
+          completedJobs: jobStats.find(stat => stat.status === 'completed')?._count.id || 0,
           totalExecutions,
           successfulExecutions,
           failedExecutions,
+          timedOutExecutions,
+          monitorsDown,
           successRate: parseFloat(successRate)
         },
         recentExecutions,
@@ -792,6 +1634,7 @@ const getDashboardStats = async (req, res) => {
 
 module.exports = {
   createJob,
+  createDelayedCall,
   getJobs,
   getJobById,
   updateJob,
@@ -799,6 +1642,10 @@ module.exports = {
   toggleJobStatus,
   triggerJob,
   getJobLogs,
+  cancelExecution,
+  getExecutionArtifacts,
+  downloadExecutionArtifact,
+  rotateSigningSecret,
   getAllExecutions,
   getDashboardStats
 };
\ No newline at end of file
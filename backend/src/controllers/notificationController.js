@@ -0,0 +1,264 @@
+const { prisma } = require('../models');
+const {
+  validateNotificationChannel,
+  validateNotificationChannelUpdate,
+  validatePagination,
+  sanitizeInput
+} = require('../utils/validation');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+// Config keys that are never sent back to the client
+const SECRET_CONFIG_KEYS = ['password'];
+
+const MASKED_VALUE = '********';
+
+/**
+ * Hide credentials stored in a channel's config. Webhook headers usually
+ * carry tokens, so only their names are sent back.
+ */
+const maskChannel = (channel) => {
+  const config = { ...channel.config };
+  for (const key of SECRET_CONFIG_KEYS) {
+    if (config[key]) {
+      config[key] = MASKED_VALUE;
+    }
+  }
+  if (config.headers) {
+    config.headers = Object.fromEntries(Object.keys(config.headers).map(name => [name, MASKED_VALUE]));
+  }
+  return { ...channel, config };
+};
+
+/**
+ * Put stored values back into headers sent back still masked
+ */
+const restoreMaskedHeaders = (headers, storedHeaders = {}) => Object.fromEntries(
+  Object.entries(headers).map(([name, value]) => [
+    name,
+    value === MASKED_VALUE && storedHeaders[name] !== undefined ? storedHeaders[name] : value
+  ])
+);
+
+/**
+ * Find a channel owned by the authenticated user
+ */
+const findUserChannel = async (req) => {
+  const channelId = parseInt(req.params.id);
+
+  if (isNaN(channelId)) {
+    throw new ValidationError('Invalid channel ID');
+  }
+
+  const channel = await prisma.notificationChannel.findFirst({
+    where: {
+      id: channelId,
+      user_id: req.user.id
+    }
+  });
+
+  if (!channel) {
+    throw new NotFoundError('Notification channel');
+  }
+
+  return channel;
+};
+
+/**
+ * Get all notification channels for the authenticated user
+ */
+const getChannels = async (req, res) => {
+  const channels = await prisma.notificationChannel.findMany({
+    where: { user_id: req.user.id },
+    include: {
+      _count: { select: { jobs: true } }
+    },
+    orderBy: { created_at: 'desc' }
+  });
+
+  res.json({
+    success: true,
+    message: 'Notification channels retrieved successfully',
+    data: { channels: channels.map(maskChannel) }
+  });
+};
+
+/**
+ * Create a notification channel
+ */
+const createChannel = async (req, res) => {
+  const sanitizedData = sanitizeInput(req.body);
+
+  const { error, value } = validateNotificationChannel(sanitizedData);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const channel = await prisma.notificationChannel.create({
+    data: {
+      user_id: req.user.id,
+      name: value.name.trim(),
+      type: value.type,
+      config: value.config,
+      enabled: value.enabled
+    }
+  });
+
+  logger.info('Notification channel created', {
+    userId: req.user.id,
+    channelId: channel.id,
+    type: channel.type
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Notification channel created successfully',
+    data: { channel: maskChannel(channel) }
+  });
+};
+
+/**
+ * Update a notification channel
+ */
+const updateChannel = async (req, res) => {
+  const existingChannel = await findUserChannel(req);
+  const sanitizedData = sanitizeInput(req.body);
+
+  const { error, value } = validateNotificationChannelUpdate(sanitizedData, existingChannel.type);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const updateData = {};
+  if (value.name) updateData.name = value.name.trim();
+  if (value.enabled !== undefined) updateData.enabled = value.enabled;
+  if (value.config) {
+    // Keep stored credentials unless new ones are provided
+    updateData.config = { ...existingChannel.config, ...value.config };
+    if (value.config.headers) {
+      updateData.config.headers = restoreMaskedHeaders(value.config.headers, existingChannel.config.headers);
+    }
+  }
+
+  const channel = await prisma.notificationChannel.update({
+    where: { id: existingChannel.id },
+    data: updateData
+  });
+
+  logger.info('Notification channel updated', {
+    userId: req.user.id,
+    channelId: channel.id,
+    updatedFields: Object.keys(updateData)
+  });
+
+  res.json({
+    success: true,
+    message: 'Notification channel updated successfully',
+    data: { channel: maskChannel(channel) }
+  });
+};
+
+/**
+ * Delete a notification channel (detaches it from all jobs)
+ */
+const deleteChannel = async (req, res) => {
+  const channel = await findUserChannel(req);
+
+  await prisma.notificationChannel.delete({
+    where: { id: channel.id }
+  });
+
+  logger.info('Notification channel deleted', {
+    userId: req.user.id,
+    channelId: channel.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Notification channel deleted successfully'
+  });
+};
+
+/**
+ * Send a test notification through a channel
+ */
+const testChannel = async (req, res) => {
+  const channel = await findUserChannel(req);
+
+  const log = await notificationService.sendTestNotification(channel);
+
+  res.json({
+    success: log.status === 'sent',
+    message: log.status === 'sent'
+      ? 'Test notification sent successfully'
+      : `Test notification failed: ${log.error_message}`,
+    data: { log }
+  });
+};
+
+/**
+ * Get notification delivery logs for the authenticated user
+ */
+const getNotificationLogs = async (req, res) => {
+  const { error, value } = validatePagination(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const { page, limit, sortOrder } = value;
+  const offset = (page - 1) * limit;
+
+  const where = {
+    channel: { user_id: req.user.id }
+  };
+
+  if (req.query.status && ['sent', 'failed', 'queued', 'digested', 'dropped'].includes(req.query.status)) {
+    where.status = req.query.status;
+  }
+
+  if (req.query.channelId && !isNaN(parseInt(req.query.channelId))) {
+    where.channel_id = parseInt(req.query.channelId);
+  }
+
+  const [logs, totalCount] = await Promise.all([
+    prisma.notificationLog.findMany({
+      where,
+      include: {
+        channel: { select: { id: true, name: true, type: true } },
+        job: { select: { id: true, name: true } }
+      },
+      orderBy: { created_at: sortOrder },
+      skip: offset,
+      take: limit
+    }),
+    prisma.notificationLog.count({ where })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  res.json({
+    success: true,
+    message: 'Notification logs retrieved successfully',
+    data: {
+      logs,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        pageSize: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    }
+  });
+};
+
+module.exports = {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel,
+  getNotificationLogs
+};
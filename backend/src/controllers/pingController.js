@@ -0,0 +1,53 @@
+const heartbeatMonitor = require('../services/heartbeatMonitor');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Turn whatever the job sent into text to keep as the run's output
+ */
+const getPingBody = (body) => {
+  if (typeof body === 'string') return body || null;
+  if (body && Object.keys(body).length > 0) return JSON.stringify(body);
+  return null;
+};
+
+/**
+ * Record a ping of the given kind for the monitor in the URL
+ */
+const handlePing = async (req, res, kind) => {
+  const result = await heartbeatMonitor.recordPing(req.params.token, kind, {
+    method: req.method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    body: getPingBody(req.body)
+  });
+
+  if (!result) {
+    throw new NotFoundError('Monitor');
+  }
+
+  res.json({
+    success: true,
+    message: result.ignored ? 'Monitor is paused, ping ignored' : 'Ping received'
+  });
+};
+
+/**
+ * The monitored job finished successfully
+ */
+const ping = (req, res) => handlePing(req, res, 'success');
+
+/**
+ * The monitored job started; its next ping completes the run
+ */
+const pingStart = (req, res) => handlePing(req, res, 'start');
+
+/**
+ * The monitored job failed
+ */
+const pingFail = (req, res) => handlePing(req, res, 'fail');
+
+module.exports = {
+  ping,
+  pingStart,
+  pingFail
+};
@@ -0,0 +1,117 @@
+const { validateScheduleQuery } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+const { parseCron } = require('../utils/cronExpression');
+const { parseRecurrence } = require('../utils/recurrence');
+const {
+  validateCronExpression,
+  resolveRunAt,
+  describeSchedule: describeScheduleInWords,
+  getSchedulePreview,
+  willExecuteWithin,
+  getCronPresets
+} = require('../utils/cronUtils');
+
+/**
+ * Validate a schedule query, reporting cron errors against the offending
+ * cron field (e.g. field "expression.hour") and recurrence errors against
+ * the offending rule part (e.g. field "rrule.BYDAY")
+ */
+const parseScheduleQuery = (query) => {
+  const { error, value } = validateScheduleQuery(query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  if (value.type === 'rrule') {
+    try {
+      parseRecurrence(value.rrule);
+    } catch (error) {
+      throw new ValidationError(error.message, error.part ? `rrule.${error.part}` : 'rrule');
+    }
+  }
+
+  if (value.type !== 'cron') {
+    // Same shape as a job record, so the schedule helpers take either
+    const schedule = {
+      schedule_type: value.type,
+      rrule: value.rrule && value.rrule.trim(),
+      interval_seconds: value.intervalSeconds,
+      schedule_anchor: value.type === 'interval' ? value.anchorTime || new Date() : null,
+      run_at: value.type === 'once' ? resolveRunAt(value.runAt, value.timezone) : null
+    };
+    return { ...value, schedule };
+  }
+
+  const cronValidation = validateCronExpression(value.expression);
+  if (!cronValidation.isValid) {
+    throw new ValidationError(
+      cronValidation.error,
+      cronValidation.field ? `expression.${cronValidation.field}` : 'expression'
+    );
+  }
+
+  const expression = value.expression.trim();
+  return { ...value, expression, schedule: expression };
+};
+
+/**
+ * Preview the next runs of a schedule in a timezone, flagging cron and
+ * recurrence runs affected by daylight saving time changes
+ */
+const previewSchedule = async (req, res) => {
+  const { type, expression, schedule, timezone, count } = parseScheduleQuery(req.query);
+
+  res.json({
+    success: true,
+    message: 'Schedule preview generated successfully',
+    data: {
+      type,
+      ...(expression && { expression }),
+      ...(type === 'rrule' && { rrule: schedule.rrule }),
+      timezone,
+      description: describeScheduleInWords(schedule, timezone),
+      runsWithinHour: willExecuteWithin(schedule, 60, timezone),
+      runs: getSchedulePreview(schedule, timezone, count)
+    }
+  });
+};
+
+/**
+ * Describe a schedule in words; cron expressions come with their fields
+ */
+const describeSchedule = async (req, res) => {
+  const { type, expression, schedule, timezone } = parseScheduleQuery(req.query);
+  const data = {
+    type,
+    ...(type === 'rrule' && { rrule: schedule.rrule }),
+    description: describeScheduleInWords(schedule, timezone)
+  };
+
+  if (type === 'cron') {
+    const { fields, hasSeconds, macro } = parseCron(expression);
+    Object.assign(data, { expression, fields, hasSeconds, macro });
+  }
+
+  res.json({
+    success: true,
+    message: 'Schedule described successfully',
+    data
+  });
+};
+
+/**
+ * Get the schedule presets offered when creating a job
+ */
+const getSchedulePresets = async (req, res) => {
+  res.json({
+    success: true,
+    message: 'Schedule presets retrieved successfully',
+    data: { presets: getCronPresets() }
+  });
+};
+
+module.exports = {
+  previewSchedule,
+  describeSchedule,
+  getSchedulePresets
+};
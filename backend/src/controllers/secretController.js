@@ -0,0 +1,203 @@
+const { prisma } = require('../models');
+const {
+  validateSecret,
+  validateSecretUpdate,
+  sanitizeInput
+} = require('../utils/validation');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { encryptSecret } = require('../utils/secretCrypto');
+const { getReferencedSecrets, getJobTemplates } = require('../utils/template');
+const logger = require('../utils/logger');
+
+// Fields returned to the client; the value never leaves the server
+const SECRET_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  created_at: true,
+  updated_at: true
+};
+
+/**
+ * Sanitize everything except the value, which is stored exactly as given
+ */
+const sanitizeSecretInput = (body) => {
+  const sanitized = sanitizeInput(body);
+  if (body && body.value !== undefined) {
+    sanitized.value = body.value;
+  }
+  return sanitized;
+};
+
+/**
+ * Find a secret owned by the authenticated user
+ */
+const findUserSecret = async (req) => {
+  const secretId = parseInt(req.params.id);
+
+  if (isNaN(secretId)) {
+    throw new ValidationError('Invalid secret ID');
+  }
+
+  const secret = await prisma.secret.findFirst({
+    where: {
+      id: secretId,
+      user_id: req.user.id
+    },
+    select: SECRET_SELECT
+  });
+
+  if (!secret) {
+    throw new NotFoundError('Secret');
+  }
+
+  return secret;
+};
+
+/**
+ * Find the user's jobs that reference a secret
+ */
+const findJobsUsingSecret = async (userId, secretName) => {
+  const jobs = await prisma.cronJob.findMany({
+    where: {
+      user_id: userId,
+      status: { not: 'deleted' }
+    },
+    select: { id: true, name: true, url: true, headers: true, body: true, auth: true, steps: true, transport: true }
+  });
+
+  return jobs
+    .filter(job => getReferencedSecrets(getJobTemplates(job)).includes(secretName))
+    .map(job => ({ id: job.id, name: job.name }));
+};
+
+/**
+ * Get all secrets for the authenticated user (without values)
+ */
+const getSecrets = async (req, res) => {
+  const secrets = await prisma.secret.findMany({
+    where: { user_id: req.user.id },
+    select: SECRET_SELECT,
+    orderBy: { name: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    message: 'Secrets retrieved successfully',
+    data: { secrets }
+  });
+};
+
+/**
+ * Create a secret
+ */
+const createSecret = async (req, res) => {
+  const { error, value } = validateSecret(sanitizeSecretInput(req.body));
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const existingSecret = await prisma.secret.findUnique({
+    where: {
+      user_id_name: { user_id: req.user.id, name: value.name }
+    },
+    select: { id: true }
+  });
+
+  if (existingSecret) {
+    throw new ConflictError(`A secret named ${value.name} already exists`);
+  }
+
+  const secret = await prisma.secret.create({
+    data: {
+      user_id: req.user.id,
+      name: value.name,
+      encrypted_value: encryptSecret(value.value),
+      description: value.description || null
+    },
+    select: SECRET_SELECT
+  });
+
+  logger.info('Secret created', {
+    userId: req.user.id,
+    secretId: secret.id,
+    name: secret.name
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Secret created successfully',
+    data: { secret }
+  });
+};
+
+/**
+ * Update a secret's value or description.
+ * Jobs reference secrets by name, so a new value applies to their next run.
+ */
+const updateSecret = async (req, res) => {
+  const existingSecret = await findUserSecret(req);
+
+  const { error, value } = validateSecretUpdate(sanitizeSecretInput(req.body));
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const updateData = {};
+  if (value.value !== undefined) updateData.encrypted_value = encryptSecret(value.value);
+  if (value.description !== undefined) updateData.description = value.description || null;
+
+  const secret = await prisma.secret.update({
+    where: { id: existingSecret.id },
+    data: updateData,
+    select: SECRET_SELECT
+  });
+
+  logger.info('Secret updated', {
+    userId: req.user.id,
+    secretId: secret.id,
+    rotated: value.value !== undefined
+  });
+
+  res.json({
+    success: true,
+    message: 'Secret updated successfully',
+    data: { secret }
+  });
+};
+
+/**
+ * Delete a secret that no job references
+ */
+const deleteSecret = async (req, res) => {
+  const secret = await findUserSecret(req);
+
+  const jobsUsingSecret = await findJobsUsingSecret(req.user.id, secret.name);
+  if (jobsUsingSecret.length > 0) {
+    throw new ConflictError(
+      `Secret ${secret.name} is used by: ${jobsUsingSecret.map(job => job.name).join(', ')}`
+    );
+  }
+
+  await prisma.secret.delete({
+    where: { id: secret.id }
+  });
+
+  logger.info('Secret deleted', {
+    userId: req.user.id,
+    secretId: secret.id,
+    name: secret.name
+  });
+
+  res.json({
+    success: true,
+    message: 'Secret deleted successfully'
+  });
+};
+
+module.exports = {
+  getSecrets,
+  createSecret,
+  updateSecret,
+  deleteSecret
+};
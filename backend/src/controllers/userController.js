@@ -244,7 +244,7 @@ const getUserStats = async (req, res) => {
       byStatus: executionStats.reduce((acc, stat) => {
         acc[stat.status] = stat._count.id;
         return acc;
-      }, { success: 0, failed: 0, timeout: 0, cancelled: 0 }),
+      }, { success: 0, failed: 0, timeout: 0, cancelled: 0, skipped: 0, abandoned: 0 }),
       successRate: parseFloat(successRate)
     },
     recentActivity: recentExecutions
@@ -0,0 +1,28 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+
+const { createDelayedCall } = require('../controllers/jobController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Delayed calls are scheduled in bulk by other services, so they are limited
+// per user rather than by the API-wide limit
+const delayedLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.DELAYED_RATE_LIMIT_PER_MINUTE) || 600,
+  keyGenerator: (req) => `user:${req.user.id}`,
+  message: { error: 'Too many delayed calls, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(delayedLimiter);
+
+router.post('/', asyncHandler(createDelayedCall));
+
+module.exports = router;
@@ -11,6 +11,10 @@ const {
   toggleJobStatus,
   triggerJob,
   getJobLogs,
+  cancelExecution,
+  getExecutionArtifacts,
+  downloadExecutionArtifact,
+  rotateSigningSecret,
   getDashboardStats
 } = require('../controllers/jobController');
 
@@ -31,5 +35,9 @@ router.delete('/:id', requireOwnership('cronJob'), asyncHandler(deleteJob));
 router.patch('/:id/toggle', requireOwnership('cronJob'), asyncHandler(toggleJobStatus));
 router.post('/:id/trigger', requireOwnership('cronJob'), asyncHandler(triggerJob));
 router.get('/:id/logs', requireOwnership('cronJob'), asyncHandler(getJobLogs));
+router.post('/:id/executions/:executionId/cancel', requireOwnership('cronJob'), asyncHandler(cancelExecution));
+router.get('/:id/executions/:executionId/artifacts', requireOwnership('cronJob'), asyncHandler(getExecutionArtifacts));
+router.get('/:id/executions/:executionId/artifacts/:artifactId', requireOwnership('cronJob'), asyncHandler(downloadExecutionArtifact));
+router.post('/:id/signing-secret/rotate', requireOwnership('cronJob'), asyncHandler(rotateSigningSecret));
 
 module.exports = router;
\ No newline at end of file
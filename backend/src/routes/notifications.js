@@ -0,0 +1,29 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+
+const {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel,
+  getNotificationLogs
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Notification channels
+router.get('/channels', asyncHandler(getChannels));
+router.post('/channels', asyncHandler(createChannel));
+router.put('/channels/:id', asyncHandler(updateChannel));
+router.delete('/channels/:id', asyncHandler(deleteChannel));
+router.post('/channels/:id/test', asyncHandler(testChannel));
+
+// Delivery history
+router.get('/logs', asyncHandler(getNotificationLogs));
+
+module.exports = router;
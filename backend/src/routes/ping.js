@@ -0,0 +1,32 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const {
+  ping,
+  pingStart,
+  pingFail
+} = require('../controllers/pingController');
+
+const router = express.Router();
+
+// Public routes: the token in the URL identifies the monitor
+const pingLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // 120 pings per minute
+  message: { error: 'Too many pings from this IP, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(pingLimiter);
+
+// Plain text bodies (e.g. script output) are kept as the run's output
+router.use(express.text({ type: 'text/*', limit: '1mb' }));
+
+// GET is accepted too, for clients like `curl` or `wget` without options
+router.route('/:token').get(asyncHandler(ping)).post(asyncHandler(ping));
+router.route('/:token/start').get(asyncHandler(pingStart)).post(asyncHandler(pingStart));
+router.route('/:token/fail').get(asyncHandler(pingFail)).post(asyncHandler(pingFail));
+
+module.exports = router;
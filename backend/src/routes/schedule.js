@@ -0,0 +1,20 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+
+const {
+  previewSchedule,
+  describeSchedule,
+  getSchedulePresets
+} = require('../controllers/scheduleController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/preview', asyncHandler(previewSchedule));
+router.get('/describe', asyncHandler(describeSchedule));
+router.get('/presets', asyncHandler(getSchedulePresets));
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+
+const {
+  getSecrets,
+  createSecret,
+  updateSecret,
+  deleteSecret
+} = require('../controllers/secretController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/', asyncHandler(getSecrets));
+router.post('/', asyncHandler(createSecret));
+router.put('/:id', asyncHandler(updateSecret));
+router.delete('/:id', asyncHandler(deleteSecret));
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const fs = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { prisma } = require('../models');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARTIFACT_DIR = path.resolve(process.env.ARTIFACT_DIR || './storage/artifacts');
+
+/**
+ * Storage backends for gzip-compressed artifact bodies. Each artifact records
+ * the backend it was written to, so changing ARTIFACT_STORAGE keeps older
+ * artifacts readable.
+ */
+const backends = {
+  // Compressed bytes live in the execution_artifacts row itself
+  database: {
+    async write(key, compressed) {
+      return { storage_key: null, data: compressed };
+    },
+    async read(artifact) {
+      return artifact.data;
+    },
+    async remove() {
+      // Rows are removed with their execution
+    }
+  },
+
+  // Compressed bytes live in files under ARTIFACT_DIR; only the path is stored
+  local: {
+    async write(key, compressed) {
+      const filePath = path.join(ARTIFACT_DIR, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, compressed);
+      return { storage_key: key, data: null };
+    },
+    async read(artifact) {
+      return fs.readFile(path.join(ARTIFACT_DIR, artifact.storage_key));
+    },
+    async remove(artifacts) {
+      for (const artifact of artifacts) {
+        await fs.rm(path.join(ARTIFACT_DIR, artifact.storage_key), { force: true });
+      }
+    }
+  }
+};
+
+/**
+ * Archive of full request and response bodies for executions, kept according
+ * to each job's archive policy. The execution record itself only keeps a
+ * truncated response body.
+ */
+class ArtifactStore {
+  constructor() {
+    this.storage = backends[process.env.ARTIFACT_STORAGE] ? process.env.ARTIFACT_STORAGE : 'database';
+  }
+
+  /**
+   * Whether a job's archive policy keeps the bodies of a run with this outcome
+   */
+  shouldArchive(job, succeeded) {
+    return job.archive_policy === 'always' || (job.archive_policy === 'failures' && !succeeded);
+  }
+
+  /**
+   * Compress and store the bodies of an execution. Failures are logged and
+   * never affect the outcome of the run.
+   * @param {Object} job - Job record
+   * @param {number} executionId - Execution id
+   * @param {Array} entries - [{ kind: 'request'|'response', stepIndex, contentType, body: Buffer }]
+   * @param {boolean} succeeded - Outcome of the run
+   */
+  async archiveExecution(job, executionId, entries, succeeded) {
+    if (entries.length === 0 || !this.shouldArchive(job, succeeded)) {
+      return;
+    }
+
+    try {
+      const backend = backends[this.storage];
+      const rows = [];
+
+      for (const entry of entries) {
+        const truncated = entry.body.length > job.archive_max_bytes;
+        const body = truncated ? entry.body.subarray(0, job.archive_max_bytes) : entry.body;
+        const compressed = await gzip(body);
+        const key = `${job.id}/${executionId}/${crypto.randomUUID()}.gz`;
+
+        rows.push({
+          execution_id: executionId,
+          kind: entry.kind,
+          step_index: entry.stepIndex ?? null,
+          content_type: entry.contentType || null,
+          size: body.length,
+          compressed_size: compressed.length,
+          truncated,
+          storage: this.storage,
+          ...await backend.write(key, compressed)
+        });
+      }
+
+      await prisma.executionArtifact.createMany({ data: rows });
+    } catch (error) {
+      logger.error(`❌ Failed to archive bodies of execution ${executionId}:`, error);
+    }
+  }
+
+  /**
+   * Read an artifact's body
+   * @param {Object} artifact - Artifact record, including data for database storage
+   * @param {Object} options - { compressed: return the stored gzip bytes as they are }
+   * @returns {Promise<Buffer>} Body
+   */
+  async readArtifact(artifact, { compressed = false } = {}) {
+    const stored = await backends[artifact.storage].read(artifact);
+    return compressed ? stored : gunzip(stored);
+  }
+
+  /**
+   * Delete the stored files of artifacts belonging to executions about to be
+   * deleted; their rows go with the executions
+   * @param {Object} executionWhere - Prisma filter on the executions
+   */
+  async removeForExecutions(executionWhere) {
+    const artifacts = await prisma.executionArtifact.findMany({
+      where: { storage: { not: 'database' }, execution: executionWhere },
+      select: { id: true, storage: true, storage_key: true }
+    });
+
+    for (const storage of Object.keys(backends)) {
+      await backends[storage].remove(artifacts.filter(artifact => artifact.storage === storage));
+    }
+
+    return artifacts.length;
+  }
+}
+
+// Create singleton instance
+const artifactStore = new ArtifactStore();
+
+module.exports = artifactStore;
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { prisma } = require('../models');
+const logger = require('../utils/logger');
+const { getNextExecutionTime } = require('../utils/cronUtils');
+const { serializeResponseBody } = require('../utils/httpUtils');
+
+const OVERDUE_BATCH_SIZE = 100;
+
+/**
+ * Heartbeat monitors: jobs that run elsewhere and ping CronMaster.
+ *
+ * A monitor expects a ping at each time of its cron schedule. A ping that has
+ * not arrived one grace period after the expected time marks the monitor down
+ * and is recorded as a failed execution, like a failed HTTP run.
+ */
+class HeartbeatMonitorService {
+  /**
+   * Generate the secret token used in a monitor's ping URL
+   */
+  generatePingToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  /**
+   * Next time a ping is expected after one arrives at `now`.
+   * A ping up to one grace period early counts for the upcoming expected time.
+   */
+  getNextExpectedPing(job, now) {
+    const expected = job.next_execution;
+    const from = expected && expected > now && expected - now <= job.grace_period_ms ? expected : now;
+
+    return getNextExecutionTime(job, job.timezone, from);
+  }
+
+  /**
+   * Record a ping from a monitored job
+   * @param {string} token - Ping token from the URL
+   * @param {string} kind - success, start or fail
+   * @param {Object} details - { method, ip, userAgent, body }
+   * @returns {Promise<Object|null>} { job, ignored } or null when no monitor has this token
+   */
+  async recordPing(token, kind, { method, ip, userAgent, body }) {
+    const job = await prisma.cronJob.findUnique({
+      where: { ping_token: token }
+    });
+
+    if (!job || job.type !== 'heartbeat' || job.status === 'deleted') {
+      return null;
+    }
+
+    if (job.status !== 'active') {
+      logger.info(`⏸️  Ignoring ${kind} ping for paused monitor ${job.name} (ID: ${job.id})`);
+      return { job, ignored: true };
+    }
+
+    const now = new Date();
+    const request = { kind, method, ip, userAgent };
+
+    if (kind === 'start') {
+      // Only the latest start is waiting for its completion ping
+      await prisma.jobExecution.updateMany({
+        where: { job_id: job.id, status: 'running', triggered_by: 'ping' },
+        data: {
+          status: 'abandoned',
+          error_message: 'A new start ping arrived before this run reported completion'
+        }
+      });
+
+      await prisma.jobExecution.create({
+        data: {
+          job_id: job.id,
+          status: 'running',
+          triggered_by: 'ping',
+          request
+        }
+      });
+
+      await prisma.cronJob.update({
+        where: { id: job.id },
+        data: { last_ping_at: now }
+      });
+
+      logger.info(`📍 Monitor ${job.name} (ID: ${job.id}) started`);
+      return { job, ignored: false };
+    }
+
+    const succeeded = kind === 'success';
+    const result = {
+      status: succeeded ? 'success' : 'failed',
+      response_body: serializeResponseBody(body, job.max_response_bytes),
+      error_type: succeeded ? null : 'ping_fail',
+      error_message: succeeded ? null : 'The job reported a failure'
+    };
+
+    // A completion ping closes the run opened by /start, if there is one
+    const startedExecution = await prisma.jobExecution.findFirst({
+      where: { job_id: job.id, status: 'running', triggered_by: 'ping' },
+      orderBy: { executed_at: 'desc' }
+    });
+
+    const execution = startedExecution
+      ? await prisma.jobExecution.update({
+        where: { id: startedExecution.id },
+        data: {
+          ...result,
+          duration: now.getTime() - startedExecution.executed_at.getTime(),
+          request: { ...startedExecution.request, ...request }
+        }
+      })
+      : await prisma.jobExecution.create({
+        data: {
+          job_id: job.id,
+          triggered_by: 'ping',
+          request,
+          ...result
+        }
+      });
+
+    const updatedJob = await prisma.cronJob.update({
+      where: { id: job.id },
+      data: {
+        monitor_status: succeeded ? 'up' : 'down',
+        last_ping_at: now,
+        last_execution: now,
+        next_execution: this.getNextExpectedPing(job, now),
+        ...(succeeded ? { success_count: { increment: 1 } } : { failure_count: { increment: 1 } })
+      }
+    });
+
+    logger.info(`${succeeded ? '✅' : '❌'} Monitor ${job.name} (ID: ${job.id}) reported ${succeeded ? 'success' : 'failure'}`);
+
+    this.handleOutcome(updatedJob, execution.id, succeeded);
+    return { job: updatedJob, ignored: false };
+  }
+
+  /**
+   * Mark monitors whose expected ping is overdue by more than their grace period as down
+   */
+  async checkOverdueMonitors() {
+    try {
+      let missed;
+
+      do {
+        missed = await this.claimOverdueMonitors(OVERDUE_BATCH_SIZE);
+
+        for (const { job, executionId } of missed) {
+          this.handleOutcome(job, executionId, false);
+        }
+      } while (missed.length === OVERDUE_BATCH_SIZE);
+    } catch (error) {
+      logger.error('❌ Failed to check heartbeat monitors:', error);
+    }
+  }
+
+  /**
+   * Atomically claim overdue monitors, record the missed ping and move
+   * next_execution to the next expected ping.
+   *
+   * Rows are locked with FOR UPDATE SKIP LOCKED, so with several worker
+   * instances each missed ping is recorded exactly once.
+   * @param {number} limit - Maximum number of monitors to claim
+   * @returns {Array} [{ job, executionId }]
+   */
+  async claimOverdueMonitors(limit) {
+    return prisma.$transaction(async (tx) => {
+      const overdueRows = await tx.$queryRaw`
+        SELECT id FROM cron_jobs
+        WHERE status = 'active'
+          AND type = 'heartbeat'
+          AND next_execution + (grace_period_ms * INTERVAL '1 millisecond') <= (NOW() AT TIME ZONE 'UTC')
+        ORDER BY next_execution ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      `;
+
+      if (overdueRows.length === 0) {
+        return [];
+      }
+
+      const overdueJobs = await tx.cronJob.findMany({
+        where: { id: { in: overdueRows.map(row => row.id) } }
+      });
+
+      const missed = [];
+      for (const overdueJob of overdueJobs) {
+        const now = new Date();
+        const deadline = new Date(overdueJob.next_execution.getTime() + overdueJob.grace_period_ms);
+
+        // A run that sent /start but never finished is the one that failed
+        const startedExecution = await tx.jobExecution.findFirst({
+          where: { job_id: overdueJob.id, status: 'running', triggered_by: 'ping' },
+          orderBy: { executed_at: 'desc' }
+        });
+
+        const result = {
+          status: 'failed',
+          error_type: 'missed_ping',
+          error_message: startedExecution
+            ? `Run started at ${startedExecution.executed_at.toISOString()} but did not report completion by ${deadline.toISOString()}`
+            : `No ping received by ${deadline.toISOString()}`
+        };
+
+        const execution = startedExecution
+          ? await tx.jobExecution.update({
+            where: { id: startedExecution.id },
+            data: { ...result, duration: now.getTime() - startedExecution.executed_at.getTime() }
+          })
+          : await tx.jobExecution.create({
+            data: { job_id: overdueJob.id, triggered_by: 'ping', ...result }
+          });
+
+        const job = await tx.cronJob.update({
+          where: { id: overdueJob.id },
+          data: {
+            monitor_status: 'down',
+            last_execution: now,
+            failure_count: { increment: 1 },
+            next_execution: getNextExecutionTime(overdueJob, overdueJob.timezone, now)
+          }
+        });
+
+        logger.warn(`🚨 Monitor ${job.name} (ID: ${job.id}) is down: ${result.error_message}`);
+        missed.push({ job, executionId: execution.id });
+      }
+
+      return missed;
+    }, { timeout: 15000 });
+  }
+
+  /**
+   * Notify and run downstream jobs for a finished monitor run, as the worker does for HTTP runs
+   */
+  handleOutcome(job, executionId, succeeded) {
+    // Required here because the worker requires this service
+    const jobWorker = require('./jobWorker');
+
+    jobWorker.recordRunOutcome(job, executionId, succeeded)
+      .then(() => jobWorker.triggerDownstreamJobs(job, executionId, succeeded));
+  }
+}
+
+// Create singleton instance
+const heartbeatMonitor = new HeartbeatMonitorService();
+
+module.exports = heartbeatMonitor;
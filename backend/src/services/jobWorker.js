@@ -1,14 +1,125 @@
 // backend/src/services/jobWorker.js
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
 const axios = require('axios');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../models');
 const logger = require('../utils/logger');
 const { getNextExecutionTime } = require('../utils/cronUtils');
+const {
+  classifyStatusCode,
+  classifyRequestError,
+  shouldRetry,
+  getRetryDelay
+} = require('../utils/retryPolicy');
+const { serializeResponseBody, decodeResponseBody } = require('../utils/httpUtils');
+const { evaluateAssertions } = require('../utils/assertions');
+const { runExtractors } = require('../utils/extractors');
+const { planCatchup } = require('../utils/misfirePolicy');
+const Semaphore = require('../utils/semaphore');
+const {
+  renderRequest,
+  usesVariable,
+  getReferencedSecrets,
+  getJobTemplates
+} = require('../utils/template');
+const { decryptSecret } = require('../utils/secretCrypto');
+const { getActiveSigningSecrets, signOutgoingRequest } = require('../utils/requestSigning');
+const { assertUrlAllowed } = require('../utils/urlPolicy');
+const { createTransport } = require('../utils/transport');
+const { applyAuth } = require('./outboundAuth');
+const notificationService = require('./notificationService');
+const heartbeatMonitor = require('./heartbeatMonitor');
+const artifactStore = require('./artifactStore');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RESPONSE_BYTES = 10000;
+
+// Assertions and extractors read the whole body, so steps that have them download up to this much
+const MAX_CHECKED_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Error raised when a response body is larger than the request may download
+ */
+class ResponseTooLargeError extends Error {
+  constructor(limit) {
+    super(`Response body exceeded ${limit} bytes, the most this request downloads`);
+    this.name = 'ResponseTooLargeError';
+    this.code = 'RESPONSE_TOO_LARGE';
+  }
+}
+
+/**
+ * Most response bytes a step downloads: enough for the stored body, the archived
+ * body when the job archives, and the assertions and extractors of the step
+ */
+const getResponseLimit = (job, step) => Math.max(
+  job.max_response_bytes ?? DEFAULT_MAX_RESPONSE_BYTES,
+  ['always', 'failures'].includes(job.archive_policy) ? job.archive_max_bytes || 0 : 0,
+  step.assertions?.length > 0 || step.extract?.length > 0 ? MAX_CHECKED_RESPONSE_BYTES : 0
+);
+
+/**
+ * Label of a multi-step job step in error messages, e.g. "Step 2 (fetch orders)"
+ */
+const getStepLabel = (index, step) => step.name ? `Step ${index + 1} (${step.name})` : `Step ${index + 1}`;
+
+/**
+ * Response body as stored on the execution; binary bodies are summarized
+ */
+const describeResponseBody = (response, rawBody) => response.data ?? `[binary body: ${rawBody.length} bytes of ${response.headers['content-type']}]`;
+
+/**
+ * Execution fields for the redirect chain and TLS details of the last request
+ */
+const getConnectionFields = (connection) => ({
+  redirect_chain: connection?.redirects.length > 0 ? connection.redirects : Prisma.DbNull,
+  tls_info: connection?.tls || Prisma.DbNull
+});
+
+// Scheduler polling settings
+const SCHEDULER_POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 5000;
+const SCHEDULER_BATCH_SIZE = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 100;
+
+// A run counts as missed once it is this late; anything less is ordinary polling lag
+const MISFIRE_THRESHOLD_MS = parseInt(process.env.MISFIRE_THRESHOLD_MS) || 60000;
+
+// Maximum number of HTTP executions this instance runs at the same time
+const WORKER_MAX_CONCURRENCY = parseInt(process.env.WORKER_MAX_CONCURRENCY) || 10;
+
+// Runs waiting behind a job with the "queue" concurrency policy
+const MAX_QUEUED_RUNS_PER_JOB = 10;
+
+// Executions still "running" this long after their timeout were left behind by a crashed worker
+const RUNNING_GRACE_MS = 60000;
+
+// Workers heartbeat every minute; one silent for longer than this is considered gone
+const WORKER_HEARTBEAT_TIMEOUT_MS = 3 * 60 * 1000;
+
+/**
+ * Longest a run of a job may take before it is taken for lost: every step
+ * can use the whole timeout, plus a grace period
+ * @param {Object} job - Job record with timeout_ms and steps
+ * @returns {number} Milliseconds
+ */
+const getMaxRunMs = (job) => {
+  const stepCount = Array.isArray(job.steps) && job.steps.length > 0 ? job.steps.length : 1;
+  return (job.timeout_ms || DEFAULT_TIMEOUT_MS) * stepCount + RUNNING_GRACE_MS;
+};
 
 class JobWorkerService {
   constructor() {
-    this.scheduledJobs = new Map();
+    this.activeExecutions = new Set();
+    this.executionSlots = new Semaphore(WORKER_MAX_CONCURRENCY);
+    this.runningJobs = new Map(); // jobId -> number of runs in progress on this instance
+    this.queuedRuns = new Map(); // jobId -> runs waiting for the current one to finish
+    this.abortControllers = new Map(); // executionId -> AbortController of its in-flight request
+    this.maintenanceTasks = [];
+    this.pollTimer = null;
+    this.lastPollAt = null;
     this.isRunning = false;
+    this.instanceId = process.env.WORKER_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
   }
 
   /**
@@ -21,15 +132,22 @@ class JobWorkerService {
     }
 
     this.isRunning = true;
-    logger.info('🚀 Starting Job Worker Service...');
+    logger.info(`🚀 Starting Job Worker Service (instance ${this.instanceId})...`);
+
+    // Register this instance and close out executions a previous crash left "running"
+    await this.heartbeat();
+    await this.reapStaleExecutions();
+
+    // Deal with runs missed while no worker was up before regular polling claims them
+    await this.recoverMissedRuns();
 
-    // Load and schedule all active jobs
-    await this.loadAndScheduleJobs();
+    // Poll the database for due jobs
+    this.startPolling();
 
-    // Start periodic cleanup and rescheduling
+    // Start periodic cleanup and health checks
     this.startMaintenanceTasks();
 
-    logger.info('✅ Job Worker Service started successfully');
+    logger.info(`✅ Job Worker Service started successfully (polling every ${SCHEDULER_POLL_INTERVAL_MS}ms)`);
   }
 
   /**
@@ -39,86 +157,499 @@ class JobWorkerService {
     if (!this.isRunning) return;
 
     logger.info('🛑 Stopping Job Worker Service...');
-    
-    // Stop all scheduled jobs
-    for (const [jobId, task] of this.scheduledJobs) {
-      if (task && task.destroy) {
-        task.destroy();
+
+    this.isRunning = false;
+
+    // Stop polling and maintenance tasks
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    for (const task of this.maintenanceTasks) {
+      task.stop();
+    }
+    this.maintenanceTasks = [];
+
+    // Drop queued runs, nothing will drain them after shutdown
+    for (const queue of this.queuedRuns.values()) {
+      for (const queuedRun of queue) {
+        queuedRun.resolve('dropped');
       }
     }
-    
-    this.scheduledJobs.clear();
-    this.isRunning = false;
+    this.queuedRuns.clear();
+
+    // Let in-flight executions finish so their results are recorded
+    if (this.activeExecutions.size > 0) {
+      logger.info(`⏳ Waiting for ${this.activeExecutions.size} running execution(s) to finish...`);
+      await Promise.allSettled([...this.activeExecutions]);
+    }
+
+    // Deregister so other instances do not wait for our heartbeat to expire
+    try {
+      await prisma.workerInstance.deleteMany({ where: { id: this.instanceId } });
+    } catch (error) {
+      logger.error('❌ Failed to deregister worker instance:', error);
+    }
     
     logger.info('✅ Job Worker Service stopped');
   }
 
   /**
-   * Load all active jobs from database and schedule them
+   * Poll for due jobs until the worker is stopped
+   */
+  startPolling() {
+    const poll = async () => {
+      if (!this.isRunning) return;
+
+      await this.pollDueJobs();
+
+      if (this.isRunning) {
+        this.pollTimer = setTimeout(poll, SCHEDULER_POLL_INTERVAL_MS);
+      }
+    };
+
+    poll();
+  }
+
+  /**
+   * Claim and dispatch as many due jobs as this instance has free execution
+   * slots for. The rest stay in the database for other instances or the next
+   * poll, rather than waiting in memory where a crash would lose them.
    */
-  async loadAndScheduleJobs() {
+  async pollDueJobs() {
     try {
-      const activeJobs = await prisma.cronJob.findMany({
-        where: { 
-          status: 'active',
-          next_execution: {
-            not: null
-          }
-        },
-        include: {
-          user: {
-            select: { id: true, name: true, email: true }
-          }
+      // Retries first: they continue runs that were already admitted
+      await this.pollDueRetries();
+
+      let claimedJobs;
+      let limit;
+
+      do {
+        limit = Math.min(this.getFreeSlots(), SCHEDULER_BATCH_SIZE);
+        if (limit <= 0) break;
+
+        claimedJobs = await this.claimDueJobs(limit);
+
+        for (const job of claimedJobs) {
+          this.dispatch(job, { triggeredBy: 'cron' });
         }
+      } while (claimedJobs.length === limit && this.isRunning);
+
+      // Heartbeat monitors are never dispatched; their next_execution is when a ping is due
+      await heartbeatMonitor.checkOverdueMonitors();
+
+      await this.abortCancelledExecutions();
+
+      // Queued runs may be waiting on a run that finished on another instance
+      for (const jobId of this.queuedRuns.keys()) {
+        await this.drainQueue(jobId);
+      }
+
+      this.lastPollAt = new Date();
+    } catch (error) {
+      logger.error('❌ Failed to poll due jobs:', error);
+    }
+  }
+
+  /**
+   * Execution slots not taken by runs dispatched on this instance. Runs count
+   * from dispatch, before they hold a slot, so one poll cannot overbook.
+   * @returns {number} Free slots
+   */
+  getFreeSlots() {
+    return WORKER_MAX_CONCURRENCY - this.activeExecutions.size;
+  }
+
+  /**
+   * Atomically claim a batch of due jobs and advance their next_execution.
+   *
+   * Rows are locked with FOR UPDATE SKIP LOCKED, so concurrent instances
+   * claim disjoint batches and each scheduled run is dispatched exactly once.
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Array} Claimed job records
+   */
+  async claimDueJobs(limit) {
+    return prisma.$transaction(async (tx) => {
+      // Prisma stores DateTime as UTC timestamps without time zone
+      const dueRows = await tx.$queryRaw`
+        SELECT id FROM cron_jobs
+        WHERE status = 'active'
+          AND type = 'http'
+          AND next_execution <= (NOW() AT TIME ZONE 'UTC')
+        ORDER BY next_execution ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      `;
+
+      if (dueRows.length === 0) {
+        return [];
+      }
+
+      const dueJobs = await tx.cronJob.findMany({
+        where: { id: { in: dueRows.map(row => row.id) } }
       });
 
-      logger.info(`📋 Loading ${activeJobs.length} active jobs`);
+      const claimedJobs = [];
+      for (const job of dueJobs) {
+        // Never compute the next run from before the run being claimed, in case clocks disagree
+        const now = new Date();
+        const from = job.next_execution > now ? job.next_execution : now;
 
-      for (const job of activeJobs) {
-        await this.scheduleJob(job);
+        // Fixed-delay and one-time jobs are settled when their run finishes;
+        // until then, hold a fallback time in case this instance dies mid-run
+        let nextExecution = getNextExecutionTime(job, job.timezone, from);
+        if (job.schedule_type === 'fixed_delay' || job.schedule_type === 'once') {
+          nextExecution = new Date((nextExecution || now).getTime() + getMaxRunMs(job));
+        }
+
+        claimedJobs.push(await tx.cronJob.update({
+          where: { id: job.id },
+          data: { next_execution: nextExecution }
+        }));
       }
 
-      logger.info(`⏰ Scheduled ${this.scheduledJobs.size} jobs`);
+      return claimedJobs;
+    }, { timeout: 15000 });
+  }
+
+  /**
+   * Apply each job's misfire policy to runs that came due while no worker was up
+   */
+  async recoverMissedRuns() {
+    try {
+      let misfiredJobs;
+
+      do {
+        misfiredJobs = await this.claimMisfiredJobs(SCHEDULER_BATCH_SIZE);
+
+        for (const { job, catchupRuns } of misfiredJobs) {
+          if (catchupRuns.length > 0) {
+            this.runCatchup(job, catchupRuns);
+          }
+        }
+      } while (misfiredJobs.length === SCHEDULER_BATCH_SIZE && this.isRunning);
     } catch (error) {
-      logger.error('❌ Failed to load jobs:', error);
+      logger.error('❌ Failed to recover missed runs:', error);
+    }
+  }
+
+  /**
+   * Atomically claim a batch of jobs whose next_execution is overdue by more
+   * than the misfire threshold, plan their catch-up runs and move
+   * next_execution past now so the regular poll does not fire them as well.
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Array} [{ job, missedRuns, catchupRuns }]
+   */
+  async claimMisfiredJobs(limit) {
+    return prisma.$transaction(async (tx) => {
+      const overdueRows = await tx.$queryRaw`
+        SELECT id FROM cron_jobs
+        WHERE status = 'active'
+          AND type = 'http'
+          AND next_execution <= (NOW() AT TIME ZONE 'UTC') - (${MISFIRE_THRESHOLD_MS} * INTERVAL '1 millisecond')
+        ORDER BY next_execution ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      `;
+
+      if (overdueRows.length === 0) {
+        return [];
+      }
+
+      const overdueJobs = await tx.cronJob.findMany({
+        where: { id: { in: overdueRows.map(row => row.id) } }
+      });
+
+      const misfiredJobs = [];
+      for (const overdueJob of overdueJobs) {
+        const now = new Date();
+        const { missedRuns, catchupRuns } = planCatchup(overdueJob, now);
+
+        // A one-time job that is not caught up has had its only chance
+        const missedForGood = overdueJob.schedule_type === 'once' && catchupRuns.length === 0;
+        const job = await tx.cronJob.update({
+          where: { id: overdueJob.id },
+          data: {
+            next_execution: getNextExecutionTime(overdueJob, overdueJob.timezone, now),
+            ...(missedForGood && { status: 'completed' })
+          }
+        });
+
+        const missedCount = missedRuns.length > job.misfire_max_runs
+          ? `more than ${job.misfire_max_runs}`
+          : missedRuns.length;
+        logger.info(`⏰ Job ${job.id} missed ${missedCount} run(s) (policy: ${job.misfire_policy}), catching up ${catchupRuns.length}`);
+
+        misfiredJobs.push({ job, missedRuns, catchupRuns });
+      }
+
+      return misfiredJobs;
+    }, { timeout: 15000 });
+  }
+
+  /**
+   * Execute catch-up runs for a job one after another, oldest first
+   * @param {Object} job - Job record
+   * @param {Array} runs - Missed run times being caught up
+   */
+  async runCatchup(job, runs) {
+    for (const scheduledFor of runs) {
+      if (!this.isRunning) break;
+
+      logger.info(`🔁 Catching up run of job ${job.id} scheduled for ${scheduledFor.toISOString()}`);
+      await this.dispatch(job, { triggeredBy: 'catchup' });
+    }
+  }
+
+  /**
+   * Run an execution in the background and track it until it settles
+   * @returns {Promise<string>} Resolves to completed, skipped or dropped
+   */
+  dispatch(job, options) {
+    const execution = this.runWithPolicy(job, options)
+      .catch(error => {
+        logger.error(`❌ Unhandled error executing job ${job.id}:`, error);
+      })
+      .finally(() => {
+        this.activeExecutions.delete(execution);
+      });
+
+    this.activeExecutions.add(execution);
+    return execution;
+  }
+
+  /**
+   * Apply the job's concurrency policy before running it
+   * @returns {Promise<string>} Resolves to completed, skipped or dropped
+   */
+  async runWithPolicy(job, options) {
+    const policy = job.concurrency_policy || 'allow';
+
+    // Retries continue a run that was already admitted
+    if (policy === 'allow' || options.triggeredBy === 'retry') {
+      return this.runJob(job, options);
+    }
+
+    if (!this.runningJobs.has(job.id)) {
+      // Reserve the job before the async check so a second dispatch on this instance sees it as busy
+      this.trackRunningJob(job.id, 1);
+
+      if (!(await this.isRunningElsewhere(job))) {
+        return this.runJob(job, options, { reserved: true });
+      }
+
+      this.trackRunningJob(job.id, -1);
+    }
+
+    if (policy === 'queue') {
+      return this.enqueueRun(job, options);
+    }
+
+    await this.recordSkippedRun(job, options, 'Skipped: previous run is still in progress');
+    return 'skipped';
+  }
+
+  /**
+   * Execute a job once a worker slot is free
+   * @param {Object} job - Job record
+   * @param {Object} options - Execution options
+   * @param {Object} flags - { reserved: the job is already tracked as running }
+   */
+  async runJob(job, options, { reserved = false } = {}) {
+    if (!reserved) {
+      this.trackRunningJob(job.id, 1);
+    }
+
+    try {
+      await this.executionSlots.acquire();
+      try {
+        await this.executeJob(job, options);
+      } finally {
+        this.executionSlots.release();
+      }
+    } finally {
+      this.trackRunningJob(job.id, -1);
+      this.drainQueue(job.id);
+    }
+
+    return 'completed';
+  }
+
+  /**
+   * Update the count of runs of a job in progress on this instance
+   */
+  trackRunningJob(jobId, delta) {
+    const count = (this.runningJobs.get(jobId) || 0) + delta;
+
+    if (count > 0) {
+      this.runningJobs.set(jobId, count);
+    } else {
+      this.runningJobs.delete(jobId);
     }
   }
 
   /**
-   * Schedule a single job
+   * Check whether another instance is running the job right now
    */
-  async scheduleJob(job) {
+  async isRunningElsewhere(job) {
     try {
-      // Remove existing scheduled job if it exists
-      if (this.scheduledJobs.has(job.id)) {
-        const existingTask = this.scheduledJobs.get(job.id);
-        if (existingTask && existingTask.destroy) {
-          existingTask.destroy();
+      const staleBefore = new Date(Date.now() - getMaxRunMs(job));
+
+      const running = await prisma.jobExecution.count({
+        where: {
+          job_id: job.id,
+          status: 'running',
+          executed_at: { gte: staleBefore }
         }
+      });
+
+      return running > 0;
+    } catch (error) {
+      logger.error(`❌ Failed to check running executions of job ${job.id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hold a run until the job's current run has finished
+   * @returns {Promise<string>} Resolves once the queued run has completed or was dropped
+   */
+  async enqueueRun(job, options) {
+    const queue = this.queuedRuns.get(job.id) || [];
+
+    if (queue.length >= MAX_QUEUED_RUNS_PER_JOB) {
+      await this.recordSkippedRun(job, options, `Skipped: ${MAX_QUEUED_RUNS_PER_JOB} runs are already queued`);
+      return 'skipped';
+    }
+
+    logger.info(`⏳ Queued run of job ${job.id} behind the one in progress (${queue.length + 1} waiting)`);
+
+    return new Promise(resolve => {
+      queue.push({ job, options, resolve });
+      this.queuedRuns.set(job.id, queue);
+    });
+  }
+
+  /**
+   * Start the next queued run of a job if nothing else is running it
+   */
+  async drainQueue(jobId) {
+    const queue = this.queuedRuns.get(jobId);
+    if (!queue || !this.isRunning || this.runningJobs.has(jobId)) return;
+
+    this.trackRunningJob(jobId, 1);
+
+    const queuedRun = queue.shift();
+    if (queue.length === 0) {
+      this.queuedRuns.delete(jobId);
+    }
+
+    try {
+      // Reload the job so edits, pauses and deletes made while queued are respected
+      const latestJob = await prisma.cronJob.findUnique({
+        where: { id: jobId }
+      });
+
+      if (!latestJob || latestJob.status !== 'active') {
+        this.trackRunningJob(jobId, -1);
+        queuedRun.resolve('dropped');
+        return;
       }
 
-      // Create cron task
-      const task = cron.schedule(job.cron_expression, async () => {
-        await this.executeJob(job);
-      }, {
-        scheduled: true,
-        timezone: job.timezone || 'UTC'
+      if (await this.isRunningElsewhere(latestJob)) {
+        // Put it back and try again on the next poll
+        this.trackRunningJob(jobId, -1);
+        this.queuedRuns.set(jobId, [queuedRun, ...(this.queuedRuns.get(jobId) || [])]);
+        return;
+      }
+
+      this.runJob(latestJob, queuedRun.options, { reserved: true })
+        .then(queuedRun.resolve, error => {
+          logger.error(`❌ Queued run of job ${jobId} failed:`, error);
+          queuedRun.resolve('completed');
+        });
+    } catch (error) {
+      this.trackRunningJob(jobId, -1);
+      logger.error(`❌ Failed to start queued run of job ${jobId}:`, error);
+      queuedRun.resolve('dropped');
+    }
+  }
+
+  /**
+   * Record a run that was not executed because of the job's concurrency policy
+   */
+  async recordSkippedRun(job, { triggeredBy = 'cron' } = {}, reason) {
+    logger.info(`⏭️  ${reason} (job ${job.id}, ${triggeredBy})`);
+
+    await prisma.jobExecution.create({
+      data: {
+        job_id: job.id,
+        status: 'skipped',
+        triggered_by: triggeredBy,
+        duration: 0,
+        error_message: reason
+      }
+    });
+  }
+
+  /**
+   * Run a task on a single instance at a time using a lease row in the database
+   * @param {string} name - Lease name
+   * @param {number} ttlMs - How long the lease is held before others may take it
+   * @param {Function} task - Async task to run when the lease is acquired
+   */
+  async runExclusive(name, ttlMs, task) {
+    try {
+      const now = new Date();
+
+      await prisma.schedulerLease.createMany({
+        data: [{ name, owner: this.instanceId, expires_at: new Date(0) }],
+        skipDuplicates: true
+      });
+
+      const { count } = await prisma.schedulerLease.updateMany({
+        where: {
+          name,
+          OR: [
+            { expires_at: { lt: now } },
+            { owner: this.instanceId }
+          ]
+        },
+        data: {
+          owner: this.instanceId,
+          expires_at: new Date(now.getTime() + ttlMs)
+        }
       });
 
-      this.scheduledJobs.set(job.id, task);
-      
-      logger.debug(`⏰ Scheduled job: ${job.name} (${job.cron_expression})`);
+      if (count === 0) {
+        logger.debug(`⏭️  Skipping ${name}: lease held by another instance`);
+        return;
+      }
     } catch (error) {
-      logger.error(`❌ Failed to schedule job ${job.id}:`, error);
+      logger.error(`❌ Failed to acquire lease ${name}:`, error);
+      return;
     }
+
+    await task();
   }
 
   /**
    * Execute a job
+   * @param {Object} job - Job record
+   * @param {Object} options - Execution options
+   * @param {string} options.triggeredBy - cron, manual, api, retry, catchup or chained
+   * @param {number} options.attempt - Attempt number (1 for the original attempt)
+   * @param {number|null} options.retryOf - Execution id of the original attempt
+   * @param {number|null} options.parentExecutionId - Upstream execution of a chained run
    */
-  async executeJob(job) {
+  async executeJob(job, { triggeredBy = 'cron', attempt = 1, retryOf = null, parentExecutionId = null } = {}) {
     const startTime = Date.now();
     let execution = null;
+    let errorType = null;
+    let cancelled = false;
+    const isMultiStep = Array.isArray(job.steps) && job.steps.length > 0;
+    const stepResults = [];
+    const artifacts = [];
+    let currentStep = null;
 
     try {
       logger.info(`🚀 Executing job: ${job.name} (ID: ${job.id})`);
@@ -128,54 +659,147 @@ class JobWorkerService {
         data: {
           job_id: job.id,
           status: 'running',
-          triggered_by: 'cron'
+          triggered_by: triggeredBy,
+          attempt,
+          retry_of_id: retryOf,
+          parent_execution_id: parentExecutionId,
+          worker_id: this.instanceId
         }
       });
 
-      // Prepare request options
-      const requestOptions = {
-        method: job.method,
-        url: job.url,
-        timeout: 30000, // 30 second timeout
-        headers: {
-          'User-Agent': 'CronMaster/1.0',
-          ...job.headers
-        },
-        validateStatus: () => true // Don't throw on any status code
-      };
+      const abortController = new AbortController();
+      this.abortControllers.set(execution.id, abortController);
+
+      // Template values shared by every request of this run
+      const renderContext = await this.buildRenderContext(job, execution);
+
+      // A single-request job runs as its own only step
+      const steps = isMultiStep ? job.steps : [job];
+      const vars = {};
+      let response = null;
+      let rawBody = null;
+      let connection = null;
+      let failures = [];
+      let failedStep = null;
+
+      for (const [index, step] of steps.entries()) {
+        currentStep = {
+          index,
+          step,
+          startedAt: Date.now(),
+          recordedRequest: null,
+          connection: { redirects: [], tls: null }
+        };
+
+        // Fill in template variables; the stored copy has secret values masked
+        const { request, recordedRequest } = this.renderJobRequest(job, step, renderContext, vars);
+        currentStep.recordedRequest = recordedRequest;
+
+        // The archived request is the recorded copy in full, so secrets stay masked
+        const stepIndex = isMultiStep ? index : null;
+        artifacts.push({
+          kind: 'request',
+          stepIndex,
+          contentType: 'application/json',
+          body: Buffer.from(JSON.stringify(recordedRequest))
+        });
+
+        if (!isMultiStep) {
+          await prisma.jobExecution.update({
+            where: { id: execution.id },
+            data: { request: recordedRequest }
+          });
+        }
+
+        let requestDuration;
+        ({ response, rawBody, requestDuration } = await this.sendRequest(
+          job,
+          request,
+          abortController.signal,
+          currentStep.connection,
+          getResponseLimit(job, step)
+        ));
+        connection = currentStep.connection;
+        artifacts.push({
+          kind: 'response',
+          stepIndex,
+          contentType: response.headers['content-type'],
+          body: rawBody
+        });
+
+        // Determine if the step passed (2xx unless its assertions say otherwise)
+        const assertionResult = evaluateAssertions(step.assertions, {
+          status: response.status,
+          headers: response.headers,
+          data: response.data,
+          duration: requestDuration
+        });
+
+        let extracted = {};
+        if (!assertionResult.passed) {
+          failures = assertionResult.failures;
+          errorType = assertionResult.statusFailed
+            ? classifyStatusCode(response.status) || 'assertion'
+            : 'assertion';
+        } else {
+          const extraction = runExtractors(step.extract, response);
+          extracted = extraction.values;
+          Object.assign(vars, extracted);
 
-      // Add body for POST/PUT/PATCH requests
-      if (['POST', 'PUT', 'PATCH'].includes(job.method) && job.body) {
-        try {
-          requestOptions.data = JSON.parse(job.body);
-        } catch (e) {
-          requestOptions.data = job.body;
+          if (extraction.failures.length > 0) {
+            failures = extraction.failures;
+            errorType = 'extraction';
+          }
+        }
+
+        if (isMultiStep) {
+          stepResults.push(this.buildStepResult(job, currentStep, {
+            response,
+            rawBody,
+            errorType,
+            failures,
+            extracted: Object.keys(extracted)
+          }));
+        }
+        currentStep = null;
+
+        if (errorType) {
+          failedStep = { index, step };
+          break;
         }
       }
 
-      // Execute HTTP request
-      const response = await axios(requestOptions);
       const duration = Date.now() - startTime;
+      const isSuccess = !errorType;
+      const failureMessage = failures.map(failure => failure.message).join('; ');
 
-      // Determine if execution was successful (2xx status codes)
-      const isSuccess = response.status >= 200 && response.status < 300;
-
-      // Update execution record
-      await prisma.jobExecution.update({
-        where: { id: execution.id },
+      // Update execution record, unless it was cancelled while the response came in
+      const { count } = await prisma.jobExecution.updateMany({
+        where: { id: execution.id, status: 'running' },
         data: {
           status: isSuccess ? 'success' : 'failed',
           duration,
           response_code: response.status,
-          response_body: JSON.stringify(response.data).substring(0, 10000), // Limit to 10KB
-          response_headers: response.headers
+          response_body: serializeResponseBody(describeResponseBody(response, rawBody), job.max_response_bytes ?? DEFAULT_MAX_RESPONSE_BYTES),
+          response_headers: response.headers,
+          error_type: errorType,
+          error_message: isSuccess
+            ? null
+            : isMultiStep ? `${getStepLabel(failedStep.index, failedStep.step)}: ${failureMessage}` : failureMessage,
+          failed_assertions: errorType && errorType !== 'extraction' ? failures : Prisma.DbNull,
+          ...getConnectionFields(connection),
+          ...(isMultiStep && { step_results: stepResults })
         }
       });
 
-      // Update job statistics
+      if (count === 0) {
+        // Cancelled after the response arrived; handled below like an aborted request
+        throw new axios.CanceledError('Execution was cancelled');
+      }
+
+      // Update job statistics (next_execution is owned by the scheduler)
       const updateData = {
-        last_execution: new Date(),
-        next_execution: getNextExecutionTime(job.cron_expression, job.timezone)
+        last_execution: new Date()
       };
 
       if (isSuccess) {
@@ -194,19 +818,56 @@ class JobWorkerService {
     } catch (error) {
       const duration = Date.now() - startTime;
 
+      if (axios.isCancel(error)) {
+        // The cancel request already marked the execution; cancelled runs are not failures
+        cancelled = true;
+        logger.info(`🛑 Job execution cancelled: ${job.name} (execution ${execution?.id})`);
+
+        if (execution) {
+          await prisma.jobExecution.update({
+            where: { id: execution.id },
+            data: {
+              duration,
+              ...(isMultiStep && { step_results: stepResults })
+            }
+          });
+        }
+
+        return;
+      }
+
+      errorType = classifyRequestError(error);
+
       logger.error(`❌ Job execution failed: ${job.name}`, error);
 
       if (execution) {
+        let errorMessage = errorType === 'timeout'
+          ? `Request timed out after ${job.timeout_ms || DEFAULT_TIMEOUT_MS}ms`
+          : error.message;
+
+        if (isMultiStep && currentStep) {
+          stepResults.push(this.buildStepResult(job, currentStep, { errorType, error: errorMessage }));
+          errorMessage = `${getStepLabel(currentStep.index, currentStep.step)}: ${errorMessage}`;
+        }
+
         // Update execution record with error
-        await prisma.jobExecution.update({
-          where: { id: execution.id },
+        const { count } = await prisma.jobExecution.updateMany({
+          where: { id: execution.id, status: 'running' },
           data: {
-            status: 'failed',
+            status: errorType === 'timeout' ? 'timeout' : 'failed',
             duration,
-            error_message: error.message,
-            response_code: error.response?.status || null
+            error_message: errorMessage,
+            error_type: errorType,
+            response_code: error.response?.status || null,
+            ...getConnectionFields(currentStep?.connection),
+            ...(isMultiStep && { step_results: stepResults })
           }
         });
+
+        if (count === 0) {
+          cancelled = true;
+          return;
+        }
       }
 
       // Update job failure count
@@ -214,52 +875,500 @@ class JobWorkerService {
         where: { id: job.id },
         data: {
           failure_count: { increment: 1 },
-          last_execution: new Date(),
-          next_execution: getNextExecutionTime(job.cron_expression, job.timezone)
+          last_execution: new Date()
         }
       });
+    } finally {
+      if (execution) {
+        this.abortControllers.delete(execution.id);
+      }
     }
+
+    if (execution && !cancelled) {
+      await artifactStore.archiveExecution(job, execution.id, artifacts, !errorType);
+
+      const retryScheduled = errorType
+        ? await this.scheduleRetry(job, execution, attempt, errorType)
+        : false;
+
+      // Only the last attempt of a run decides its outcome
+      if (!retryScheduled) {
+        await this.finishRun(job, execution.id, !errorType);
+      }
+    }
+  }
+
+  /**
+   * Settle a run after its last attempt: record the outcome, schedule what
+   * comes after it and trigger downstream jobs
+   */
+  async finishRun(job, executionId, succeeded) {
+    await this.recordRunOutcome(job, executionId, succeeded);
+    await this.scheduleAfterRun(job);
+    await this.triggerDownstreamJobs(job, executionId, succeeded);
   }
 
   /**
-   * Add or update a job in the scheduler
+   * Schedule the next run of a fixed-delay job, counted from the end of the
+   * run that just finished, or mark a one-time job whose run is done as completed
    */
-  async addJob(jobId) {
+  async scheduleAfterRun(job) {
+    if (job.schedule_type === 'once') {
+      return this.completeOneTimeJob(job);
+    }
+
+    if (job.schedule_type !== 'fixed_delay') {
+      return;
+    }
+
     try {
-      const job = await prisma.cronJob.findUnique({
-        where: { id: jobId },
-        include: {
-          user: {
-            select: { id: true, name: true, email: true }
-          }
+      // The job may have been paused or rescheduled while it ran
+      await prisma.cronJob.updateMany({
+        where: { id: job.id, status: 'active', schedule_type: 'fixed_delay' },
+        data: {
+          next_execution: getNextExecutionTime(
+            { schedule_type: 'fixed_delay', interval_seconds: job.interval_seconds },
+            job.timezone
+          )
+        }
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to schedule next run of job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Mark a one-time job as completed, keeping it and its executions. A manual
+   * run ahead of the run time leaves the job waiting for it.
+   */
+  async completeOneTimeJob(job) {
+    try {
+      // The job may have been paused or given a new run time while it ran
+      const { count } = await prisma.cronJob.updateMany({
+        where: { id: job.id, status: 'active', schedule_type: 'once', run_at: { lte: new Date() } },
+        data: {
+          status: 'completed',
+          next_execution: null
         }
       });
 
-      if (job && job.status === 'active') {
-        await this.scheduleJob(job);
-        logger.info(`➕ Added job to scheduler: ${job.name}`);
+      if (count > 0) {
+        logger.info(`🏁 One-time job ${job.name} (ID: ${job.id}) completed`);
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to complete one-time job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Gather the template values of an execution: built-in variables and the
+   * job's referenced secrets. Secrets are decrypted here and nowhere else.
+   * @returns {Promise<Object>} { context, secrets, maskedSecrets }
+   */
+  async buildRenderContext(job, execution) {
+    const templates = getJobTemplates(job);
+    let lastSuccessAt = null;
+
+    // Only look up the last success when a template asks for it
+    if (templates.some(template => usesVariable(template, 'lastSuccessAt'))) {
+      const lastSuccess = await prisma.jobExecution.findFirst({
+        where: { job_id: job.id, status: 'success' },
+        orderBy: { executed_at: 'desc' },
+        select: { executed_at: true }
+      });
+      lastSuccessAt = lastSuccess?.executed_at || null;
+    }
+
+    const secrets = {};
+    const maskedSecrets = {};
+    const secretNames = getReferencedSecrets(templates);
+
+    if (secretNames.length > 0) {
+      const storedSecrets = await prisma.secret.findMany({
+        where: { user_id: job.user_id, name: { in: secretNames } },
+        select: { name: true, encrypted_value: true }
+      });
+
+      for (const secret of storedSecrets) {
+        secrets[secret.name] = decryptSecret(secret.encrypted_value);
+        maskedSecrets[secret.name] = '********';
+      }
+    }
+
+    const context = {
+      now: execution.executed_at,
+      lastSuccessAt,
+      executionId: execution.id,
+      jobId: job.id,
+      jobName: job.name,
+      uuid: crypto.randomUUID(),
+      timezone: job.timezone
+    };
+
+    return { context, secrets, maskedSecrets };
+  }
+
+  /**
+   * Render the URL, headers and body templates of the job or one of its steps.
+   * Step variables are masked in the stored copy like secrets, since values
+   * extracted from responses are often tokens.
+   * @param {Object} job - Job record; its auth applies to every step
+   * @param {Object} step - The job itself, or a step of a multi-step job
+   * @param {Object} renderContext - From buildRenderContext
+   * @param {Object} vars - Values extracted by earlier steps
+   * @returns {Object} { request, recordedRequest } - request to send and its copy to store,
+   *   each { method, url, headers, body, auth }
+   */
+  renderJobRequest(job, step, { context, secrets, maskedSecrets }, vars = {}) {
+    const method = step.method || 'GET';
+    const maskedVars = Object.fromEntries(Object.keys(vars).map(name => [name, '********']));
+
+    const build = (secretValues, varValues) => {
+      const rendered = renderRequest(
+        { ...step, auth: job.auth, transport: job.transport },
+        { ...context, secrets: secretValues, vars: varValues }
+      );
+      return {
+        method,
+        ...rendered,
+        body: ['POST', 'PUT', 'PATCH'].includes(method) ? rendered.body : null
+      };
+    };
+
+    // Credentials are never recorded, only which scheme was used; transport settings not at all
+    const { transport, ...recordedRequest } = build(maskedSecrets, maskedVars);
+    return {
+      request: build(secrets, vars),
+      recordedRequest: { ...recordedRequest, auth: job.auth?.type || null }
+    };
+  }
+
+  /**
+   * Send one rendered request with the job's URL policy, transport settings, timeout, auth and signing applied
+   * @param {Object} connection - Filled with the redirect chain and TLS details as the request runs
+   * @param {number} maxResponseBytes - Larger response bodies fail the request with a ResponseTooLargeError
+   * @returns {Promise<Object>} { response, rawBody, requestDuration } - response.data is the
+   *   decoded text body, or null for binary content
+   */
+  async sendRequest(job, request, signal, connection, maxResponseBytes) {
+    // Templates can change the host, so the rendered URL is checked again here;
+    // the transport then checks every resolved address, tunnel target and redirect hop
+    assertUrlAllowed(request.url);
+
+    const timeout = job.timeout_ms || DEFAULT_TIMEOUT_MS;
+    const transport = createTransport(request.transport, { timeoutMs: timeout, connection });
+
+    // Prepare request options
+    const requestOptions = {
+      ...transport.requestOptions,
+      method: request.method,
+      url: request.url,
+      timeout,
+      signal,
+      headers: {
+        'User-Agent': 'CronMaster/1.0',
+        ...request.headers
+      },
+      validateStatus: () => true, // Don't throw on any status code
+      responseType: 'arraybuffer', // Raw bytes, so binary and full bodies can be archived
+      maxContentLength: maxResponseBytes // Stop downloading instead of buffering an unbounded body
+    };
+
+    // Add body for POST/PUT/PATCH requests
+    if (['POST', 'PUT', 'PATCH'].includes(request.method) && request.body) {
+      try {
+        requestOptions.data = JSON.parse(request.body);
+      } catch (e) {
+        requestOptions.data = request.body;
       }
+    }
+
+    // Add the job's authentication last so HMAC signatures cover the final request
+    await applyAuth(request.auth, requestOptions);
+
+    // Sign after auth so the signature covers the body exactly as sent
+    if (job.signing_secret) {
+      signOutgoingRequest(requestOptions, getActiveSigningSecrets(job));
+    }
+
+    const requestStartTime = Date.now();
+    let response;
+    try {
+      response = await axios(requestOptions);
     } catch (error) {
-      logger.error(`❌ Failed to add job ${jobId} to scheduler:`, error);
+      if (error.code === 'ERR_BAD_RESPONSE' && error.message.startsWith('maxContentLength')) {
+        throw new ResponseTooLargeError(maxResponseBytes);
+      }
+      throw error;
     }
+    const requestDuration = Date.now() - requestStartTime;
+
+    // Assertions, extractors and the stored body work on the decoded text
+    const rawBody = Buffer.from(response.data);
+    response.data = decodeResponseBody(rawBody, response.headers['content-type']);
+
+    return { response, rawBody, requestDuration };
+  }
+
+  /**
+   * Per-step record stored in step_results of a multi-step execution.
+   * Only the names of extracted values are kept, never the values.
+   */
+  buildStepResult(job, { step, startedAt, recordedRequest, connection }, { response, rawBody, errorType = null, error, failures = [], extracted = [] }) {
+    return {
+      name: step.name || null,
+      status: errorType === 'timeout' ? 'timeout' : errorType ? 'failed' : 'success',
+      duration: Date.now() - startedAt,
+      request: recordedRequest,
+      responseCode: response?.status ?? null,
+      responseHeaders: response?.headers ?? null,
+      responseBody: response
+        ? serializeResponseBody(describeResponseBody(response, rawBody), job.max_response_bytes ?? DEFAULT_MAX_RESPONSE_BYTES)
+        : null,
+      errorType,
+      error: error || (failures.length > 0 ? failures.map(failure => failure.message).join('; ') : null),
+      failedAssertions: errorType && errorType !== 'extraction' && failures.length > 0 ? failures : null,
+      extracted,
+      redirects: connection.redirects,
+      tls: connection.tls
+    };
+  }
+
+  /**
+   * Cancel a running execution: mark it cancelled and abort its request.
+   * The instance running it aborts the request on its next poll if that is not this one.
+   * @param {number} executionId - Execution id
+   * @param {number} userId - User cancelling the execution
+   * @returns {boolean} Whether the execution was still running
+   */
+  async cancelExecution(executionId, userId) {
+    const { count } = await prisma.jobExecution.updateMany({
+      where: { id: executionId, status: 'running' },
+      data: {
+        status: 'cancelled',
+        error_type: 'cancelled',
+        error_message: 'Execution was cancelled',
+        cancelled_by: userId,
+        cancelled_at: new Date()
+      }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    this.abortControllers.get(executionId)?.abort();
+    logger.info(`🛑 Execution ${executionId} cancelled by user ${userId}`);
+
+    return true;
   }
 
   /**
-   * Remove a job from the scheduler
+   * Abort local requests whose executions were cancelled through another instance
    */
-  removeJob(jobId) {
+  async abortCancelledExecutions() {
+    if (this.abortControllers.size === 0) return;
+
     try {
-      if (this.scheduledJobs.has(jobId)) {
-        const task = this.scheduledJobs.get(jobId);
-        if (task && task.destroy) {
-          task.destroy();
-        }
-        this.scheduledJobs.delete(jobId);
-        logger.info(`➖ Removed job from scheduler: ${jobId}`);
+      const cancelledExecutions = await prisma.jobExecution.findMany({
+        where: {
+          id: { in: [...this.abortControllers.keys()] },
+          status: 'cancelled'
+        },
+        select: { id: true }
+      });
+
+      for (const { id } of cancelledExecutions) {
+        this.abortControllers.get(id)?.abort();
+      }
+    } catch (error) {
+      logger.error('❌ Failed to check for cancelled executions:', error);
+    }
+  }
+
+  /**
+   * Track the job's failure streak and send notifications for a finished run
+   */
+  async recordRunOutcome(job, executionId, succeeded) {
+    try {
+      const { consecutive_failures: previousConsecutiveFailures } = await prisma.cronJob.findUnique({
+        where: { id: job.id },
+        select: { consecutive_failures: true }
+      });
+
+      const { consecutive_failures: consecutiveFailures } = await prisma.cronJob.update({
+        where: { id: job.id },
+        data: {
+          consecutive_failures: succeeded ? 0 : { increment: 1 }
+        },
+        select: { consecutive_failures: true }
+      });
+
+      const execution = await prisma.jobExecution.findUnique({
+        where: { id: executionId }
+      });
+
+      await notificationService.notifyExecutionOutcome(job, execution, {
+        succeeded,
+        consecutiveFailures,
+        previousConsecutiveFailures
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to record outcome of job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Run the downstream jobs linked to a finished run
+   * @param {Object} job - Upstream job record
+   * @param {number} executionId - Final execution of the upstream run
+   * @param {boolean} succeeded - Whether the upstream run succeeded
+   */
+  async triggerDownstreamJobs(job, executionId, succeeded) {
+    try {
+      const links = await prisma.jobLink.findMany({
+        where: {
+          upstream_job_id: job.id,
+          condition: { in: ['always', succeeded ? 'success' : 'failure'] },
+          downstream: { status: 'active', type: 'http' }
+        },
+        include: { downstream: true }
+      });
+
+      for (const { downstream } of links) {
+        logger.info(`⛓️  Triggering downstream job ${downstream.name} (ID: ${downstream.id}) after job ${job.id}`);
+
+        this.dispatch(downstream, {
+          triggeredBy: 'chained',
+          parentExecutionId: executionId
+        });
       }
     } catch (error) {
-      logger.error(`❌ Failed to remove job ${jobId} from scheduler:`, error);
+      logger.error(`❌ Failed to trigger downstream jobs of job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Schedule another attempt of a failed execution if the job's retry policy
+   * allows it. The retry is kept on the execution, so it survives restarts
+   * and any instance may run it.
+   * @returns {Promise<boolean>} Whether a retry was scheduled
+   */
+  async scheduleRetry(job, execution, attempt, errorType) {
+    const policy = job.retry_policy;
+    if (!shouldRetry(policy, attempt, errorType)) {
+      return false;
+    }
+
+    const delay = getRetryDelay(policy, attempt);
+    const retryAt = new Date(Date.now() + delay);
+
+    try {
+      await prisma.$transaction([
+        prisma.jobExecution.update({
+          where: { id: execution.id },
+          data: { retry_at: retryAt }
+        }),
+        // Fixed-delay and one-time jobs are settled when the run's last attempt
+        // finishes, so keep their fallback time clear of the retry
+        ...(job.schedule_type === 'fixed_delay' || job.schedule_type === 'once' ? [
+          prisma.cronJob.updateMany({
+            where: { id: job.id, status: 'active', schedule_type: job.schedule_type },
+            data: { next_execution: new Date(retryAt.getTime() + getMaxRunMs(job)) }
+          })
+        ] : [])
+      ]);
+    } catch (error) {
+      logger.error(`❌ Failed to schedule retry of job ${job.id}:`, error);
+      return false;
+    }
+
+    logger.info(`🔁 Retrying job ${job.name} in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts}, ${errorType})`);
+    return true;
+  }
+
+  /**
+   * Claim and run the retries that are due, as far as there are free execution slots
+   */
+  async pollDueRetries() {
+    try {
+      let claimedRetries;
+      let limit;
+
+      do {
+        limit = Math.min(this.getFreeSlots(), SCHEDULER_BATCH_SIZE);
+        if (limit <= 0) break;
+
+        claimedRetries = await this.claimDueRetries(limit);
+
+        for (const execution of claimedRetries) {
+          await this.runRetry(execution);
+        }
+      } while (claimedRetries.length === limit && this.isRunning);
+    } catch (error) {
+      logger.error('❌ Failed to poll due retries:', error);
+    }
+  }
+
+  /**
+   * Atomically claim a batch of failed executions whose retry is due, with
+   * their jobs. Clearing retry_at under FOR UPDATE SKIP LOCKED hands each
+   * retry to exactly one instance.
+   * @param {number} limit - Maximum number of retries to claim
+   * @returns {Array} Claimed execution records, each with its job
+   */
+  async claimDueRetries(limit) {
+    return prisma.$transaction(async (tx) => {
+      const dueRows = await tx.$queryRaw`
+        SELECT id FROM job_executions
+        WHERE retry_at <= (NOW() AT TIME ZONE 'UTC')
+        ORDER BY retry_at ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      `;
+
+      if (dueRows.length === 0) {
+        return [];
+      }
+
+      const ids = dueRows.map(row => row.id);
+      await tx.jobExecution.updateMany({
+        where: { id: { in: ids } },
+        data: { retry_at: null }
+      });
+
+      return tx.jobExecution.findMany({
+        where: { id: { in: ids } },
+        include: { job: true }
+      });
+    }, { timeout: 15000 });
+  }
+
+  /**
+   * Run the next attempt of a failed execution. When the job was paused in
+   * the meantime, the failed attempt is the run's last one; the run of a
+   * deleted job is dropped.
+   * @param {Object} execution - Failed execution, with its job as it is now
+   */
+  async runRetry(execution) {
+    const { job } = execution;
+
+    if (job.status === 'deleted') {
+      logger.info(`⏭️  Dropping retry of job ${job.id}: job was deleted`);
+      return;
+    }
+
+    if (job.status !== 'active') {
+      logger.info(`⏭️  Skipping retry of job ${job.id}: job is no longer active`);
+      await this.finishRun(job, execution.id, false);
+      return;
     }
+
+    this.dispatch(job, {
+      triggeredBy: 'retry',
+      attempt: execution.attempt + 1,
+      retryOf: execution.retry_of_id || execution.id
+    });
   }
 
   /**
@@ -280,10 +1389,14 @@ class JobWorkerService {
         throw new Error('Job not found');
       }
 
-      // Execute job immediately
-      await this.executeJob(job);
-      
-      return { success: true, message: 'Job triggered successfully' };
+      // Execute job immediately, subject to its concurrency policy
+      const outcome = await this.dispatch(job, { triggeredBy: 'manual' });
+
+      if (outcome === 'skipped') {
+        return { success: true, outcome, message: 'Job is already running, so this run was skipped' };
+      }
+
+      return { success: true, outcome, message: 'Job triggered successfully' };
     } catch (error) {
       logger.error(`❌ Failed to trigger job ${jobId}:`, error);
       throw error;
@@ -294,20 +1407,28 @@ class JobWorkerService {
    * Start maintenance tasks (cleanup, health checks, etc.)
    */
   startMaintenanceTasks() {
-    // Cleanup old executions every hour
-    cron.schedule('0 * * * *', async () => {
-      await this.cleanupOldExecutions();
-    });
+    this.maintenanceTasks = [
+      // Cleanup old executions every hour
+      cron.schedule('0 * * * *', async () => {
+        await this.runExclusive('cleanup-executions', 10 * 60 * 1000, () => this.cleanupOldExecutions());
+      }),
 
-    // Reload jobs every 5 minutes to catch database changes
-    cron.schedule('*/5 * * * *', async () => {
-      await this.reloadJobs();
-    });
+      // Close out executions orphaned by crashed workers every 5 minutes
+      cron.schedule('*/5 * * * *', async () => {
+        await this.runExclusive('reap-stale-executions', 4 * 60 * 1000, () => this.reapStaleExecutions());
+      }),
 
-    // Health check every minute
-    cron.schedule('* * * * *', async () => {
-      await this.healthCheck();
-    });
+      // Send notification digests every hour
+      cron.schedule('30 * * * *', async () => {
+        await this.runExclusive('notification-digests', 10 * 60 * 1000, () => notificationService.sendDigests());
+      }),
+
+      // Heartbeat and health check every minute
+      cron.schedule('* * * * *', async () => {
+        await this.heartbeat();
+        await this.healthCheck();
+      })
+    ];
   }
 
   /**
@@ -318,48 +1439,119 @@ class JobWorkerService {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - 30); // Keep 30 days
 
+      // Files of archived bodies go first; their rows are deleted with the executions
+      const removedArtifacts = await artifactStore.removeForExecutions({ executed_at: { lt: cutoffDate } });
+
       const deletedCount = await prisma.jobExecution.deleteMany({
         where: {
           executed_at: { lt: cutoffDate }
         }
       });
 
+      if (removedArtifacts > 0) {
+        logger.info(`🧹 Removed ${removedArtifacts} archived body files`);
+      }
+
       if (deletedCount.count > 0) {
         logger.info(`🧹 Cleaned up ${deletedCount.count} old job executions`);
       }
+
+      // Forget workers that have been gone for a day
+      await prisma.workerInstance.deleteMany({
+        where: {
+          last_heartbeat_at: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+        }
+      });
     } catch (error) {
       logger.error('❌ Failed to cleanup old executions:', error);
     }
   }
 
   /**
-   * Reload jobs from database (in case of external changes)
+   * Record that this instance is alive
+   */
+  async heartbeat() {
+    try {
+      const now = new Date();
+
+      await prisma.workerInstance.upsert({
+        where: { id: this.instanceId },
+        create: { id: this.instanceId, started_at: now, last_heartbeat_at: now },
+        update: { last_heartbeat_at: now }
+      });
+    } catch (error) {
+      logger.error('❌ Failed to record worker heartbeat:', error);
+    }
+  }
+
+  /**
+   * Mark executions left "running" by a crashed or restarted worker as abandoned.
+   * An execution is orphaned when this instance owns it but is not running it,
+   * when its worker stopped heartbeating, or when it outlived its timeout.
    */
-  async reloadJobs() {
+  async reapStaleExecutions() {
     try {
-      const activeJobs = await prisma.cronJob.findMany({
-        where: { status: 'active' },
+      // Runs of heartbeat monitors are closed by their pings, not by a worker
+      const runningExecutions = await prisma.jobExecution.findMany({
+        where: { status: 'running', job: { type: 'http' } },
+        select: {
+          id: true,
+          executed_at: true,
+          worker_id: true,
+          job: { select: { timeout_ms: true, steps: true } }
+        }
+      });
+
+      if (runningExecutions.length === 0) return;
+
+      const liveWorkers = await prisma.workerInstance.findMany({
+        where: {
+          last_heartbeat_at: { gte: new Date(Date.now() - WORKER_HEARTBEAT_TIMEOUT_MS) }
+        },
         select: { id: true }
       });
+      const liveWorkerIds = new Set(liveWorkers.map(worker => worker.id));
 
-      const activeJobIds = new Set(activeJobs.map(job => job.id));
-      const scheduledJobIds = new Set(this.scheduledJobs.keys());
+      // Group orphans by reason so each group is closed with one update
+      const orphans = new Map();
+      for (const execution of runningExecutions) {
+        const age = Date.now() - execution.executed_at.getTime();
+        const maxAge = getMaxRunMs(execution.job);
+        let reason = null;
 
-      // Remove jobs that are no longer active
-      for (const jobId of scheduledJobIds) {
-        if (!activeJobIds.has(jobId)) {
-          this.removeJob(jobId);
+        if (execution.worker_id === this.instanceId) {
+          if (!this.abortControllers.has(execution.id)) {
+            reason = 'Worker restarted while the execution was running';
+          }
+        } else if (execution.worker_id && !liveWorkerIds.has(execution.worker_id)) {
+          reason = `Worker ${execution.worker_id} stopped while the execution was running`;
+        } else if (age > maxAge) {
+          reason = 'Execution did not finish within its timeout';
         }
-      }
 
-      // Add new active jobs
-      for (const jobId of activeJobIds) {
-        if (!scheduledJobIds.has(jobId)) {
-          await this.addJob(jobId);
+        if (reason) {
+          orphans.set(reason, [...(orphans.get(reason) || []), execution.id]);
         }
       }
+
+      let reapedCount = 0;
+      for (const [reason, ids] of orphans) {
+        const { count } = await prisma.jobExecution.updateMany({
+          where: { id: { in: ids }, status: 'running' },
+          data: {
+            status: 'abandoned',
+            error_type: 'worker_lost',
+            error_message: reason
+          }
+        });
+        reapedCount += count;
+      }
+
+      if (reapedCount > 0) {
+        logger.warn(`🧟 Marked ${reapedCount} orphaned execution(s) as abandoned`);
+      }
     } catch (error) {
-      logger.error('❌ Failed to reload jobs:', error);
+      logger.error('❌ Failed to reap stale executions:', error);
     }
   }
 
@@ -369,8 +1561,10 @@ class JobWorkerService {
   async healthCheck() {
     try {
       const stats = {
+        instanceId: this.instanceId,
         isRunning: this.isRunning,
-        scheduledJobs: this.scheduledJobs.size,
+        activeExecutions: this.activeExecutions.size,
+        lastPollAt: this.lastPollAt,
         uptime: process.uptime(),
         memory: process.memoryUsage()
       };
@@ -386,9 +1580,14 @@ class JobWorkerService {
    */
   getStats() {
     return {
+      instanceId: this.instanceId,
       isRunning: this.isRunning,
-      scheduledJobs: this.scheduledJobs.size,
-      jobIds: Array.from(this.scheduledJobs.keys()),
+      activeExecutions: this.activeExecutions.size,
+      waitingForSlot: this.executionSlots.pending,
+      maxConcurrency: WORKER_MAX_CONCURRENCY,
+      queuedRuns: [...this.queuedRuns.values()].reduce((total, queue) => total + queue.length, 0),
+      lastPollAt: this.lastPollAt,
+      pollIntervalMs: SCHEDULER_POLL_INTERVAL_MS,
       uptime: process.uptime(),
       memory: process.memoryUsage()
     };
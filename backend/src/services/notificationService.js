@@ -0,0 +1,214 @@
+// backend/src/services/notificationService.js
+const { prisma } = require('../models');
+const logger = require('../utils/logger');
+const { notifiers } = require('./notifiers');
+
+class NotificationService {
+  /**
+   * Evaluate a job's notification rules after a run has finished
+   * (i.e. after its last retry) and notify the matching channels
+   * @param {Object} job - Job record
+   * @param {Object} execution - Final execution record of the run
+   * @param {Object} outcome - { succeeded, consecutiveFailures, previousConsecutiveFailures }
+   */
+  async notifyExecutionOutcome(job, execution, { succeeded, consecutiveFailures, previousConsecutiveFailures }) {
+    try {
+      const subscriptions = await prisma.jobNotification.findMany({
+        where: {
+          job_id: job.id,
+          channel: { enabled: true }
+        },
+        include: { channel: true }
+      });
+
+      for (const subscription of subscriptions) {
+        let event = null;
+
+        if (!succeeded && subscription.on_failure && consecutiveFailures >= subscription.failure_threshold) {
+          event = 'failure';
+        } else if (succeeded && subscription.on_recovery && previousConsecutiveFailures >= subscription.failure_threshold) {
+          // Only a failure streak that was worth alerting about is worth a recovery message
+          event = 'recovery';
+        }
+
+        if (!event) continue;
+
+        const notification = this.buildNotification(event, job, execution, consecutiveFailures);
+        const context = { jobId: job.id, executionId: execution.id };
+
+        if (subscription.digest) {
+          await this.queueForDigest(subscription.channel, notification, context);
+        } else {
+          await this.deliver(subscription.channel, notification, context);
+        }
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to process notifications for job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Build the notification content for a job event
+   */
+  buildNotification(event, job, execution, consecutiveFailures) {
+    const title = event === 'failure'
+      ? `❌ Job failed: ${job.name}`
+      : `✅ Job recovered: ${job.name}`;
+
+    const lines = [
+      `Job: ${job.name} (ID: ${job.id})`,
+      job.type === 'heartbeat' ? 'Type: heartbeat monitor' : `URL: ${job.method} ${job.url}`,
+      `Status: ${execution.status}${execution.response_code ? ` (HTTP ${execution.response_code})` : ''}`,
+      `Executed at: ${new Date(execution.executed_at).toISOString()}`
+    ];
+
+    if (event === 'failure') {
+      lines.push(`Consecutive failures: ${consecutiveFailures}`);
+      if (execution.error_message) {
+        lines.push(`Error: ${execution.error_message}`);
+      }
+    }
+
+    return {
+      event,
+      title,
+      text: lines.join('\n'),
+      job: {
+        id: job.id,
+        name: job.name,
+        type: job.type,
+        url: job.url,
+        method: job.method
+      },
+      execution: {
+        id: execution.id,
+        status: execution.status,
+        responseCode: execution.response_code,
+        errorMessage: execution.error_message,
+        executedAt: execution.executed_at
+      },
+      consecutiveFailures,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send a notification through a channel and log the attempt
+   * @returns {Object} Notification log record
+   */
+  async deliver(channel, notification, { jobId = null, executionId = null } = {}) {
+    const send = notifiers[channel.type];
+    let status = 'sent';
+    let errorMessage = null;
+
+    try {
+      if (!send) {
+        throw new Error(`Unsupported channel type: ${channel.type}`);
+      }
+
+      await send(channel.config, notification);
+      logger.info(`📣 Sent ${notification.event} notification via ${channel.type} channel "${channel.name}"`);
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+      logger.error(`❌ Failed to send notification via channel ${channel.id}:`, error);
+    }
+
+    return prisma.notificationLog.create({
+      data: {
+        channel_id: channel.id,
+        job_id: jobId,
+        execution_id: executionId,
+        event: notification.event,
+        status,
+        payload: notification,
+        error_message: errorMessage
+      }
+    });
+  }
+
+  /**
+   * Store a notification to be sent with the channel's next digest
+   */
+  async queueForDigest(channel, notification, { jobId = null, executionId = null } = {}) {
+    await prisma.notificationLog.create({
+      data: {
+        channel_id: channel.id,
+        job_id: jobId,
+        execution_id: executionId,
+        event: notification.event,
+        status: 'queued',
+        payload: notification
+      }
+    });
+
+    logger.debug(`📥 Queued ${notification.event} notification for digest on channel ${channel.id}`);
+  }
+
+  /**
+   * Send one digest per channel with everything queued since the last digest
+   */
+  async sendDigests() {
+    try {
+      const queued = await prisma.notificationLog.findMany({
+        where: { status: 'queued' },
+        include: { channel: true },
+        orderBy: { created_at: 'asc' }
+      });
+
+      const byChannel = new Map();
+      for (const entry of queued) {
+        if (!byChannel.has(entry.channel_id)) {
+          byChannel.set(entry.channel_id, { channel: entry.channel, entries: [] });
+        }
+        byChannel.get(entry.channel_id).entries.push(entry);
+      }
+
+      for (const { channel, entries } of byChannel.values()) {
+        if (channel.enabled) {
+          const failures = entries.filter(entry => entry.event === 'failure').length;
+          const recoveries = entries.filter(entry => entry.event === 'recovery').length;
+
+          await this.deliver(channel, {
+            event: 'digest',
+            title: `CronMaster digest: ${failures} failure(s), ${recoveries} recovery(ies)`,
+            text: entries
+              .map(entry => `[${new Date(entry.created_at).toISOString()}] ${entry.payload.title}`)
+              .join('\n'),
+            items: entries.map(entry => entry.payload),
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        await prisma.notificationLog.updateMany({
+          where: { id: { in: entries.map(entry => entry.id) } },
+          data: { status: channel.enabled ? 'digested' : 'dropped' }
+        });
+      }
+
+      if (byChannel.size > 0) {
+        logger.info(`📬 Processed notification digests for ${byChannel.size} channel(s)`);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to send notification digests:', error);
+    }
+  }
+
+  /**
+   * Send a test notification through a channel
+   * @returns {Object} Notification log record
+   */
+  async sendTestNotification(channel) {
+    return this.deliver(channel, {
+      event: 'test',
+      title: 'CronMaster test notification',
+      text: `This is a test notification for the "${channel.name}" channel.`,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
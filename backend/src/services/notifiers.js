@@ -0,0 +1,86 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { assertUrlAllowed, resolveAllowedHost, getPolicyRequestOptions } = require('../utils/urlPolicy');
+
+const NOTIFIER_TIMEOUT_MS = 10000;
+
+/**
+ * Send a notification by email over SMTP.
+ * Channel settings take precedence over the SMTP_* environment defaults.
+ */
+const sendEmail = async (config, notification) => {
+  const username = config.username || process.env.SMTP_USER;
+  const password = config.password || process.env.SMTP_PASSWORD;
+
+  // A channel's own SMTP host is held to the outbound URL policy; the
+  // SMTP_HOST default is the operator's. Connecting to the checked address
+  // keeps a second DNS answer from pointing elsewhere.
+  let host = process.env.SMTP_HOST;
+  let tls;
+  if (config.host) {
+    host = (await resolveAllowedHost(config.host)) || config.host;
+    tls = { servername: config.host };
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    tls,
+    port: config.port || parseInt(process.env.SMTP_PORT) || 587,
+    secure: config.secure ?? process.env.SMTP_SECURE === 'true',
+    auth: username ? { user: username, pass: password } : undefined,
+    connectionTimeout: NOTIFIER_TIMEOUT_MS,
+    greetingTimeout: NOTIFIER_TIMEOUT_MS,
+    socketTimeout: NOTIFIER_TIMEOUT_MS
+  });
+
+  await transporter.sendMail({
+    from: config.from || process.env.SMTP_FROM || 'CronMaster <no-reply@cronmaster.local>',
+    to: config.to.join(', '),
+    subject: notification.title,
+    text: notification.text
+  });
+};
+
+/**
+ * Send a notification to a Slack or Discord incoming webhook
+ */
+const sendChatWebhook = async (config, notification) => {
+  const payload = config.flavor === 'discord'
+    ? { content: `**${notification.title}**\n${notification.text}` }
+    : { text: `*${notification.title}*\n${notification.text}` };
+
+  assertUrlAllowed(config.url);
+  await axios.post(config.url, payload, {
+    ...getPolicyRequestOptions(),
+    timeout: NOTIFIER_TIMEOUT_MS,
+    headers: { 'User-Agent': 'CronMaster/1.0' }
+  });
+};
+
+/**
+ * Send the full notification as JSON to a generic webhook
+ */
+const sendWebhook = async (config, notification) => {
+  assertUrlAllowed(config.url);
+  await axios.post(config.url, notification, {
+    ...getPolicyRequestOptions(),
+    timeout: NOTIFIER_TIMEOUT_MS,
+    headers: {
+      'User-Agent': 'CronMaster/1.0',
+      'Content-Type': 'application/json',
+      ...config.headers
+    }
+  });
+};
+
+// Channel type -> sender
+const notifiers = {
+  email: sendEmail,
+  slack: sendChatWebhook,
+  webhook: sendWebhook
+};
+
+module.exports = {
+  NOTIFIER_TIMEOUT_MS,
+  notifiers
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { serializeRequestBody } = require('../utils/httpUtils');
+const { assertUrlAllowed, isUrlPolicyError, getPolicyRequestOptions } = require('../utils/urlPolicy');
+
+const TOKEN_REQUEST_TIMEOUT_MS = 10000;
+
+// Refresh cached tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+// Used when the token endpoint does not say how long a token lives
+const DEFAULT_TOKEN_LIFETIME_MS = 5 * 60 * 1000;
+
+// OAuth2 access tokens keyed by token endpoint and client
+const tokenCache = new Map();
+
+/**
+ * Error raised when credentials for a request cannot be obtained
+ */
+class AuthTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.code = 'AUTH_TOKEN_ERROR';
+  }
+}
+
+/**
+ * Get an OAuth2 access token with the client credentials grant, from cache when still valid
+ * @param {Object} auth - Rendered oauth2_client_credentials auth block
+ * @param {AbortSignal} signal - Aborts the token request with the execution
+ * @returns {Promise<string>} Access token
+ */
+const getClientCredentialsToken = async (auth, signal) => {
+  const cacheKey = crypto
+    .createHash('sha256')
+    .update([auth.tokenUrl, auth.clientId, auth.clientSecret, auth.scope, auth.audience].join('\n'))
+    .digest('hex');
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const params = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (auth.scope) params.set('scope', auth.scope);
+  if (auth.audience) params.set('audience', auth.audience);
+
+  const headers = {
+    'User-Agent': 'CronMaster/1.0',
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  if (auth.clientAuth === 'body') {
+    params.set('client_id', auth.clientId);
+    params.set('client_secret', auth.clientSecret);
+  } else {
+    const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  let response;
+  try {
+    assertUrlAllowed(auth.tokenUrl);
+    response = await axios.post(auth.tokenUrl, params.toString(), {
+      ...getPolicyRequestOptions(),
+      headers,
+      signal,
+      timeout: TOKEN_REQUEST_TIMEOUT_MS
+    });
+  } catch (error) {
+    if (axios.isCancel(error) || isUrlPolicyError(error)) throw error;
+
+    const detail = error.response
+      ? `HTTP ${error.response.status}${error.response.data?.error ? ` (${error.response.data.error})` : ''}`
+      : error.message;
+    throw new AuthTokenError(`Failed to obtain OAuth2 token from ${auth.tokenUrl}: ${detail}`);
+  }
+
+  const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+  if (!accessToken) {
+    throw new AuthTokenError(`OAuth2 token response from ${auth.tokenUrl} did not include an access_token`);
+  }
+
+  const lifetimeMs = Number(expiresIn) > 0 ? Number(expiresIn) * 1000 : DEFAULT_TOKEN_LIFETIME_MS;
+  tokenCache.set(cacheKey, { accessToken, expiresAt: Date.now() + lifetimeMs });
+  logger.debug(`🔑 Fetched OAuth2 token from ${auth.tokenUrl} (valid for ${Math.round(lifetimeMs / 1000)}s)`);
+
+  return accessToken;
+};
+
+/**
+ * Sign the request with an HMAC over method, path, timestamp and body
+ */
+const signRequest = (auth, requestOptions) => {
+  // Sign exactly the bytes that will be sent
+  const body = serializeRequestBody(requestOptions);
+
+  const url = new URL(requestOptions.url);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const payload = [requestOptions.method.toUpperCase(), url.pathname + url.search, timestamp, body].join('\n');
+
+  const signature = crypto
+    .createHmac(auth.algorithm || 'sha256', auth.secret)
+    .update(payload)
+    .digest(auth.encoding || 'hex');
+
+  requestOptions.headers[auth.timestampHeader || 'X-Timestamp'] = timestamp;
+  requestOptions.headers[auth.signatureHeader || 'X-Signature'] = signature;
+};
+
+/**
+ * Add a job's authentication to the outgoing request
+ * @param {Object|null} auth - Rendered auth block of the job
+ * @param {Object} requestOptions - axios request options, modified in place
+ */
+const applyAuth = async (auth, requestOptions) => {
+  if (!auth) return;
+
+  switch (auth.type) {
+    case 'basic': {
+      const credentials = Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+      requestOptions.headers.Authorization = `Basic ${credentials}`;
+      break;
+    }
+    case 'bearer':
+      requestOptions.headers.Authorization = `Bearer ${auth.token}`;
+      break;
+    case 'oauth2_client_credentials': {
+      const token = await getClientCredentialsToken(auth, requestOptions.signal);
+      requestOptions.headers.Authorization = `Bearer ${token}`;
+      break;
+    }
+    case 'api_key':
+      if (auth.in === 'query') {
+        const url = new URL(requestOptions.url);
+        url.searchParams.set(auth.name, auth.value);
+        requestOptions.url = url.toString();
+      } else {
+        requestOptions.headers[auth.name] = auth.value;
+      }
+      break;
+    case 'hmac':
+      signRequest(auth, requestOptions);
+      break;
+    default:
+      throw new AuthTokenError(`Unsupported auth type: ${auth.type}`);
+  }
+};
+
+module.exports = {
+  AuthTokenError,
+  applyAuth
+};
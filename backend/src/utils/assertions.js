@@ -0,0 +1,195 @@
+const { queryJsonPath } = require('./jsonPath');
+const { execRegex } = require('./safeRegex');
+
+const ASSERTION_TYPES = ['status', 'jsonPath', 'body', 'header', 'latency'];
+
+/**
+ * Check whether a status code matches an expected value
+ * @param {number} statusCode - Actual status code
+ * @param {number|string} expected - 204, "2xx" or "200-299"
+ * @returns {boolean} Whether the status matches
+ */
+const matchesStatus = (statusCode, expected) => {
+  if (typeof expected === 'number') {
+    return statusCode === expected;
+  }
+
+  const classMatch = /^([1-5])xx$/i.exec(expected);
+  if (classMatch) {
+    return Math.floor(statusCode / 100) === parseInt(classMatch[1], 10);
+  }
+
+  const rangeMatch = /^(\d{3})-(\d{3})$/.exec(expected);
+  if (rangeMatch) {
+    return statusCode >= parseInt(rangeMatch[1], 10) && statusCode <= parseInt(rangeMatch[2], 10);
+  }
+
+  return statusCode === parseInt(expected, 10);
+};
+
+/**
+ * Get the response body as text
+ */
+const getBodyText = (data) => {
+  if (data === undefined || data === null) return '';
+  return typeof data === 'string' ? data : JSON.stringify(data);
+};
+
+/**
+ * Get the response body as parsed JSON (undefined if it is not JSON)
+ */
+const getBodyJson = (data) => {
+  if (typeof data !== 'string') return data;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Compare two JSON values structurally
+ */
+const isJsonEqual = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+/**
+ * Evaluate a single assertion
+ * @returns {string|null} Failure message, or null when the assertion passed
+ */
+const checkAssertion = (assertion, response) => {
+  switch (assertion.type) {
+    case 'status': {
+      const passed = assertion.values.some(expected => matchesStatus(response.status, expected));
+      return passed
+        ? null
+        : `Expected status ${assertion.values.join(', ')} but got ${response.status}`;
+    }
+
+    case 'jsonPath': {
+      const json = getBodyJson(response.data);
+      if (json === undefined) {
+        return `Response body is not valid JSON, cannot evaluate ${assertion.path}`;
+      }
+
+      const { found, value } = queryJsonPath(json, assertion.path);
+
+      if (assertion.exists !== undefined) {
+        if (found === assertion.exists) return null;
+        return assertion.exists
+          ? `Expected ${assertion.path} to exist`
+          : `Expected ${assertion.path} not to exist`;
+      }
+
+      if (!found) {
+        return `Expected ${assertion.path} to equal ${JSON.stringify(assertion.equals)} but it does not exist`;
+      }
+
+      return isJsonEqual(value, assertion.equals)
+        ? null
+        : `Expected ${assertion.path} to equal ${JSON.stringify(assertion.equals)} but got ${JSON.stringify(value)}`;
+    }
+
+    case 'body': {
+      const text = getBodyText(response.data);
+
+      if (assertion.contains !== undefined) {
+        return text.includes(assertion.contains)
+          ? null
+          : `Expected response body to contain "${assertion.contains}"`;
+      }
+
+      if (assertion.notContains !== undefined) {
+        return text.includes(assertion.notContains)
+          ? `Expected response body not to contain "${assertion.notContains}"`
+          : null;
+      }
+
+      return execRegex(assertion.regex, assertion.flags, text)
+        ? null
+        : `Expected response body to match /${assertion.regex}/${assertion.flags || ''}`;
+    }
+
+    case 'header': {
+      const headerName = assertion.name.toLowerCase();
+      const rawValue = response.headers ? response.headers[headerName] : undefined;
+      const value = Array.isArray(rawValue) ? rawValue.join(', ') : rawValue;
+      const present = value !== undefined && value !== null;
+
+      if (assertion.exists !== undefined) {
+        if (present === assertion.exists) return null;
+        return assertion.exists
+          ? `Expected header "${assertion.name}" to be present`
+          : `Expected header "${assertion.name}" to be absent`;
+      }
+
+      if (!present) {
+        return `Expected header "${assertion.name}" to be present`;
+      }
+
+      if (assertion.equals !== undefined) {
+        return String(value) === assertion.equals
+          ? null
+          : `Expected header "${assertion.name}" to equal "${assertion.equals}" but got "${value}"`;
+      }
+
+      return String(value).includes(assertion.contains)
+        ? null
+        : `Expected header "${assertion.name}" to contain "${assertion.contains}" but got "${value}"`;
+    }
+
+    case 'latency':
+      return response.duration <= assertion.maxMs
+        ? null
+        : `Expected response within ${assertion.maxMs}ms but took ${response.duration}ms`;
+
+    default:
+      return `Unknown assertion type: ${assertion.type}`;
+  }
+};
+
+/**
+ * Evaluate a job's assertions against a response.
+ *
+ * Without an explicit status assertion, any 2xx status is required,
+ * which matches the behavior of jobs that have no assertions at all.
+ *
+ * @param {Array|null} assertions - Job assertions
+ * @param {Object} response - { status, headers, data, duration }
+ * @returns {Object} { passed, failures, statusFailed }
+ */
+const evaluateAssertions = (assertions, response) => {
+  const checks = Array.isArray(assertions) ? [...assertions] : [];
+
+  if (!checks.some(assertion => assertion.type === 'status')) {
+    checks.unshift({ type: 'status', values: ['2xx'] });
+  }
+
+  const failures = [];
+  for (const assertion of checks) {
+    let message;
+    try {
+      message = checkAssertion(assertion, response);
+    } catch (error) {
+      message = `Assertion could not be evaluated: ${error.message}`;
+    }
+
+    if (message) {
+      failures.push({ ...assertion, message });
+    }
+  }
+
+  return {
+    passed: failures.length === 0,
+    failures,
+    statusFailed: failures.some(failure => failure.type === 'status')
+  };
+};
+
+module.exports = {
+  ASSERTION_TYPES,
+  matchesStatus,
+  getBodyText,
+  getBodyJson,
+  evaluateAssertions
+};
@@ -0,0 +1,321 @@
+const { CronExpressionParser } = require('cron-parser');
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Longest each month can be, so "31 in February" is caught before scheduling
+const MAX_DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Fields of a cron expression, in order. The seconds field is optional and
+ * defaults to 0 when an expression has five fields.
+ */
+const FIELDS = [
+  { key: 'second', label: 'Second', min: 0, max: 59 },
+  { key: 'minute', label: 'Minute', min: 0, max: 59 },
+  { key: 'hour', label: 'Hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', label: 'Day of month', min: 1, max: 31 },
+  { key: 'month', label: 'Month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { key: 'dayOfWeek', label: 'Day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Shorthand schedules and the five-field expressions they stand for
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const NEAREST_WEEKDAY = /^(L|\d+)W$/i;
+
+// Longest run of skipped candidates before a nearest-weekday schedule gives up
+const MAX_NEAREST_WEEKDAY_CANDIDATES = 100000;
+
+/**
+ * Error for an expression that is not valid cron syntax.
+ * `field` names the offending field (e.g. "hour"), or is null when the
+ * expression as a whole is wrong.
+ */
+class CronSyntaxError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'CronSyntaxError';
+    this.code = 'CRON_SYNTAX';
+    this.field = field;
+  }
+}
+
+const fieldError = (field, message) => new CronSyntaxError(`${field.label} field: ${message}`, field.key);
+
+/**
+ * Parse one value of a field: a number or, for months and days of the week, a name
+ */
+const parseValue = (field, text) => {
+  let value;
+
+  if (/^\d+$/.test(text)) {
+    value = parseInt(text, 10);
+  } else if (field.names && field.names.includes(text.toUpperCase())) {
+    value = field.names.indexOf(text.toUpperCase()) + field.nameOffset;
+  } else {
+    const expected = field.names
+      ? `a number or a name (${field.names[0]}-${field.names[field.names.length - 1]})`
+      : 'a number';
+    throw fieldError(field, `"${text}" is not ${expected}`);
+  }
+
+  if (value < field.min || value > field.max) {
+    throw fieldError(field, `${text} is out of range (${field.min}-${field.max})`);
+  }
+  return value;
+};
+
+/**
+ * Check one comma separated entry of a field: *, a value or range, either
+ * with an optional /step, or one of the day-of-month and day-of-week specials
+ * @returns {Array<number>|null} Plain values the entry selects, or null when it is not a plain value
+ */
+const parseEntry = (field, entry) => {
+  if (entry === '') {
+    throw fieldError(field, 'list has an empty entry');
+  }
+
+  if (field.key === 'dayOfMonth' && /^L$/i.test(entry)) {
+    return null;
+  }
+
+  if (field.key === 'dayOfWeek') {
+    const lastWeekday = entry.match(/^(\w+)L$/i);
+    if (lastWeekday) {
+      parseValue(field, lastWeekday[1]);
+      return null;
+    }
+
+    const nthWeekday = entry.match(/^(\w+)#(\d+)$/);
+    if (nthWeekday) {
+      parseValue(field, nthWeekday[1]);
+      const nth = parseInt(nthWeekday[2], 10);
+      if (nth < 1 || nth > 5) {
+        throw fieldError(field, `"${entry}" asks for occurrence ${nth}; use 1-5`);
+      }
+      return null;
+    }
+  }
+
+  const match = entry.match(/^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(.*))?$/);
+  if (!match) {
+    throw fieldError(field, `"${entry}" is not a value, range or step`);
+  }
+
+  const [, base, stepText] = match;
+  let start = field.min;
+  let end = field.max;
+
+  if (base !== '*') {
+    const [startText, endText] = base.split('-');
+    start = parseValue(field, startText);
+    end = endText === undefined ? (stepText === undefined ? start : field.max) : parseValue(field, endText);
+
+    if (start > end) {
+      throw fieldError(field, `range ${base} runs backwards`);
+    }
+  }
+
+  if (stepText !== undefined) {
+    if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) < 1 || parseInt(stepText, 10) > field.max) {
+      throw fieldError(field, `step "${stepText}" in "${entry}" must be a number from 1 to ${field.max}`);
+    }
+  }
+
+  if (base === '*' && stepText === undefined) {
+    return null;
+  }
+
+  const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+  const values = [];
+  for (let value = start; value <= end; value += step) {
+    values.push(value);
+  }
+  return values;
+};
+
+/**
+ * Check a whole field
+ * @returns {Array<number>|null} Plain values selected, or null when the field has wildcards or specials
+ */
+const parseField = (field, text) => {
+  if (text === '?') {
+    if (field.key !== 'dayOfMonth' && field.key !== 'dayOfWeek') {
+      throw fieldError(field, '"?" is only allowed for day of month and day of week');
+    }
+    return null;
+  }
+
+  if (field.key === 'dayOfMonth' && NEAREST_WEEKDAY.test(text)) {
+    const [, day] = text.match(NEAREST_WEEKDAY);
+    if (day.toUpperCase() !== 'L') {
+      parseValue(field, day);
+    }
+    return null;
+  }
+
+  if (/W/i.test(text) && field.key === 'dayOfMonth') {
+    throw fieldError(field, `"${text}" is not valid; W takes a single day, e.g. 15W or LW`);
+  }
+
+  const entries = text.split(',').map(entry => parseEntry(field, entry));
+  return entries.some(values => values === null) ? null : entries.flat();
+};
+
+/**
+ * Six-field expression for cron-parser. W days are widened to every day that
+ * can be their nearest weekday; the iterator filters them afterwards.
+ */
+const toParserExpression = (fields) => {
+  const nearestWeekday = fields.dayOfMonth.match(NEAREST_WEEKDAY);
+  let dayOfMonth = fields.dayOfMonth;
+
+  if (nearestWeekday) {
+    const day = nearestWeekday[1].toUpperCase() === 'L' ? null : parseInt(nearestWeekday[1], 10);
+    dayOfMonth = day === null ? '26-31' : `${Math.max(1, day - 2)}-${Math.min(31, day + 2)}`;
+  }
+
+  return FIELDS.map(field => (field.key === 'dayOfMonth' ? dayOfMonth : fields[field.key]))
+    .join(' ')
+    .replace(/\?/g, '*')
+    .toUpperCase();
+};
+
+/**
+ * Parse and check a cron expression.
+ *
+ * Supports five fields (minute hour day-of-month month day-of-week), an
+ * optional leading seconds field, lists, ranges, steps on * and on ranges,
+ * month and day names, L (last day, or last given weekday), W (nearest
+ * weekday), # (nth weekday), ? and @daily-style macros.
+ *
+ * @param {string} expression - Cron expression
+ * @returns {Object} { fields, hasSeconds, macro } - fields maps field keys to
+ *   their text, with second "0" when the expression has five fields
+ * @throws {CronSyntaxError} When the expression is not valid, naming the field at fault
+ */
+const parseCron = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new CronSyntaxError('Cron expression is empty');
+  }
+
+  const trimmed = expression.trim();
+  let macro = null;
+  let parts;
+
+  if (trimmed.startsWith('@')) {
+    macro = trimmed.toLowerCase();
+    if (!CRON_MACROS[macro]) {
+      throw new CronSyntaxError(`Unknown macro "${trimmed}"; use one of ${Object.keys(CRON_MACROS).join(', ')}`);
+    }
+    parts = CRON_MACROS[macro].split(' ');
+  } else {
+    parts = trimmed.split(/\s+/);
+  }
+
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new CronSyntaxError(
+      `Cron expression has ${parts.length} field${parts.length === 1 ? '' : 's'}; expected 5 (minute hour day-of-month month day-of-week) or 6 with seconds first`
+    );
+  }
+
+  const hasSeconds = parts.length === 6;
+  const texts = hasSeconds ? parts : ['0', ...parts];
+  const fields = {};
+  const values = {};
+
+  FIELDS.forEach((field, index) => {
+    fields[field.key] = texts[index];
+    values[field.key] = parseField(field, texts[index]);
+  });
+
+  const [dayOfMonthField, monthField, dayOfWeekField] = FIELDS.slice(3);
+
+  if (fields.dayOfMonth === '?' && fields.dayOfWeek === '?') {
+    throw fieldError(dayOfWeekField, '"?" cannot be used for both day of month and day of week');
+  }
+
+  if (NEAREST_WEEKDAY.test(fields.dayOfMonth) && !['*', '?'].includes(fields.dayOfWeek)) {
+    throw fieldError(dayOfWeekField, `must be * or ? when day of month uses W (${fields.dayOfMonth})`);
+  }
+
+  // A day that no selected month has would never run
+  if (values.dayOfMonth) {
+    const months = values.month || MONTH_NAMES.map((name, index) => index + 1);
+    const longestMonth = Math.max(...months.map(month => MAX_DAYS_IN_MONTH[month - 1]));
+    if (Math.min(...values.dayOfMonth) > longestMonth) {
+      throw fieldError(dayOfMonthField, `day ${fields.dayOfMonth} never occurs in month ${fields.month}`);
+    }
+  }
+
+  // Leave cron-parser's own checks to catch anything the grammar above lets through
+  try {
+    CronExpressionParser.parse(toParserExpression(fields), { tz: 'UTC' });
+  } catch (error) {
+    throw new CronSyntaxError(`Invalid cron expression: ${error.message}`);
+  }
+
+  return { fields, hasSeconds, macro };
+};
+
+/**
+ * Day of the month a W day falls on in a given month, or null when the month
+ * does not have that day. Never moves into another month.
+ * @param {string} day - Day of month before W, or "L" for the last day
+ */
+const getNearestWeekday = (day, year, month) => {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const target = day.toUpperCase() === 'L' ? daysInMonth : parseInt(day, 10);
+  if (target > daysInMonth) return null;
+
+  const weekday = new Date(Date.UTC(year, month - 1, target)).getUTCDay();
+  if (weekday === 6) return target === 1 ? 3 : target - 1;
+  if (weekday === 0) return target === daysInMonth ? target - 2 : target + 1;
+  return target;
+};
+
+/**
+ * Iterate the run times of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Object} options - { tz, currentDate }; times are after currentDate
+ * @returns {Object} { next() } returning the next run time as a Date
+ * @throws {CronSyntaxError} When the expression is not valid
+ */
+const createCronIterator = (expression, { tz = 'UTC', currentDate = new Date() } = {}) => {
+  const { fields } = parseCron(expression);
+  const interval = CronExpressionParser.parse(toParserExpression(fields), { tz, currentDate });
+  const nearestWeekday = fields.dayOfMonth.match(NEAREST_WEEKDAY);
+
+  if (!nearestWeekday) {
+    return { next: () => interval.next().toDate() };
+  }
+
+  return {
+    next: () => {
+      for (let candidates = 0; candidates < MAX_NEAREST_WEEKDAY_CANDIDATES; candidates++) {
+        const date = interval.next();
+        // CronDate getters are in the schedule's timezone
+        if (date.getDate() === getNearestWeekday(nearestWeekday[1], date.getFullYear(), date.getMonth() + 1)) {
+          return date.toDate();
+        }
+      }
+      throw new Error(`No run time found for "${expression}"`);
+    }
+  };
+};
+
+module.exports = {
+  CRON_MACROS,
+  CronSyntaxError,
+  parseCron,
+  createCronIterator
+};
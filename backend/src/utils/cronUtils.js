@@ -1,58 +1,125 @@
 const logger = require('./logger');
-
-// Try different import methods for cron-parser
-let cronParser;
-let parseExpression;
-try {
-  cronParser = require('cron-parser');
-  parseExpression = cronParser.parseExpression;
-} catch (error) {
-  logger.error('Failed to import cron-parser:', error);
-  cronParser = null;
-  parseExpression = null;
-}
+const { parseCron, createCronIterator } = require('./cronExpression');
+const { createRecurrenceIterator, describeRecurrence } = require('./recurrence');
+const { toWallClock, fromWallClock, formatWallClock, getUtcOffsetMinutes } = require('./wallClock');
 
 /**
- * Validate cron expression using cron-parser
+ * Validate a cron expression
  * @param {string} cronExpression - Cron expression to validate
- * @returns {Object} Validation result
+ * @returns {Object} { isValid, error, field } - field names the offending cron field, if any
  */
 const validateCronExpression = (cronExpression) => {
   try {
-    if (!cronParser) {
-      return { isValid: false, error: 'cron-parser not available' };
-    }
-    
-    // Use cron-parser to validate
-    cronParser.parseExpression(cronExpression);
+    parseCron(cronExpression);
     return { isValid: true };
   } catch (error) {
     return {
       isValid: false,
-      error: error.message || 'Invalid cron expression'
+      error: error.message || 'Invalid cron expression',
+      field: error.field || null
     };
   }
 };
 
+// How a job is scheduled: by cron expression, at a fixed rate, a fixed delay
+// after each run, by an iCalendar recurrence rule, or once at a given time
+const SCHEDULE_TYPES = ['cron', 'interval', 'fixed_delay', 'rrule', 'once'];
+
+// A run time without a UTC offset, read in the job's timezone
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?$/;
+
+/**
+ * Resolve the run time of a one-time job. Times with a UTC offset or Z are
+ * exact; local times like "2026-11-01T09:00" are read in the timezone.
+ * @param {string} runAt - ISO 8601 date-time
+ * @param {string} timezone - Timezone for local times
+ * @returns {Date} Run time
+ */
+const resolveRunAt = (runAt, timezone = 'UTC') => {
+  const local = runAt.match(LOCAL_DATE_TIME);
+  if (!local) {
+    return new Date(runAt);
+  }
+
+  const [year, month, day, hour, minute, second = 0] = local.slice(1).map(value => parseInt(value || 0, 10));
+  return fromWallClock(new Date(Date.UTC(year, month - 1, day, hour, minute, second)), timezone);
+};
+
+/**
+ * Normalize a schedule given as a cron expression or as a job record
+ * @param {string|Object} schedule - Cron expression, or { schedule_type, cron_expression, rrule, interval_seconds, schedule_anchor, run_at }
+ * @returns {Object} { type, cronExpression, recurrence, intervalMs, anchor, runAt }
+ */
+const toSchedule = (schedule) => {
+  if (typeof schedule === 'string') {
+    return { type: 'cron', cronExpression: schedule, recurrence: null, intervalMs: null, anchor: null, runAt: null };
+  }
+
+  return {
+    type: schedule.schedule_type || 'cron',
+    cronExpression: schedule.cron_expression,
+    recurrence: schedule.rrule,
+    intervalMs: schedule.interval_seconds ? schedule.interval_seconds * 1000 : null,
+    anchor: schedule.schedule_anchor ? new Date(schedule.schedule_anchor) : null,
+    runAt: schedule.run_at ? new Date(schedule.run_at) : null
+  };
+};
+
 /**
- * Calculate next execution time using cron-parser
- * @param {string} cronExpression - Cron expression
+ * First run of a fixed-rate schedule after a date. Runs fall on
+ * anchor + n * interval, so a late run never shifts the ones after it.
+ */
+const getNextIntervalTime = (anchor, intervalMs, fromDate) => {
+  const start = anchor || fromDate;
+  if (fromDate < start) {
+    return new Date(start.getTime());
+  }
+
+  const periods = Math.floor((fromDate.getTime() - start.getTime()) / intervalMs) + 1;
+  return new Date(start.getTime() + periods * intervalMs);
+};
+
+/**
+ * Calculate next execution time
+ * @param {string|Object} schedule - Cron expression, or a job record with its schedule fields
  * @param {string} timezone - Timezone (default: UTC)
- * @returns {Date|null} Next execution time
+ * @param {Date} fromDate - Find the first execution after this date (default: now). For
+ *   fixed-delay schedules this is when the previous run finished.
+ * @returns {Date|null} Next execution time, or null when a recurrence or one-time schedule has no runs left
  */
-const getNextExecutionTime = (cronExpression, timezone = 'UTC') => {
-  try {
-    if (!cronParser) {
-      logger.error('cron-parser not available, using fallback calculation');
-      return getFallbackNextExecution(cronExpression);
+const getNextExecutionTime = (schedule, timezone = 'UTC', fromDate = new Date()) => {
+  const { type, cronExpression, recurrence, intervalMs, anchor, runAt } = toSchedule(schedule);
+
+  if (type === 'interval') {
+    return getNextIntervalTime(anchor, intervalMs, fromDate);
+  }
+
+  if (type === 'once') {
+    return runAt > fromDate ? runAt : null;
+  }
+
+  // A recurrence that has run its course has no next execution
+  if (type === 'rrule') {
+    try {
+      const occurrence = createRecurrenceIterator(recurrence, { tz: timezone, currentDate: fromDate }).next();
+      return occurrence ? occurrence.time : null;
+    } catch (error) {
+      logger.error('Error calculating next execution time:', { recurrence, timezone, error: error.message });
+      return null;
     }
+  }
+
+  if (type === 'fixed_delay') {
+    return new Date(fromDate.getTime() + intervalMs);
+  }
 
-    const interval = cronParser.parseExpression(cronExpression, {
+  try {
+    const interval = createCronIterator(cronExpression, {
       tz: timezone,
-      currentDate: new Date()
+      currentDate: fromDate
     });
     
-    const nextDate = interval.next().toDate();
+    const nextDate = interval.next();
     logger.debug(`Next execution for "${cronExpression}": ${nextDate.toISOString()}`);
     
     return nextDate;
@@ -124,6 +191,11 @@ const parseCronExpression = (cronExpression) => {
       return `Invalid cron expression: ${validation.error}`;
     }
 
+    // Macros are described by what they expand to; seconds are noted at the end
+    const { fields, hasSeconds } = parseCron(cronExpression);
+    const fiveFields = [fields.minute, fields.hour, fields.dayOfMonth, fields.month, fields.dayOfWeek].join(' ');
+    const secondsNote = hasSeconds && fields.second !== '0' ? ` (seconds: ${fields.second})` : '';
+
     // Common patterns with descriptions
     const commonPatterns = {
       '* * * * *': 'Every minute',
@@ -148,17 +220,12 @@ const parseCronExpression = (cronExpression) => {
     };
 
     // Check for exact matches first
-    if (commonPatterns[cronExpression]) {
-      return commonPatterns[cronExpression];
+    if (commonPatterns[fiveFields]) {
+      return `${commonPatterns[fiveFields]}${secondsNote}`;
     }
 
     // Parse the cron expression manually
-    const parts = cronExpression.split(' ');
-    if (parts.length !== 5) {
-      return 'Invalid cron expression format';
-    }
-
-    const [minute, hour, day, month, dayOfWeek] = parts;
+    const [minute, hour, day, month, dayOfWeek] = fiveFields.split(' ');
     let description = 'Runs';
 
     // Handle minutes
@@ -186,8 +253,15 @@ const parseCronExpression = (cronExpression) => {
     }
 
     // Handle days
-    if (day !== '*') {
-      if (day.includes(',')) {
+    if (day !== '*' && day !== '?') {
+      const nearestWeekday = day.match(/^(\d+)W$/i);
+      if (/^L$/i.test(day)) {
+        description += ' on the last day of the month';
+      } else if (/^LW$/i.test(day)) {
+        description += ' on the last weekday of the month';
+      } else if (nearestWeekday) {
+        description += ` on the weekday nearest day ${nearestWeekday[1]}`;
+      } else if (day.includes(',')) {
         description += ` on days ${day}`;
       } else {
         description += ` on day ${day}`;
@@ -204,8 +278,15 @@ const parseCronExpression = (cronExpression) => {
     }
 
     // Handle day of week
-    if (dayOfWeek !== '*') {
-      if (dayOfWeek.includes(',')) {
+    if (dayOfWeek !== '*' && dayOfWeek !== '?') {
+      const lastWeekday = dayOfWeek.match(/^(\w+)L$/i);
+      const nthWeekday = dayOfWeek.match(/^(\w+)#(\d)$/);
+      if (lastWeekday) {
+        description += ` on the last ${formatDayOfWeek(lastWeekday[1])} of the month`;
+      } else if (nthWeekday) {
+        const ordinal = ['first', 'second', 'third', 'fourth', 'fifth'][nthWeekday[2] - 1];
+        description += ` on the ${ordinal} ${formatDayOfWeek(nthWeekday[1])} of the month`;
+      } else if (dayOfWeek.includes(',')) {
         const days = dayOfWeek.split(',').map(d => formatDayOfWeek(d.trim())).join(', ');
         description += ` on ${days}`;
       } else if (dayOfWeek.includes('-')) {
@@ -215,7 +296,7 @@ const parseCronExpression = (cronExpression) => {
       }
     }
 
-    return description;
+    return `${description}${secondsNote}`;
   } catch (error) {
     logger.error('Error parsing cron expression:', error);
     return 'Unable to parse cron expression';
@@ -245,7 +326,11 @@ const formatMonth = (month) => {
   ];
   
   const m = parseInt(month);
-  return isNaN(m) ? month : (months[m] || `month ${month}`);
+  if (isNaN(m)) {
+    const named = months.findIndex(name => name.slice(0, 3).toUpperCase() === month.toUpperCase());
+    return named > 0 ? months[named] : month;
+  }
+  return months[m] || `month ${month}`;
 };
 
 /**
@@ -255,7 +340,11 @@ const formatDayOfWeek = (dayOfWeek) => {
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   
   const d = parseInt(dayOfWeek);
-  return isNaN(d) ? dayOfWeek : (days[d] || `day ${dayOfWeek}`);
+  if (isNaN(d)) {
+    return days.find(name => name.slice(0, 3).toUpperCase() === dayOfWeek.toUpperCase()) || dayOfWeek;
+  }
+  // 7 is also Sunday
+  return days[d % 7] || `day ${dayOfWeek}`;
 };
 
 /**
@@ -270,25 +359,34 @@ const formatDayOfWeekRange = (range) => {
 
 /**
  * Get next few execution times for preview
- * @param {string} cronExpression - Cron expression
+ * @param {string|Object} schedule - Cron expression, or a job record with its schedule fields
  * @param {string} timezone - Timezone
  * @param {number} count - Number of next executions to get
- * @returns {Array} Array of next execution dates
+ * @returns {Array} Array of next execution dates; fixed-delay runs assume each run finishes at once
  */
-const getNextExecutions = (cronExpression, timezone = 'UTC', count = 5) => {
+const getNextExecutions = (schedule, timezone = 'UTC', count = 5) => {
+  const { type, cronExpression } = toSchedule(schedule);
+
   try {
-    if (!cronParser || !parseExpression) {
-      return [getFallbackNextExecution(cronExpression)];
+    if (type !== 'cron') {
+      const executions = [];
+      let from = new Date();
+      for (let i = 0; i < count; i++) {
+        from = getNextExecutionTime(schedule, timezone, from);
+        if (!from) break;
+        executions.push(from);
+      }
+      return executions;
     }
 
-    const interval = parseExpression(cronExpression, {
+    const interval = createCronIterator(cronExpression, {
       tz: timezone,
       currentDate: new Date()
     });
     
     const executions = [];
     for (let i = 0; i < count; i++) {
-      executions.push(interval.next().toDate());
+      executions.push(interval.next());
     }
     
     return executions;
@@ -299,15 +397,269 @@ const getNextExecutions = (cronExpression, timezone = 'UTC', count = 5) => {
 };
 
 /**
- * Check if cron expression will execute within a time period
- * @param {string} cronExpression - Cron expression
+ * Get the execution times of a schedule within a period
+ * @param {string|Object} schedule - Cron expression, or a job record with its schedule fields
+ * @param {string} timezone - Timezone
+ * @param {Date} startDate - Start of the period (inclusive)
+ * @param {Date} endDate - End of the period (inclusive)
+ * @param {number} limit - Maximum number of times to return
+ * @returns {Array} Array of execution dates, oldest first
+ */
+const getExecutionTimesBetween = (schedule, timezone = 'UTC', startDate, endDate, limit = 100) => {
+  const { type, cronExpression } = toSchedule(schedule);
+
+  try {
+    // A fixed-delay job has a single pending run, however late it is, and so
+    // does a one-time job that has not completed
+    if (type === 'fixed_delay' || type === 'once') {
+      return startDate <= endDate && limit > 0 ? [startDate] : [];
+    }
+
+    // Runs are found strictly after a date, so step back to include startDate itself
+    const before = new Date(startDate.getTime() - 1);
+    const executions = [];
+
+    if (type !== 'cron') {
+      let nextDate = getNextExecutionTime(schedule, timezone, before);
+      while (executions.length < limit && nextDate && nextDate <= endDate) {
+        executions.push(nextDate);
+        nextDate = getNextExecutionTime(schedule, timezone, nextDate);
+      }
+      return executions;
+    }
+
+    const interval = createCronIterator(cronExpression, {
+      tz: timezone,
+      currentDate: before
+    });
+
+    while (executions.length < limit) {
+      const nextDate = interval.next();
+      if (nextDate > endDate) break;
+      executions.push(nextDate);
+    }
+
+    return executions;
+  } catch (error) {
+    logger.error('Error getting execution times between dates:', error);
+    return [];
+  }
+};
+
+// Scheduled times listed per DST gap before the rest are summarized
+const MAX_SKIPPED_TIMES = 10;
+
+// Window around a run in which a clock change makes its local time ambiguous
+const DST_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+const formatUtcOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a wall-clock time is one the expression asks for, ignoring clock changes
+ */
+const isScheduledWallClock = (cronExpression, wall) =>
+  createCronIterator(cronExpression, { tz: 'UTC', currentDate: new Date(wall.getTime() - 1000) })
+    .next().getTime() === wall.getTime();
+
+/**
+ * Describe a spring-forward gap before a run: scheduled local times that did
+ * not exist, and whether this run was moved because its own time did not exist
+ * @returns {Object|null} { type: 'gap', skipped, message }
+ */
+const detectDstGap = (cronExpression, timezone, previous, time) => {
+  const wall = toWallClock(time, timezone);
+  const moved = !isScheduledWallClock(cronExpression, wall);
+
+  if (!moved && getUtcOffsetMinutes(time, timezone) <= getUtcOffsetMinutes(previous, timezone)) {
+    return null;
+  }
+
+  // Scheduled wall-clock times between the previous run and this one never happened
+  const skipped = [];
+  const scheduled = createCronIterator(cronExpression, { tz: 'UTC', currentDate: toWallClock(previous, timezone) });
+  for (let next = scheduled.next(); next < wall && skipped.length <= MAX_SKIPPED_TIMES; next = scheduled.next()) {
+    skipped.push(formatWallClock(next));
+  }
+
+  if (!moved && skipped.length === 0) {
+    return null;
+  }
+
+  const date = formatWallClock(wall).slice(0, 10);
+  const listed = skipped.length > MAX_SKIPPED_TIMES
+    ? `${skipped.slice(0, MAX_SKIPPED_TIMES).map(text => text.slice(11)).join(', ')} and more`
+    : skipped.map(text => text.slice(11)).join(', ');
+  const message = skipped.length > 0
+    ? `${listed} ${skipped.length === 1 ? 'does' : 'do'} not exist on ${date} because clocks go forward; ${
+      moved ? `this run happens at ${formatWallClock(wall).slice(11)} instead` : `${skipped.length === 1 ? 'it is' : 'they are'} skipped`
+    }`
+    : `Clocks go forward on ${date}; this run happens at ${formatWallClock(wall).slice(11)}`;
+
+  return { type: 'gap', skipped: skipped.slice(0, MAX_SKIPPED_TIMES), message };
+};
+
+/**
+ * Describe a run whose local time happens twice because clocks go back
+ * @returns {Object|null} { type: 'overlap', occurrence: 'first'|'second', message }
+ */
+const detectDstOverlap = (timezone, time) => {
+  const offsetBefore = getUtcOffsetMinutes(new Date(time.getTime() - DST_WINDOW_MS), timezone);
+  const offsetAfter = getUtcOffsetMinutes(new Date(time.getTime() + DST_WINDOW_MS), timezone);
+  if (offsetAfter >= offsetBefore) {
+    return null;
+  }
+
+  const shiftMs = (offsetBefore - offsetAfter) * 60000;
+  const wall = formatWallClock(toWallClock(time, timezone));
+  const occurrence = formatWallClock(toWallClock(new Date(time.getTime() + shiftMs), timezone)) === wall ? 'first'
+    : formatWallClock(toWallClock(new Date(time.getTime() - shiftMs), timezone)) === wall ? 'second'
+      : null;
+
+  if (!occurrence) {
+    return null;
+  }
+
+  return {
+    type: 'overlap',
+    occurrence,
+    message: `${wall.slice(11)} happens twice on ${wall.slice(0, 10)} because clocks go back; this is the ${occurrence} time (UTC${formatUtcOffset(getUtcOffsetMinutes(time, timezone))})`
+  };
+};
+
+/**
+ * Describe a recurrence run that was moved because clocks skipped its local time
+ * @returns {Object|null} { type: 'gap', skipped, message }
+ */
+const detectMovedOccurrence = (wallClock, time, timezone) => {
+  const wall = toWallClock(time, timezone);
+  if (wall.getTime() === wallClock.getTime()) {
+    return null;
+  }
+
+  const skipped = formatWallClock(wallClock);
+  return {
+    type: 'gap',
+    skipped: [skipped],
+    message: `${skipped.slice(11)} does not exist on ${skipped.slice(0, 10)} because clocks go forward; this run happens at ${formatWallClock(wall).slice(11)} instead`
+  };
+};
+
+/**
+ * Preview the next runs of a schedule, with local times and DST flags
+ * @param {string|Object} schedule - Valid cron expression, or a job record with its schedule fields
+ * @param {string} timezone - Timezone
+ * @param {number} count - Number of runs
+ * @param {Date} fromDate - Preview runs after this date (default: now)
+ * @returns {Array} [{ time, localTime, utcOffset, dst }] - dst is null, or
+ *   { type: 'gap'|'overlap', message, ... } when a clock change affects a cron or recurrence run.
+ *   Interval runs are fixed in absolute time, so clock changes only move their local time;
+ *   fixed-delay runs are shown as if each run finished the moment it started.
+ */
+const getSchedulePreview = (schedule, timezone = 'UTC', count = 10, fromDate = new Date()) => {
+  const { type, cronExpression, recurrence } = toSchedule(schedule);
+  const interval = type === 'cron'
+    ? createCronIterator(cronExpression, { tz: timezone, currentDate: fromDate })
+    : null;
+  const occurrences = type === 'rrule'
+    ? createRecurrenceIterator(recurrence, { tz: timezone, currentDate: fromDate })
+    : null;
+  const runs = [];
+  let previous = fromDate;
+
+  while (runs.length < count) {
+    let time;
+    let dst = null;
+    try {
+      if (interval) {
+        time = interval.next();
+        dst = detectDstGap(cronExpression, timezone, previous, time) || detectDstOverlap(timezone, time);
+      } else if (occurrences) {
+        const occurrence = occurrences.next();
+        time = occurrence && occurrence.time;
+        dst = occurrence && (detectMovedOccurrence(occurrence.wallClock, time, timezone) || detectDstOverlap(timezone, time));
+      } else {
+        time = getNextExecutionTime(schedule, timezone, previous);
+      }
+    } catch (error) {
+      // The schedule has no more runs in range
+      break;
+    }
+
+    if (!time) {
+      break;
+    }
+
+    runs.push({
+      time: time.toISOString(),
+      localTime: formatWallClock(toWallClock(time, timezone)),
+      utcOffset: formatUtcOffset(getUtcOffsetMinutes(time, timezone)),
+      dst
+    });
+    previous = time;
+  }
+
+  return runs;
+};
+
+const DURATION_UNITS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+/**
+ * Format a duration in the largest unit that divides it, e.g. "90 minutes" or "2 days"
+ */
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  const [unit, size] = DURATION_UNITS.find(([, unitSeconds]) => seconds % unitSeconds === 0);
+  const count = seconds / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Describe a schedule of any type in words
+ * @param {string|Object} schedule - Cron expression, or a job record with its schedule fields
+ * @param {string} timezone - Timezone the interval anchor is shown in
+ * @returns {string} Description
+ */
+const describeSchedule = (schedule, timezone = 'UTC') => {
+  const { type, cronExpression, recurrence, intervalMs, anchor, runAt } = toSchedule(schedule);
+
+  if (type === 'once') {
+    return `Once at ${formatWallClock(toWallClock(runAt, timezone))} (${timezone})`;
+  }
+
+  if (type === 'rrule') {
+    try {
+      return describeRecurrence(recurrence);
+    } catch (error) {
+      return `Invalid recurrence rule: ${error.message}`;
+    }
+  }
+
+  if (type === 'interval') {
+    const start = anchor ? `, starting ${formatWallClock(toWallClock(anchor, timezone))} (${timezone})` : '';
+    return `Every ${formatDuration(intervalMs)}${start}`;
+  }
+
+  if (type === 'fixed_delay') {
+    return `${formatDuration(intervalMs)} after the previous run finishes`;
+  }
+
+  return parseCronExpression(cronExpression);
+};
+
+/**
+ * Check if a schedule will execute within a time period
+ * @param {string|Object} schedule - Cron expression, or a job record with its schedule fields
  * @param {number} minutes - Time period in minutes
  * @param {string} timezone - Timezone
  * @returns {boolean} Will execute within period
  */
-const willExecuteWithin = (cronExpression, minutes, timezone = 'UTC') => {
+const willExecuteWithin = (schedule, minutes, timezone = 'UTC') => {
   try {
-    const nextExecution = getNextExecutionTime(cronExpression, timezone);
+    const nextExecution = getNextExecutionTime(schedule, timezone);
     if (!nextExecution) return false;
     
     const now = new Date();
@@ -344,10 +696,15 @@ const getCronPresets = () => {
 };
 
 module.exports = {
+  SCHEDULE_TYPES,
+  resolveRunAt,
   validateCronExpression,
   parseCronExpression,
+  describeSchedule,
   getNextExecutionTime,
   getNextExecutions,
+  getExecutionTimesBetween,
+  getSchedulePreview,
   willExecuteWithin,
   getCronPresets,
   formatHour,
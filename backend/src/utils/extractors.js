@@ -0,0 +1,90 @@
+const { queryJsonPath } = require('./jsonPath');
+const { getBodyText, getBodyJson } = require('./assertions');
+const { execRegex } = require('./safeRegex');
+
+const EXTRACTOR_TYPES = ['jsonPath', 'header', 'regex'];
+
+/**
+ * Convert an extracted value to the string substituted into templates
+ */
+const toTemplateValue = (value) => {
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value);
+};
+
+/**
+ * Run a single extractor
+ * @returns {Object} { value } on success, { error } when nothing could be extracted
+ */
+const extractValue = (extractor, response) => {
+  switch (extractor.type) {
+    case 'jsonPath': {
+      const json = getBodyJson(response.data);
+      if (json === undefined) {
+        return { error: `Response body is not valid JSON, cannot extract ${extractor.path}` };
+      }
+
+      const { found, value } = queryJsonPath(json, extractor.path);
+      return found && value !== null
+        ? { value: toTemplateValue(value) }
+        : { error: `${extractor.path} was not found in the response body` };
+    }
+
+    case 'header': {
+      const rawValue = response.headers ? response.headers[extractor.header.toLowerCase()] : undefined;
+      if (rawValue === undefined || rawValue === null) {
+        return { error: `Header "${extractor.header}" is not present` };
+      }
+      return { value: Array.isArray(rawValue) ? rawValue.join(', ') : String(rawValue) };
+    }
+
+    case 'regex': {
+      const match = execRegex(extractor.pattern, extractor.flags, getBodyText(response.data));
+      if (!match) {
+        return { error: `Response body does not match /${extractor.pattern}/${extractor.flags || ''}` };
+      }
+
+      // Without an explicit group, use the first capture group if there is one
+      const group = extractor.group ?? (match.length > 1 ? 1 : 0);
+      return match[group] !== undefined
+        ? { value: match[group] }
+        : { error: `Group ${group} of /${extractor.pattern}/ did not match` };
+    }
+
+    default:
+      return { error: `Unknown extractor type: ${extractor.type}` };
+  }
+};
+
+/**
+ * Extract values from a step's response for use in later steps as {{vars.name}}
+ * @param {Array|null} extractors - Step extractors
+ * @param {Object} response - { headers, data }
+ * @returns {Object} { values, failures }
+ */
+const runExtractors = (extractors, response) => {
+  const values = {};
+  const failures = [];
+
+  for (const extractor of extractors || []) {
+    let result;
+    try {
+      result = extractValue(extractor, response);
+    } catch (error) {
+      result = { error: `Extractor could not be evaluated: ${error.message}` };
+    }
+
+    if (result.error) {
+      failures.push({ ...extractor, message: `Could not extract "${extractor.name}": ${result.error}` });
+    } else {
+      values[extractor.name] = result.value;
+    }
+  }
+
+  return { values, failures };
+};
+
+module.exports = {
+  EXTRACTOR_TYPES,
+  runExtractors
+};
@@ -0,0 +1,91 @@
+// Content types whose bodies are decoded as text; anything else is treated as binary
+const TEXT_CONTENT_TYPE = /^(text\/|application\/([\w.-]+\+)?(json|xml|javascript|x-www-form-urlencoded|x-ndjson|yaml|graphql)\b)/i;
+
+/**
+ * Truncate a string so its UTF-8 encoding fits within a byte budget
+ * without splitting a multibyte character
+ * @param {string} text - Text to truncate
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {string} Truncated text
+ */
+const truncateToBytes = (text, maxBytes) => {
+  const buffer = Buffer.from(text, 'utf8');
+  if (buffer.length <= maxBytes) {
+    return text;
+  }
+
+  // Step back over UTF-8 continuation bytes (10xxxxxx) to land on a character boundary
+  let end = maxBytes;
+  while (end > 0 && (buffer[end] & 0xc0) === 0x80) {
+    end--;
+  }
+
+  return buffer.subarray(0, end).toString('utf8');
+};
+
+/**
+ * Serialize a response body for storage on the execution record
+ * @param {*} data - Response data as returned by axios
+ * @param {number} maxBytes - Maximum stored size in bytes
+ * @returns {string|null} Serialized (and possibly truncated) body
+ */
+const serializeResponseBody = (data, maxBytes) => {
+  if (data === undefined || data === null || maxBytes <= 0) {
+    return null;
+  }
+
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return truncateToBytes(text, maxBytes);
+};
+
+/**
+ * Decode a raw response body as text using its charset.
+ * Bodies without a content type are assumed to be text.
+ * @param {Buffer} buffer - Raw response bytes
+ * @param {string} contentType - Content-Type response header
+ * @returns {string|null} Decoded text, or null for binary bodies
+ */
+const decodeResponseBody = (buffer, contentType) => {
+  if (contentType && !TEXT_CONTENT_TYPE.test(contentType)) {
+    return null;
+  }
+
+  const charset = /charset="?([\w-]+)/i.exec(contentType || '')?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    // Unknown charset label
+    return buffer.toString('utf8');
+  }
+};
+
+/**
+ * Fix an outgoing request body as the exact string that will be sent, so it can be signed.
+ * Object bodies are JSON encoded and get a JSON content type unless one is set.
+ * @param {Object} requestOptions - axios request options, modified in place
+ * @returns {string} Body as sent ('' when there is none)
+ */
+const serializeRequestBody = (requestOptions) => {
+  if (requestOptions.data === undefined || requestOptions.data === null) {
+    return '';
+  }
+
+  if (typeof requestOptions.data !== 'string') {
+    requestOptions.data = JSON.stringify(requestOptions.data);
+
+    const hasContentType = Object.keys(requestOptions.headers)
+      .some(name => name.toLowerCase() === 'content-type');
+    if (!hasContentType) {
+      requestOptions.headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  return requestOptions.data;
+};
+
+module.exports = {
+  truncateToBytes,
+  serializeResponseBody,
+  decodeResponseBody,
+  serializeRequestBody
+};
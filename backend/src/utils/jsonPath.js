@@ -0,0 +1,90 @@
+/**
+ * Minimal JSONPath support for response checks.
+ *
+ * Supported syntax: `$`, `$.field`, `$.nested.field`, `$.items[0]`,
+ * `$['field with spaces']` and any combination of those.
+ */
+
+const TOKEN_PATTERN = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]|\["((?:[^"\\]|\\.)*)"\]/y;
+
+/**
+ * Split a JSONPath expression into property/index segments
+ * @param {string} path - JSONPath expression
+ * @returns {Array<string|number>} Path segments
+ * @throws {Error} If the expression is not supported
+ */
+const parseJsonPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error('JSONPath must start with "$"');
+  }
+
+  const segments = [];
+  TOKEN_PATTERN.lastIndex = 1;
+
+  while (TOKEN_PATTERN.lastIndex < path.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(path);
+
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax at position ${start}: "${path.slice(start)}"`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(parseInt(match[2], 10));
+    } else {
+      segments.push((match[3] ?? match[4]).replace(/\\(.)/g, '$1'));
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Check whether a JSONPath expression is supported
+ * @param {string} path - JSONPath expression
+ * @returns {Object} Validation result
+ */
+const validateJsonPath = (path) => {
+  try {
+    parseJsonPath(path);
+    return { isValid: true };
+  } catch (error) {
+    return { isValid: false, error: error.message };
+  }
+};
+
+/**
+ * Resolve a JSONPath expression against a value
+ * @param {*} data - Parsed JSON document
+ * @param {string} path - JSONPath expression
+ * @returns {Object} { found, value }
+ */
+const queryJsonPath = (data, path) => {
+  let current = data;
+
+  for (const segment of parseJsonPath(path)) {
+    if (current === null || typeof current !== 'object') {
+      return { found: false, value: undefined };
+    }
+
+    if (typeof segment === 'number' && !Array.isArray(current)) {
+      return { found: false, value: undefined };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(current, segment)) {
+      return { found: false, value: undefined };
+    }
+
+    current = current[segment];
+  }
+
+  return { found: true, value: current };
+};
+
+module.exports = {
+  parseJsonPath,
+  validateJsonPath,
+  queryJsonPath
+};
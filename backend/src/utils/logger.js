@@ -21,6 +21,19 @@ const colors = {
 // Tell winston that you want to link the colors
 winston.addColors(colors);
 
+// JSON.stringify replacer that drops repeated references, so errors that
+// carry sockets or requests (e.g. from axios) can be logged
+const dropCircular = () => {
+  const seen = new WeakSet();
+  return (key, value) => {
+    if (typeof value === 'object' && value !== null) {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+    }
+    return value;
+  };
+};
+
 // Define log format
 const format = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
@@ -33,7 +46,7 @@ const format = winston.format.combine(
         Object.fromEntries(
           Object.entries(info).filter(([key]) => !['timestamp', 'level', 'message', 'stack'].includes(key))
         ),
-        null,
+        dropCircular(),
         2
       )}` : ''
     }`
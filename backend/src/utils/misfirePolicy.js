@@ -0,0 +1,41 @@
+const { getExecutionTimesBetween } = require('./cronUtils');
+
+// What to do with runs that were due while no worker was up
+const MISFIRE_POLICIES = ['skip', 'run_once', 'run_all'];
+
+const DEFAULT_MISFIRE_MAX_RUNS = 10;
+
+/**
+ * Work out which missed runs of a job should be caught up
+ * @param {Object} job - Job record with a next_execution in the past
+ * @param {Date} now - Current time
+ * @returns {Object} { missedRuns, catchupRuns } - missed run times and the subset to execute
+ */
+const planCatchup = (job, now = new Date()) => {
+  const maxRuns = job.misfire_max_runs || DEFAULT_MISFIRE_MAX_RUNS;
+
+  // Look one past the cap so we can tell the caller runs were dropped
+  const missedRuns = getExecutionTimesBetween(
+    job,
+    job.timezone,
+    job.next_execution,
+    now,
+    maxRuns + 1
+  );
+
+  let catchupRuns = [];
+  if (job.misfire_policy === 'run_once' && missedRuns.length > 0) {
+    // A single run stands in for the most recent missed one
+    catchupRuns = [missedRuns[missedRuns.length - 1]];
+  } else if (job.misfire_policy === 'run_all') {
+    catchupRuns = missedRuns.slice(0, maxRuns);
+  }
+
+  return { missedRuns, catchupRuns };
+};
+
+module.exports = {
+  MISFIRE_POLICIES,
+  DEFAULT_MISFIRE_MAX_RUNS,
+  planCatchup
+};
@@ -0,0 +1,484 @@
+const { RRule, RRuleSet } = require('rrule');
+const { toWallClock, fromWallClock, formatWallClock } = require('./wallClock');
+
+const FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY', 'HOURLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Numeric list parts of a rule and their ranges. Parts marked signed also
+ * take negative values, counted from the end of the period.
+ */
+const NUMBER_LIST_PARTS = {
+  BYSECOND: { option: 'bysecond', min: 0, max: 59 },
+  BYMINUTE: { option: 'byminute', min: 0, max: 59 },
+  BYHOUR: { option: 'byhour', min: 0, max: 23 },
+  BYMONTHDAY: { option: 'bymonthday', min: 1, max: 31, signed: true },
+  BYYEARDAY: { option: 'byyearday', min: 1, max: 366, signed: true },
+  BYWEEKNO: { option: 'byweekno', min: 1, max: 53, signed: true },
+  BYMONTH: { option: 'bymonth', min: 1, max: 12 },
+  BYSETPOS: { option: 'bysetpos', min: 1, max: 366, signed: true }
+};
+
+// Parts that only make sense for some frequencies (RFC 5545 section 3.3.10)
+const PART_FREQUENCIES = {
+  BYMONTHDAY: ['YEARLY', 'MONTHLY', 'DAILY', 'HOURLY'],
+  BYYEARDAY: ['YEARLY', 'HOURLY'],
+  BYWEEKNO: ['YEARLY']
+};
+
+// Longest run of excluded occurrences before a rule is treated as finished
+const MAX_SKIPPED_OCCURRENCES = 10000;
+
+// EXDATEs named one by one in a description before they are counted instead
+const MAX_LISTED_EXDATES = 3;
+
+/**
+ * Error for recurrence text that is not a valid, supported RRULE schedule.
+ * `part` names the offending line or rule part (e.g. "BYHOUR"), or is null
+ * when the text as a whole is wrong.
+ */
+class RecurrenceSyntaxError extends Error {
+  constructor(message, part = null) {
+    super(message);
+    this.name = 'RecurrenceSyntaxError';
+    this.code = 'RRULE_SYNTAX';
+    this.part = part;
+  }
+}
+
+const partError = (line, part, message) => new RecurrenceSyntaxError(`${line} ${part}: ${message}`, part);
+
+/**
+ * Parse a floating date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSS). Times are
+ * read in the job's timezone, so UTC ("Z") and TZID times are refused.
+ * @returns {Object} { date, dateOnly } - date holds the wall-clock time in its UTC fields
+ */
+const parseDateValue = (name, text) => {
+  if (/Z$/i.test(text)) {
+    throw new RecurrenceSyntaxError(`${name} "${text}" is in UTC; leave out the Z, times are read in the job's timezone`, name);
+  }
+
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?$/i);
+  if (!match) {
+    throw new RecurrenceSyntaxError(`${name} "${text}" is not a date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSS)`, name);
+  }
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(value => parseInt(value || 0, 10));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  // Date.UTC rolls 20260231 over into March; a real date survives the round trip
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    throw new RecurrenceSyntaxError(`${name} "${text}" is not a real date and time`, name);
+  }
+
+  return { date, dateOnly: match[4] === undefined };
+};
+
+/**
+ * Split a content line into its name, parameters and value,
+ * e.g. "EXDATE;VALUE=DATE:20261225"
+ */
+const parseContentLine = (line) => {
+  // A bare rule is shorthand for an RRULE line
+  if (/^FREQ=/i.test(line)) {
+    return { name: 'RRULE', params: {}, value: line };
+  }
+
+  const match = line.match(/^([A-Za-z-]+)((?:;[^:;]+)*):(.*)$/);
+  if (!match) {
+    throw new RecurrenceSyntaxError(`"${line}" is not a NAME:VALUE line`);
+  }
+
+  const params = {};
+  for (const param of match[2].split(';').filter(Boolean)) {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value;
+  }
+
+  return { name: match[1].toUpperCase(), params, value: match[3].trim() };
+};
+
+const checkParams = (name, params) => {
+  if (params.TZID !== undefined) {
+    throw new RecurrenceSyntaxError(`${name} has a TZID; leave it out, times are read in the job's timezone`, name);
+  }
+
+  const unknown = Object.keys(params).find(key => key !== 'VALUE');
+  if (unknown) {
+    throw new RecurrenceSyntaxError(`${name} parameter ${unknown} is not supported`, name);
+  }
+};
+
+/**
+ * Parse one BYDAY entry, e.g. "TU", "2TU" or "-1FR"
+ * @returns {Object} { weekday, nth } - weekday indexes WEEKDAYS; nth is null for every such day
+ */
+const parseWeekday = (line, text) => {
+  const match = text.toUpperCase().match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+  if (!match) {
+    throw partError(line, 'BYDAY', `"${text}" is not a weekday like MO, 2TU or -1FR`);
+  }
+
+  const nth = match[1] === undefined ? null : parseInt(match[1], 10);
+  if (nth !== null && (nth === 0 || Math.abs(nth) > 53)) {
+    throw partError(line, 'BYDAY', `"${text}" asks for occurrence ${nth}; use 1 to 53, or -1 to -53 counting from the end`);
+  }
+
+  return { weekday: WEEKDAYS.indexOf(match[2]), nth };
+};
+
+const parseNumberList = (line, part, text) => {
+  const { min, max, signed } = NUMBER_LIST_PARTS[part];
+
+  return text.split(',').map(entry => {
+    if (!/^[+-]?\d+$/.test(entry)) {
+      throw partError(line, part, `"${entry}" is not a number`);
+    }
+
+    const value = parseInt(entry, 10);
+    const size = signed ? Math.abs(value) : value;
+    if (size < min || size > max || (signed && value === 0)) {
+      const range = signed ? `${min} to ${max}, or -${min} to -${max} counting from the end` : `${min}-${max}`;
+      throw partError(line, part, `${entry} is out of range (${range})`);
+    }
+    return value;
+  });
+};
+
+/**
+ * Parse and check the value of an RRULE or EXRULE line
+ * @returns {Object} Rule parts by name, with lists parsed
+ */
+const parseRule = (line, text) => {
+  const parts = {};
+
+  for (const entry of text.split(';').filter(Boolean)) {
+    const [rawName, value] = entry.split('=');
+    const name = rawName.toUpperCase();
+
+    if (value === undefined || value === '') {
+      throw new RecurrenceSyntaxError(`${line} part "${entry}" has no value`, name);
+    }
+    if (parts[name] !== undefined) {
+      throw partError(line, name, 'is given more than once');
+    }
+
+    if (name === 'FREQ') {
+      if (value.toUpperCase() === 'MINUTELY' || value.toUpperCase() === 'SECONDLY') {
+        throw partError(line, name, `${value} is not supported; use a cron schedule for runs more often than hourly`);
+      }
+      if (!FREQUENCIES.includes(value.toUpperCase())) {
+        throw partError(line, name, `"${value}" is not one of ${FREQUENCIES.join(', ')}`);
+      }
+      parts.FREQ = value.toUpperCase();
+    } else if (name === 'INTERVAL' || name === 'COUNT') {
+      if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        throw partError(line, name, `"${value}" must be a whole number of at least 1`);
+      }
+      parts[name] = parseInt(value, 10);
+    } else if (name === 'UNTIL') {
+      parts.UNTIL = parseDateValue(`${line} UNTIL`, value).date;
+    } else if (name === 'BYDAY') {
+      parts.BYDAY = value.split(',').map(day => parseWeekday(line, day));
+    } else if (name === 'WKST') {
+      if (!WEEKDAYS.includes(value.toUpperCase())) {
+        throw partError(line, name, `"${value}" is not a weekday (${WEEKDAYS.join(', ')})`);
+      }
+      parts.WKST = value.toUpperCase();
+    } else if (NUMBER_LIST_PARTS[name]) {
+      parts[name] = parseNumberList(line, name, value);
+    } else {
+      throw new RecurrenceSyntaxError(`${line} part ${name} is not supported`, name);
+    }
+  }
+
+  if (!parts.FREQ) {
+    throw new RecurrenceSyntaxError(`${line} needs a FREQ, e.g. FREQ=MONTHLY`, 'FREQ');
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    throw partError(line, 'UNTIL', 'cannot be used together with COUNT');
+  }
+
+  for (const [part, frequencies] of Object.entries(PART_FREQUENCIES)) {
+    if (parts[part] && !frequencies.includes(parts.FREQ)) {
+      throw partError(line, part, `cannot be used with FREQ=${parts.FREQ}`);
+    }
+  }
+
+  if (parts.BYDAY && parts.BYDAY.some(day => day.nth !== null)) {
+    if (!['MONTHLY', 'YEARLY'].includes(parts.FREQ) || parts.BYWEEKNO) {
+      throw partError(line, 'BYDAY', 'numbered weekdays like 2TU only work with FREQ=MONTHLY, or FREQ=YEARLY without BYWEEKNO');
+    }
+    if (parts.FREQ === 'MONTHLY' && parts.BYDAY.some(day => Math.abs(day.nth) > 5)) {
+      throw partError(line, 'BYDAY', 'a month has at most 5 of each weekday');
+    }
+  }
+
+  if (parts.BYSETPOS && !Object.keys(parts).some(name => name.startsWith('BY') && name !== 'BYSETPOS')) {
+    throw partError(line, 'BYSETPOS', 'needs another BY part to pick from, e.g. BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1');
+  }
+
+  return parts;
+};
+
+/**
+ * Build an rrule RRule from checked rule parts. Dates stay floating: their
+ * UTC fields hold wall-clock times in the job's timezone.
+ */
+const toRRule = (parts, dtstart) => new RRule({
+  freq: RRule[parts.FREQ],
+  dtstart,
+  interval: parts.INTERVAL || 1,
+  count: parts.COUNT || null,
+  until: parts.UNTIL || null,
+  wkst: parts.WKST ? RRule[parts.WKST] : null,
+  byweekday: parts.BYDAY
+    ? parts.BYDAY.map(({ weekday, nth }) => (nth === null ? RRule[WEEKDAYS[weekday]] : RRule[WEEKDAYS[weekday]].nth(nth)))
+    : null,
+  ...Object.fromEntries(
+    Object.entries(NUMBER_LIST_PARTS)
+      .filter(([part]) => parts[part])
+      .map(([part, { option }]) => [option, parts[part]])
+  )
+});
+
+/**
+ * Parse and check an iCalendar recurrence.
+ *
+ * Takes RFC 5545 content lines: one DTSTART, one or more RRULE, and any
+ * number of EXRULE and EXDATE lines. All times are floating and read in the
+ * job's timezone. An EXDATE with only a date excludes every run on that day.
+ *
+ * @param {string} text - Recurrence text
+ * @returns {Object} { dtstart, rules, exrules, exdates } - rules and exrules
+ *   hold parsed rule parts; exdates are { date, dateOnly }
+ * @throws {RecurrenceSyntaxError} When the text is not valid, naming the part at fault
+ */
+const parseRecurrence = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new RecurrenceSyntaxError('Recurrence rule is empty');
+  }
+
+  let dtstart = null;
+  const rules = [];
+  const exrules = [];
+  const exdates = [];
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  for (const line of lines) {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'DTSTART') {
+      if (dtstart) {
+        throw new RecurrenceSyntaxError('DTSTART is given more than once', 'DTSTART');
+      }
+      checkParams(name, params);
+      dtstart = parseDateValue('DTSTART', value).date;
+    } else if (name === 'RRULE' || name === 'EXRULE') {
+      checkParams(name, params);
+      (name === 'RRULE' ? rules : exrules).push(parseRule(name, value));
+    } else if (name === 'EXDATE') {
+      checkParams(name, params);
+      exdates.push(...value.split(',').map(date => parseDateValue('EXDATE', date.trim())));
+    } else {
+      throw new RecurrenceSyntaxError(`${name} lines are not supported; use DTSTART, RRULE, EXRULE and EXDATE`, name);
+    }
+  }
+
+  if (!dtstart) {
+    throw new RecurrenceSyntaxError('A DTSTART line is required, e.g. DTSTART:20260105T090000', 'DTSTART');
+  }
+  if (rules.length === 0) {
+    throw new RecurrenceSyntaxError('At least one RRULE line is required, e.g. RRULE:FREQ=MONTHLY;BYMONTHDAY=1', 'RRULE');
+  }
+
+  return { dtstart, rules, exrules, exdates };
+};
+
+/**
+ * Iterate the run times of a recurrence in a timezone
+ * @param {string} text - Recurrence text
+ * @param {Object} options - { tz, currentDate }; times are after currentDate
+ * @returns {Object} { next() } returning { time, wallClock } for the next run,
+ *   or null once the recurrence has no more runs. wallClock is the local time
+ *   the rule asked for, which differs from the run's when clocks skipped it.
+ * @throws {RecurrenceSyntaxError} When the text is not valid
+ */
+const createRecurrenceIterator = (text, { tz = 'UTC', currentDate = new Date() } = {}) => {
+  const { dtstart, rules, exrules, exdates } = parseRecurrence(text);
+
+  const set = new RRuleSet();
+  rules.forEach(parts => set.rrule(toRRule(parts, dtstart)));
+  exrules.forEach(parts => set.exrule(toRRule(parts, dtstart)));
+
+  const excludedTimes = new Set(exdates.filter(exdate => !exdate.dateOnly).map(exdate => exdate.date.getTime()));
+  const excludedDays = new Set(exdates.filter(exdate => exdate.dateOnly).map(exdate => formatWallClock(exdate.date).slice(0, 10)));
+  const isExcluded = wall => excludedTimes.has(wall.getTime()) || excludedDays.has(formatWallClock(wall).slice(0, 10));
+
+  let cursor = toWallClock(currentDate, tz);
+  let previous = currentDate;
+
+  return {
+    next: () => {
+      for (let skipped = 0; skipped < MAX_SKIPPED_OCCURRENCES; skipped++) {
+        const wallClock = set.after(cursor, false);
+        if (!wallClock) return null;
+        cursor = wallClock;
+
+        const time = fromWallClock(wallClock, tz);
+        // A local time that happens twice runs once, and never before the time asked from
+        if (isExcluded(wallClock) || time <= previous) continue;
+
+        previous = time;
+        return { time, wallClock };
+      }
+      return null;
+    }
+  };
+};
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+// 1 -> "1st", -1 -> "last", -2 -> "2nd to last"
+const position = n => (n > 0 ? ordinal(n) : n === -1 ? 'last' : `${ordinal(-n)} to last`);
+
+const formatList = (items, conjunction = 'and') => (items.length <= 1
+  ? items.join('')
+  : `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`);
+
+const formatTime = (hour, minute) =>
+  `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+
+/**
+ * Name a set of plain weekdays, e.g. "weekday" for MO-FR
+ */
+const describeWeekdays = (weekdays, conjunction) => {
+  const sorted = [...new Set(weekdays)].sort((a, b) => a - b).join(',');
+  if (sorted === '0,1,2,3,4') return 'weekday';
+  if (sorted === '5,6') return 'weekend day';
+  return formatList(weekdays.map(weekday => WEEKDAY_NAMES[weekday]), conjunction);
+};
+
+/**
+ * Which days in each period a rule runs on, e.g. "on the last weekday"
+ */
+const describeDays = (parts) => {
+  const phrases = [];
+  const plainDays = (parts.BYDAY || []).filter(day => day.nth === null).map(day => day.weekday);
+  const numberedDays = (parts.BYDAY || []).filter(day => day.nth !== null);
+
+  if (parts.BYSETPOS) {
+    const positions = formatList(parts.BYSETPOS.map(position));
+    const from = plainDays.length > 0 ? describeWeekdays(plainDays, 'or') : 'matching day';
+    return `on the ${positions} ${from}`;
+  }
+
+  if (numberedDays.length > 0) {
+    phrases.push(`on the ${formatList(numberedDays.map(day => `${position(day.nth)} ${WEEKDAY_NAMES[day.weekday]}`))}`);
+  }
+  if (plainDays.length > 0) {
+    const days = describeWeekdays(plainDays, 'and');
+    phrases.push(`on ${days === 'weekday' || days === 'weekend day' ? `${days}s` : days}`);
+  }
+  if (parts.BYMONTHDAY) {
+    phrases.push(`on the ${formatList(parts.BYMONTHDAY.map(day => (day > 0 ? ordinal(day) : `${position(day)} day`)))}`);
+  }
+  if (parts.BYYEARDAY) {
+    phrases.push(`on day ${formatList(parts.BYYEARDAY.map(String))} of the year`);
+  }
+  if (parts.BYWEEKNO) {
+    phrases.push(`in week ${formatList(parts.BYWEEKNO.map(String))}`);
+  }
+
+  return phrases.join(' ');
+};
+
+/**
+ * Describe one rule in words, e.g. "every month on the 2nd Tuesday at 9:00 AM".
+ * An exclusion leaves out its time and names its months inline, e.g.
+ * "every year on the 2nd Tuesday in December".
+ */
+const describeRule = (parts, dtstart, { exclusion = false } = {}) => {
+  const interval = parts.INTERVAL || 1;
+  const unit = { YEARLY: 'year', MONTHLY: 'month', WEEKLY: 'week', DAILY: 'day', HOURLY: 'hour' }[parts.FREQ];
+  let phrase = interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`;
+  const days = describeDays(parts);
+
+  // "every Monday and Friday" reads better than "every week on Monday and Friday"
+  const plainDaysOnly = parts.BYDAY && parts.BYDAY.every(day => day.nth === null) && !parts.BYSETPOS &&
+    !parts.BYMONTHDAY && !parts.BYYEARDAY && !parts.BYWEEKNO;
+  if (plainDaysOnly && interval === 1 && ['DAILY', 'WEEKLY'].includes(parts.FREQ)) {
+    phrase = `every ${describeWeekdays(parts.BYDAY.map(day => day.weekday), 'and')}`;
+  } else if (days) {
+    phrase += ` ${days}`;
+  }
+
+  const months = parts.BYMONTH ? [...new Set(parts.BYMONTH)].sort((a, b) => a - b) : null;
+  if (exclusion) {
+    return months ? `${phrase} in ${formatList(months.map(month => MONTH_NAMES[month - 1]))}` : phrase;
+  }
+
+  const minutes = parts.BYMINUTE || [dtstart.getUTCMinutes()];
+  if (parts.FREQ === 'HOURLY') {
+    phrase += ` at ${formatList(minutes.map(minute => `:${String(minute).padStart(2, '0')}`))}`;
+    if (parts.BYHOUR) phrase += ` during hour ${formatList(parts.BYHOUR.map(String))}`;
+  } else {
+    const hours = parts.BYHOUR || [dtstart.getUTCHours()];
+    const times = hours.flatMap(hour => minutes.map(minute => formatTime(hour, minute)));
+    phrase += times.length <= 4 ? ` at ${formatList(times)}` : ` at ${times.length} times a day`;
+  }
+
+  if (months) {
+    const missing = MONTH_NAMES.map((name, index) => index + 1).filter(month => !months.includes(month));
+    if (missing.length > 0) {
+      phrase += missing.length < months.length
+        ? `, except in ${formatList(missing.map(month => MONTH_NAMES[month - 1]))}`
+        : `, only in ${formatList(months.map(month => MONTH_NAMES[month - 1]))}`;
+    }
+  }
+
+  if (parts.COUNT) phrase += `, ${parts.COUNT} time${parts.COUNT === 1 ? '' : 's'}`;
+  if (parts.UNTIL) phrase += `, until ${formatWallClock(parts.UNTIL).slice(0, 16)}`;
+
+  return phrase;
+};
+
+/**
+ * Describe a recurrence in words
+ * @param {string} text - Valid recurrence text
+ * @returns {string} Description, e.g. "Every month on the last weekday at 9:00 AM"
+ */
+const describeRecurrence = (text) => {
+  const { dtstart, rules, exrules, exdates } = parseRecurrence(text);
+
+  let description = rules.map(parts => describeRule(parts, dtstart)).join('; and ');
+
+  if (exrules.length > 0) {
+    description += `, except ${exrules.map(parts => describeRule(parts, dtstart, { exclusion: true })).join(' or ')}`;
+  }
+
+  if (exdates.length > 0) {
+    const dates = exdates.map(({ date, dateOnly }) => formatWallClock(date).slice(0, dateOnly ? 10 : 16));
+    description += exdates.length <= MAX_LISTED_EXDATES
+      ? `${exrules.length > 0 ? ' and' : ','} except on ${formatList(dates)}`
+      : `${exrules.length > 0 ? ' and' : ','} except on ${exdates.length} excluded dates`;
+  }
+
+  return `${description.charAt(0).toUpperCase()}${description.slice(1)}, starting ${formatWallClock(dtstart).slice(0, 16)}`;
+};
+
+module.exports = {
+  RecurrenceSyntaxError,
+  parseRecurrence,
+  createRecurrenceIterator,
+  describeRecurrence
+};
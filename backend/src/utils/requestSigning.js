@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret } = require('./secretCrypto');
+const { serializeRequestBody } = require('./httpUtils');
+
+const SIGNATURE_HEADER = 'X-CronMaster-Signature';
+
+/**
+ * Generate a new signing secret and its encrypted form for storage
+ * @returns {Object} { secret, encrypted }
+ */
+const generateSigningSecret = () => {
+  const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  return { secret, encrypted: encryptSecret(secret) };
+};
+
+/**
+ * Signing secrets currently valid for a job: the current one, plus the
+ * previous one while its rotation grace period lasts
+ * @param {Object} job - Job record
+ * @returns {Array} Plaintext secrets, current first
+ */
+const getActiveSigningSecrets = (job) => {
+  if (!job.signing_secret) return [];
+
+  const secrets = [decryptSecret(job.signing_secret)];
+
+  if (job.previous_signing_secret && job.previous_signing_secret_expires_at > new Date()) {
+    secrets.push(decryptSecret(job.previous_signing_secret));
+  }
+
+  return secrets;
+};
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const computeSignature = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Add the signature header to an outgoing request:
+ * "t=<unix seconds>,v1=<hex signature>" with one v1 entry per active secret
+ * @param {Object} requestOptions - axios request options, modified in place
+ * @param {Array} secrets - Plaintext signing secrets
+ */
+const signOutgoingRequest = (requestOptions, secrets) => {
+  const body = serializeRequestBody(requestOptions);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  requestOptions.headers[SIGNATURE_HEADER] = [
+    `t=${timestamp}`,
+    ...secrets.map(secret => `v1=${computeSignature(secret, timestamp, body)}`)
+  ].join(',');
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  generateSigningSecret,
+  getActiveSigningSecrets,
+  signOutgoingRequest
+};
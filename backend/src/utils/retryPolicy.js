@@ -0,0 +1,122 @@
+const { isUrlPolicyError } = require('./urlPolicy');
+
+// Outcomes a retry policy can opt into
+const RETRYABLE_OUTCOMES = ['http_5xx', 'http_429', 'http_4xx', 'timeout', 'connection', 'assertion', 'extraction', 'auth_token'];
+
+const BACKOFF_STRATEGIES = ['fixed', 'exponential', 'jitter'];
+
+const DEFAULT_RETRY_ON = ['http_5xx', 'timeout', 'connection'];
+
+// Network error codes that mean we never got a response from the target
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+  'ERR_PROXY_TUNNEL'
+];
+
+/**
+ * Classify an HTTP status code into an outcome type
+ * @param {number} statusCode - HTTP response status
+ * @returns {string|null} Outcome type, or null for 2xx responses
+ */
+const classifyStatusCode = (statusCode) => {
+  if (statusCode >= 200 && statusCode < 300) return null;
+  if (statusCode >= 500) return 'http_5xx';
+  if (statusCode === 429) return 'http_429';
+  if (statusCode >= 400) return 'http_4xx';
+  return 'http_other';
+};
+
+/**
+ * Classify a request error (no usable response) into an outcome type
+ * @param {Error} error - Error thrown by axios
+ * @returns {string} Outcome type
+ */
+const classifyRequestError = (error) => {
+  // Credentials for the request could not be obtained (e.g. OAuth2 token endpoint failed)
+  if (error.code === 'AUTH_TOKEN_ERROR') {
+    return 'auth_token';
+  }
+
+  // The target or a redirect hop is not allowed by the outbound URL policy; never retried
+  if (isUrlPolicyError(error)) {
+    return 'blocked_url';
+  }
+
+  // The body was larger than the job downloads; the same target would send it again, so never retried
+  if (error.code === 'RESPONSE_TOO_LARGE') {
+    return 'response_too_large';
+  }
+
+  if (error.response?.status) {
+    return classifyStatusCode(error.response.status) || 'unknown';
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+
+  if (CONNECTION_ERROR_CODES.includes(error.code)) {
+    return 'connection';
+  }
+
+  return 'unknown';
+};
+
+/**
+ * Check whether a failed attempt should be retried
+ * @param {Object|null} policy - Job retry policy
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {string} outcome - Outcome type of the failed attempt
+ * @returns {boolean} Whether another attempt should be made
+ */
+const shouldRetry = (policy, attempt, outcome) => {
+  if (!policy || !policy.maxAttempts || attempt >= policy.maxAttempts) {
+    return false;
+  }
+
+  const retryOn = policy.retryOn && policy.retryOn.length > 0 ? policy.retryOn : DEFAULT_RETRY_ON;
+  return retryOn.includes(outcome);
+};
+
+/**
+ * Calculate how long to wait before the next attempt
+ * @param {Object} policy - Job retry policy
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (policy, attempt) => {
+  const initialDelay = policy.initialDelayMs || 1000;
+  const maxDelay = policy.maxDelayMs || 60 * 60 * 1000;
+
+  switch (policy.backoff) {
+    case 'fixed':
+      return Math.min(initialDelay, maxDelay);
+
+    case 'jitter': {
+      // "Full jitter": random delay between 0 and the exponential ceiling
+      const ceiling = Math.min(initialDelay * Math.pow(2, attempt - 1), maxDelay);
+      return Math.round(Math.random() * ceiling);
+    }
+
+    case 'exponential':
+    default:
+      return Math.min(initialDelay * Math.pow(2, attempt - 1), maxDelay);
+  }
+};
+
+module.exports = {
+  RETRYABLE_OUTCOMES,
+  BACKOFF_STRATEGIES,
+  DEFAULT_RETRY_ON,
+  classifyStatusCode,
+  classifyRequestError,
+  shouldRetry,
+  getRetryDelay
+};
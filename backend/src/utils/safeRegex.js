@@ -0,0 +1,164 @@
+const vm = require('vm');
+
+// User regexes run against response bodies on the worker's event loop, so
+// patterns, inputs and running time are all bounded
+const MAX_REGEX_LENGTH = 500;
+const MAX_REGEX_INPUT_LENGTH = 256 * 1024;
+const REGEX_TIMEOUT_MS = 100;
+
+/**
+ * Error raised when a regex runs past REGEX_TIMEOUT_MS
+ */
+class RegexTimeoutError extends Error {
+  constructor(pattern) {
+    super(`Regular expression /${pattern}/ took longer than ${REGEX_TIMEOUT_MS}ms`);
+    this.name = 'RegexTimeoutError';
+    this.code = 'REGEX_TIMEOUT';
+  }
+}
+
+/**
+ * Read a quantifier at a position of a pattern
+ * @returns {Object|null} { length, repeats } - repeats is true when it allows more than one match
+ */
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  if (char === '*' || char === '+') {
+    return { length: pattern[index + 1] === '?' ? 2 : 1, repeats: true };
+  }
+  if (char === '?') {
+    return { length: pattern[index + 1] === '?' ? 2 : 1, repeats: false };
+  }
+
+  const braces = /^\{(\d+)(,(\d*))?\}\??/.exec(pattern.slice(index));
+  if (braces) {
+    const max = braces[2] === undefined ? parseInt(braces[1], 10) : (braces[3] === '' ? Infinity : parseInt(braces[3], 10));
+    return { length: braces[0].length, repeats: max > 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Find a repeated group that itself contains a repeat, such as (a+)+ or
+ * (\w*,)*. These backtrack exponentially on input that almost matches.
+ * @param {string} pattern - Regex source
+ * @returns {string|null} The offending group, or null
+ */
+const findNestedQuantifier = (pattern) => {
+  // One entry per open group: where it starts and whether it repeats inside
+  const groups = [];
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === '\\') {
+      index++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+      continue;
+    }
+    if (char === '(') {
+      groups.push({ start: index, repeats: false });
+      continue;
+    }
+
+    if (char === ')') {
+      const group = groups.pop();
+      if (!group) continue;
+
+      const quantifier = readQuantifier(pattern, index + 1);
+      if (quantifier && quantifier.repeats && group.repeats) {
+        return pattern.slice(group.start, index + 1 + quantifier.length);
+      }
+
+      // A group that repeats, or holds a repeat, makes its enclosing group repeat inside
+      if (groups.length > 0 && (group.repeats || (quantifier && quantifier.repeats))) {
+        groups[groups.length - 1].repeats = true;
+      }
+      if (quantifier) index += quantifier.length;
+      continue;
+    }
+
+    const quantifier = readQuantifier(pattern, index);
+    if (quantifier) {
+      if (quantifier.repeats && groups.length > 0) {
+        groups[groups.length - 1].repeats = true;
+      }
+      index += quantifier.length - 1;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a user regex before it is saved
+ * @param {string} pattern - Regex source
+ * @param {string} flags - Regex flags
+ * @returns {string|null} Reason it is refused, or null when it may be used
+ */
+const checkRegex = (pattern, flags = '') => {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return `Regular expression cannot exceed ${MAX_REGEX_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return `Invalid regular expression "${pattern}": ${error.message}`;
+  }
+
+  const nested = findNestedQuantifier(pattern);
+  if (nested) {
+    return `Regular expression "${pattern}" repeats a group that already repeats (${nested}), which can take exponential time`;
+  }
+
+  return null;
+};
+
+// One sandbox is reused for every match; only its timeout matters
+const sandbox = vm.createContext({});
+const execScript = new vm.Script('regex.exec(input)');
+
+/**
+ * Run a user regex against the start of a text, stopping it after REGEX_TIMEOUT_MS
+ * @param {string} pattern - Regex source
+ * @param {string} flags - Regex flags
+ * @param {string} text - Text to search
+ * @returns {Array|null} Match, as from RegExp.prototype.exec
+ * @throws {RegexTimeoutError} When the regex runs too long
+ */
+const execRegex = (pattern, flags, text) => {
+  sandbox.regex = new RegExp(pattern, flags || '');
+  sandbox.input = text.substring(0, MAX_REGEX_INPUT_LENGTH);
+
+  try {
+    return execScript.runInContext(sandbox, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new RegexTimeoutError(pattern);
+    }
+    throw error;
+  } finally {
+    sandbox.regex = null;
+    sandbox.input = null;
+  }
+};
+
+module.exports = {
+  MAX_REGEX_LENGTH,
+  MAX_REGEX_INPUT_LENGTH,
+  REGEX_TIMEOUT_MS,
+  RegexTimeoutError,
+  findNestedQuantifier,
+  checkRegex,
+  execRegex
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Load the 32-byte encryption key from SECRETS_ENCRYPTION_KEY (hex or base64)
+ */
+const getEncryptionKey = () => {
+  const rawKey = process.env.SECRETS_ENCRYPTION_KEY;
+  if (!rawKey) {
+    throw new Error('SECRETS_ENCRYPTION_KEY is not configured');
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(rawKey)
+    ? Buffer.from(rawKey, 'hex')
+    : Buffer.from(rawKey, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('SECRETS_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+  }
+
+  return key;
+};
+
+/**
+ * Encrypt a secret value
+ * @param {string} plaintext - Secret value
+ * @returns {string} "iv:authTag:ciphertext", each part base64 encoded
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload - "iv:authTag:ciphertext"
+ * @returns {string} Secret value
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
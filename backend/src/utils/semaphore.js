@@ -0,0 +1,41 @@
+/**
+ * Counting semaphore that hands out slots in FIFO order
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>} Resolves once the slot is held
+   */
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a slot, handing it straight to the next waiter if there is one
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  get pending() {
+    return this.waiting.length;
+  }
+}
+
+module.exports = Semaphore;
@@ -0,0 +1,363 @@
+// {{ name }}, {{ name:format }}, {{ secret.NAME }} or {{ vars.name }}
+const TEMPLATE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9]*(?:\.[A-Za-z0-9_]+)?)(?::([a-zA-Z_]+))?\s*\}\}/g;
+
+// Secret names: upper case letters, digits and underscores
+const SECRET_NAME_PATTERN = /^[A-Z][A-Z0-9_]{0,63}$/;
+const SECRET_PREFIX = 'secret.';
+
+// Values extracted by earlier steps of a multi-step job
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const VARS_PREFIX = 'vars.';
+
+// Date formats for now and lastSuccessAt; local formats use the job timezone
+const DATE_FORMATS = ['iso', 'unix', 'unix_ms', 'date', 'time', 'datetime'];
+
+// Built-in variables and whether they take a date format
+const TEMPLATE_VARIABLES = {
+  now: { dateFormat: true },
+  lastSuccessAt: { dateFormat: true },
+  executionId: { dateFormat: false },
+  jobId: { dateFormat: false },
+  jobName: { dateFormat: false },
+  uuid: { dateFormat: false } // Random, one per execution so it can serve as an idempotency key
+};
+
+/**
+ * Format a date in one of the supported template formats
+ * @param {Date|null} date - Date to format (empty string when missing)
+ * @param {string} format - One of DATE_FORMATS
+ * @param {string} timezone - IANA timezone for the local formats
+ */
+const formatDate = (date, format = 'iso', timezone = 'UTC') => {
+  if (!date) return '';
+
+  switch (format) {
+    case 'unix':
+      return String(Math.floor(date.getTime() / 1000));
+    case 'unix_ms':
+      return String(date.getTime());
+    case 'date':
+    case 'time':
+    case 'datetime': {
+      const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+          timeZone: timezone,
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit',
+          hourCycle: 'h23'
+        }).formatToParts(date).map(part => [part.type, part.value])
+      );
+      const day = `${parts.year}-${parts.month}-${parts.day}`;
+      const time = `${parts.hour}:${parts.minute}:${parts.second}`;
+
+      if (format === 'date') return day;
+      if (format === 'time') return time;
+      return `${day} ${time}`;
+    }
+    default:
+      return date.toISOString();
+  }
+};
+
+/**
+ * Check a string for unknown variables, bad formats and stray braces
+ * @param {string} template - Template string
+ * @param {Object} options - { allowVars: whether {{vars.name}} may be used (steps only) }
+ * @returns {Object} { isValid, error }
+ */
+const validateTemplate = (template, { allowVars = false } = {}) => {
+  for (const match of template.matchAll(TEMPLATE_PATTERN)) {
+    const [, name, format] = match;
+
+    if (name.startsWith(VARS_PREFIX)) {
+      const variableName = name.slice(VARS_PREFIX.length);
+      if (!allowVars) {
+        return { isValid: false, error: `"${name}" can only be used in the steps of a multi-step job` };
+      }
+      if (!VARIABLE_NAME_PATTERN.test(variableName)) {
+        return { isValid: false, error: `Invalid step variable name "${variableName}"` };
+      }
+      if (format) {
+        return { isValid: false, error: `Step variable "${variableName}" does not take a format` };
+      }
+      continue;
+    }
+
+    if (name.startsWith(SECRET_PREFIX)) {
+      const secretName = name.slice(SECRET_PREFIX.length);
+      if (!SECRET_NAME_PATTERN.test(secretName)) {
+        return { isValid: false, error: `Invalid secret name "${secretName}"` };
+      }
+      if (format) {
+        return { isValid: false, error: `Secret "${secretName}" does not take a format` };
+      }
+      continue;
+    }
+
+    const variable = TEMPLATE_VARIABLES[name];
+
+    if (!variable) {
+      return {
+        isValid: false,
+        error: `Unknown template variable "${name}". Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`
+      };
+    }
+
+    if (format && !variable.dateFormat) {
+      return { isValid: false, error: `Template variable "${name}" does not take a format` };
+    }
+
+    if (format && !DATE_FORMATS.includes(format)) {
+      return {
+        isValid: false,
+        error: `Unknown date format "${format}" for "${name}". Available: ${DATE_FORMATS.join(', ')}`
+      };
+    }
+  }
+
+  // Whatever is left after removing valid placeholders must not look like one
+  const remainder = template.replace(TEMPLATE_PATTERN, '');
+  if (remainder.includes('{{') || remainder.includes('}}')) {
+    // No braces in the message: Joi would treat them as its own template syntax
+    return { isValid: false, error: 'Malformed placeholder, expected a variable name (and optional :format) in double braces' };
+  }
+
+  return { isValid: true, error: null };
+};
+
+/**
+ * Check whether a template uses a variable
+ */
+const usesVariable = (template, name) => {
+  if (!template) return false;
+  return [...template.matchAll(TEMPLATE_PATTERN)].some(match => match[1] === name);
+};
+
+/**
+ * List the names with a given prefix referenced by a set of templates
+ */
+const getReferencedNames = (templates, prefix) => {
+  const names = new Set();
+
+  for (const template of templates) {
+    if (!template) continue;
+    for (const [, name] of template.matchAll(TEMPLATE_PATTERN)) {
+      if (name.startsWith(prefix)) {
+        names.add(name.slice(prefix.length));
+      }
+    }
+  }
+
+  return [...names];
+};
+
+/**
+ * List the secret names referenced by a set of templates
+ * @param {Array} templates - Template strings (empty values are ignored)
+ * @returns {Array} Unique secret names
+ */
+const getReferencedSecrets = (templates) => getReferencedNames(templates, SECRET_PREFIX);
+
+/**
+ * List the step variables referenced by a set of templates
+ * @param {Array} templates - Template strings (empty values are ignored)
+ * @returns {Array} Unique variable names
+ */
+const getReferencedVariables = (templates) => getReferencedNames(templates, VARS_PREFIX);
+
+/**
+ * Template strings of a single request: URL, body and header values
+ */
+const getRequestTemplates = (request) => [
+  request.url,
+  request.body,
+  ...Object.values(request.headers || {})
+];
+
+/**
+ * Every string in a settings object, including nested objects
+ */
+const collectStrings = (value) => {
+  if (typeof value === 'string') return [value];
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectStrings);
+  return [];
+};
+
+/**
+ * Template strings of a job's request or steps, including its auth and transport settings
+ */
+const getJobTemplates = (job) => [
+  ...getRequestTemplates(job),
+  ...(Array.isArray(job.steps) ? job.steps.flatMap(getRequestTemplates) : []),
+  ...collectStrings(job.auth),
+  ...collectStrings(job.transport)
+];
+
+/**
+ * Render a template string
+ * @param {string} template - Template string
+ * @param {Object} context - { now, lastSuccessAt, executionId, jobId, jobName, uuid, timezone, secrets, vars }
+ * @param {Object} options - { encode: function applied to every substituted value and its placeholder's offset }
+ * @returns {string} Rendered string
+ */
+const renderTemplate = (template, context, { encode = value => value } = {}) => {
+  if (!template) return template;
+
+  return template.replace(TEMPLATE_PATTERN, (placeholder, name, format, offset) => {
+    let value;
+
+    if (name.startsWith(SECRET_PREFIX)) {
+      const secretName = name.slice(SECRET_PREFIX.length);
+      if (context.secrets?.[secretName] === undefined) {
+        throw new Error(`Secret "${secretName}" not found`);
+      }
+      return encode(context.secrets[secretName], offset);
+    }
+
+    if (name.startsWith(VARS_PREFIX)) {
+      const variableName = name.slice(VARS_PREFIX.length);
+      if (context.vars?.[variableName] === undefined) {
+        throw new Error(`Step variable "${variableName}" was not extracted by an earlier step`);
+      }
+      return encode(context.vars[variableName], offset);
+    }
+
+    switch (name) {
+      case 'now':
+        value = formatDate(context.now, format, context.timezone);
+        break;
+      case 'lastSuccessAt':
+        value = formatDate(context.lastSuccessAt, format, context.timezone);
+        break;
+      default:
+        value = context[name] === undefined || context[name] === null ? '' : String(context[name]);
+    }
+
+    return encode(value, offset);
+  });
+};
+
+/**
+ * Find the placeholders of a template that sit inside double-quoted strings
+ * @returns {Set} Offsets of the quoted placeholders
+ */
+const findQuotedPlaceholders = (template) => {
+  const quoted = new Set();
+  let inString = false;
+  let position = 0;
+
+  const scan = (text) => {
+    for (let index = 0; index < text.length; index++) {
+      if (inString && text[index] === '\\') {
+        index++;
+      } else if (text[index] === '"') {
+        inString = !inString;
+      }
+    }
+  };
+
+  for (const match of template.matchAll(TEMPLATE_PATTERN)) {
+    scan(template.slice(position, match.index));
+    if (inString) quoted.add(match.index);
+    position = match.index + match[0].length;
+  }
+
+  return quoted;
+};
+
+/**
+ * Check whether a string is a single JSON value
+ */
+const isJsonValue = (value) => {
+  try {
+    JSON.parse(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Render a request body. When the body is JSON, substituted values cannot change its
+ * structure: values inside strings are string-escaped, and values outside strings are
+ * inserted as-is only when they are a single JSON value, otherwise as a JSON string.
+ * @param {string} template - Body template
+ * @param {Object} context - As for renderTemplate
+ * @returns {string} Rendered body
+ */
+const renderBody = (template, context) => {
+  if (!template) return template;
+
+  const quoted = findQuotedPlaceholders(template);
+  const skeleton = template.replace(TEMPLATE_PATTERN, (placeholder, name, format, offset) => (quoted.has(offset) ? '' : 'null'));
+  if (!isJsonValue(skeleton)) {
+    return renderTemplate(template, context);
+  }
+
+  return renderTemplate(template, context, {
+    encode: (value, offset) => {
+      if (quoted.has(offset)) return JSON.stringify(value).slice(1, -1);
+      return isJsonValue(value) ? value : JSON.stringify(value);
+    }
+  });
+};
+
+/**
+ * Render every string value of an object, including nested objects
+ */
+const renderValues = (values, context) => Object.fromEntries(
+  Object.entries(values).map(([name, value]) => [
+    name,
+    typeof value === 'string'
+      ? renderTemplate(value, context)
+      : value && typeof value === 'object' && !Array.isArray(value) ? renderValues(value, context) : value
+  ])
+);
+
+/**
+ * Render the URL, headers, body, auth and transport settings of a job or step for one execution.
+ * Values substituted into the URL are percent-encoded and values in a JSON body are JSON-encoded.
+ * @returns {Object} { url, headers, body, auth, transport }
+ */
+const renderRequest = (request, context) => ({
+  url: renderTemplate(request.url, context, { encode: encodeURIComponent }),
+  headers: renderValues(request.headers || {}, context),
+  body: renderBody(request.body, context),
+  auth: request.auth ? renderValues(request.auth, context) : null,
+  transport: request.transport ? renderValues(request.transport, context) : null
+});
+
+// Stand-in values used to check that a templated URL is still a valid URL
+const SAMPLE_CONTEXT = {
+  now: new Date(0),
+  lastSuccessAt: new Date(0),
+  executionId: 1,
+  jobId: 1,
+  jobName: 'job',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  timezone: 'UTC',
+  // Any referenced secret renders as a placeholder value
+  secrets: new Proxy({}, { get: () => 'secret' }),
+  vars: new Proxy({}, { get: () => 'value' })
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  DATE_FORMATS,
+  SAMPLE_CONTEXT,
+  SECRET_NAME_PATTERN,
+  VARIABLE_NAME_PATTERN,
+  formatDate,
+  validateTemplate,
+  usesVariable,
+  getReferencedSecrets,
+  getReferencedVariables,
+  getJobTemplates,
+  renderTemplate,
+  renderBody,
+  renderRequest
+};
@@ -0,0 +1,168 @@
+const http = require('http');
+const https = require('https');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { isUrlPolicyError, policyLookup, resolveAllowedHost, getPolicyRequestOptions } = require('./urlPolicy');
+
+// axios follows up to 21 redirects unless told otherwise
+const DEFAULT_MAX_REDIRECTS = 21;
+
+/**
+ * Error raised when a proxy cannot be reached or refuses the tunnel.
+ * Classified as a connection failure.
+ */
+class ProxyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.code = 'ERR_PROXY_TUNNEL';
+  }
+}
+
+/**
+ * Agent that tunnels every connection through the job's proxy: CONNECT for
+ * http and https proxies, SOCKS5 for socks5 and socks5h (where the proxy
+ * resolves the host).
+ *
+ * The policy agents never see the target's address behind a proxy, so the
+ * proxy and the target are both checked before each tunnel opens, and every
+ * address resolved locally goes through the policy lookup.
+ *
+ * @param {Object} proxy - { url, username, password }
+ * @param {Object} options - { tlsOptions, timeoutMs, observeTls }; TLS options apply to the target only
+ */
+const createProxyAgent = (proxy, { tlsOptions, timeoutMs, observeTls }) => {
+  const proxyUrl = new URL(proxy.url);
+  if (proxy.username) {
+    proxyUrl.username = encodeURIComponent(proxy.username);
+    proxyUrl.password = encodeURIComponent(proxy.password || '');
+  }
+
+  const agent = proxyUrl.protocol.startsWith('socks')
+    ? new SocksProxyAgent(proxyUrl, { timeout: timeoutMs, socketOptions: { lookup: policyLookup } })
+    : new HttpsProxyAgent(proxyUrl, { lookup: policyLookup });
+  const connect = agent.connect.bind(agent);
+
+  agent.connect = async (req, options) => {
+    await resolveAllowedHost(proxyUrl.hostname);
+    await resolveAllowedHost(options.host);
+
+    // A proxy that refuses CONNECT would otherwise hand its own response back as the target's
+    let refusal = null;
+    req.once('proxyConnect', ({ statusCode, statusText }) => {
+      if (statusCode !== 200) refusal = `${statusCode} ${statusText}`;
+    });
+
+    let socket;
+    try {
+      socket = await connect(req, { ...options, ...tlsOptions, lookup: policyLookup });
+    } catch (error) {
+      throw isUrlPolicyError(error) || error instanceof ProxyError
+        ? error
+        : new ProxyError(`Proxy connection failed: ${error.message}`);
+    }
+
+    if (refusal) {
+      socket.destroy();
+      throw new ProxyError(`Proxy refused to connect to ${options.host}:${options.port}: ${refusal}`);
+    }
+    return options.secureEndpoint ? observeTls(socket) : socket;
+  };
+
+  return agent;
+};
+
+/**
+ * TLS details of a connection, recorded on the execution
+ */
+const describeTlsSocket = (socket) => {
+  const certificate = socket.getPeerCertificate();
+  const cipher = socket.getCipher();
+
+  return {
+    protocol: socket.getProtocol(),
+    cipher: cipher ? cipher.name : null,
+    authorized: socket.authorized,
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+    peerCertificate: certificate && certificate.subject
+      ? {
+        subject: { ...certificate.subject },
+        issuer: { ...certificate.issuer },
+        validFrom: certificate.valid_from,
+        validTo: certificate.valid_to,
+        serialNumber: certificate.serialNumber,
+        fingerprint256: certificate.fingerprint256
+      }
+      : null
+  };
+};
+
+/**
+ * Build axios options for a job's transport settings.
+ *
+ * Every request gets its own agents so TLS settings never leak between jobs
+ * and the handshake of each connection can be observed. The URL policy still
+ * applies: direct connections resolve through the policy lookup, tunnels
+ * check their target before connecting, and every redirect hop is checked.
+ *
+ * @param {Object|null} transport - Rendered transport settings of the job
+ * @param {Object} options - { timeoutMs, connection }
+ * @returns {Object} { requestOptions, connection } - connection collects
+ *   { redirects: [{ status, url }], tls } while the request runs
+ */
+const createTransport = (transport, { timeoutMs, connection = { redirects: [], tls: null } }) => {
+  const settings = transport || {};
+  const tlsSettings = settings.tls || {};
+  const proxy = settings.proxy || null;
+
+  const tlsOptions = {
+    rejectUnauthorized: tlsSettings.verify !== false,
+    ...(tlsSettings.ca && { ca: tlsSettings.ca }),
+    ...(tlsSettings.clientCert && { cert: tlsSettings.clientCert, key: tlsSettings.clientKey }),
+    ...(tlsSettings.passphrase && { passphrase: tlsSettings.passphrase })
+  };
+
+  // The last handshake wins, so after redirects this describes the final host
+  const observeTls = (socket) => {
+    socket.once('secureConnect', () => {
+      connection.tls = describeTlsSocket(socket);
+    });
+    return socket;
+  };
+
+  let httpAgent;
+  let httpsAgent;
+
+  if (proxy) {
+    // One tunnelling agent serves both protocols; https targets get TLS inside the tunnel
+    httpAgent = createProxyAgent(proxy, { tlsOptions, timeoutMs, observeTls });
+    httpsAgent = httpAgent;
+  } else {
+    httpAgent = new http.Agent({ lookup: policyLookup });
+    // Without session resumption every handshake reports the peer certificate
+    httpsAgent = new https.Agent({ lookup: policyLookup, maxCachedSessions: 0, ...tlsOptions });
+
+    const createTlsConnection = httpsAgent.createConnection.bind(httpsAgent);
+    httpsAgent.createConnection = (options, callback) => observeTls(createTlsConnection(options, callback));
+  }
+
+  const { beforeRedirect: checkRedirect } = getPolicyRequestOptions();
+
+  return {
+    connection,
+    requestOptions: {
+      httpAgent,
+      httpsAgent,
+      maxRedirects: settings.followRedirects === false ? 0 : settings.maxRedirects || DEFAULT_MAX_REDIRECTS,
+      beforeRedirect: (options, responseDetails) => {
+        checkRedirect(options);
+        connection.redirects.push({ status: responseDetails.statusCode, url: options.href });
+      }
+    }
+  };
+};
+
+module.exports = {
+  ProxyError,
+  createTransport
+};
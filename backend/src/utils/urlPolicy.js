@@ -0,0 +1,272 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Ranges jobs may not reach unless allowlisted: private, loopback, link-local and other non-public space
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+/**
+ * Error raised when a job URL or one of its redirects is not allowed
+ */
+class UrlPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.code = 'URL_POLICY_BLOCKED';
+  }
+}
+
+/**
+ * Whether an error, or anything it wraps, came from the URL policy.
+ * Redirect failures arrive wrapped by follow-redirects and then by axios.
+ */
+const isUrlPolicyError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'URL_POLICY_BLOCKED') return true;
+  }
+  return false;
+};
+
+/**
+ * Parse a comma separated list of hosts and CIDRs, e.g.
+ * "api.internal, *.corp.example.com, 10.20.0.0/16, 192.168.1.10"
+ */
+const parseRules = (value) => {
+  const hosts = [];
+  const addresses = new net.BlockList();
+
+  for (const entry of (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+
+    if (family) {
+      const type = family === 4 ? 'ipv4' : 'ipv6';
+      if (prefix !== undefined) {
+        addresses.addSubnet(address, parseInt(prefix), type);
+      } else {
+        addresses.addAddress(address, type);
+      }
+    } else {
+      hosts.push(entry);
+    }
+  }
+
+  return { hosts, addresses };
+};
+
+let cachedPolicy = null;
+
+/**
+ * Outbound policy from OUTBOUND_ALLOWLIST and OUTBOUND_DENYLIST, read on first use
+ */
+const getPolicy = () => {
+  if (!cachedPolicy) {
+    const blocked = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_RANGES) {
+      blocked.addSubnet(address, prefix, type);
+    }
+
+    cachedPolicy = {
+      blocked,
+      allow: parseRules(process.env.OUTBOUND_ALLOWLIST),
+      deny: parseRules(process.env.OUTBOUND_DENYLIST)
+    };
+  }
+
+  return cachedPolicy;
+};
+
+const matchesHost = (hostname, patterns) => patterns.some(pattern =>
+  pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern
+);
+
+/**
+ * Normalize an address for BlockList checks; IPv4-mapped IPv6 is checked as IPv4
+ */
+const toAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return { address: mapped[1], type: 'ipv4' };
+  return { address, type: net.isIP(address) === 6 ? 'ipv6' : 'ipv4' };
+};
+
+/**
+ * Check one resolved address against the policy
+ * @returns {string|null} Reason it is blocked, or null when allowed
+ */
+const checkAddress = (address) => {
+  const policy = getPolicy();
+  const { address: normalized, type } = toAddress(address);
+
+  if (policy.deny.addresses.check(normalized, type)) {
+    return `${address} is on the outbound denylist`;
+  }
+  if (policy.allow.addresses.check(normalized, type)) {
+    return null;
+  }
+  if (policy.blocked.check(normalized, type)) {
+    return `${address} is a private, loopback or link-local address`;
+  }
+  return null;
+};
+
+/**
+ * Check a hostname without resolving it: host rules, "localhost" and IP literals
+ * @returns {Object} { reason, allowlisted } - reason is null when the host may be used
+ */
+const checkHost = (rawHostname) => {
+  const policy = getPolicy();
+  const hostname = rawHostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (matchesHost(hostname, policy.deny.hosts)) {
+    return { reason: `${hostname} is on the outbound denylist`, allowlisted: false };
+  }
+  if (matchesHost(hostname, policy.allow.hosts)) {
+    return { reason: null, allowlisted: true };
+  }
+  if (net.isIP(hostname)) {
+    return { reason: checkAddress(hostname), allowlisted: false };
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return { reason: `${hostname} is a loopback host`, allowlisted: false };
+  }
+  return { reason: null, allowlisted: false };
+};
+
+/**
+ * Check a host name before connecting to it (used for SMTP hosts, which are not URLs)
+ * @param {string} hostname - Host name or IP literal
+ * @returns {string|null} Reason it is blocked, or null when allowed
+ */
+const checkHostname = (hostname) => checkHost(hostname).reason;
+
+/**
+ * Check a URL before any request is made (used when jobs are saved)
+ * @param {string} url - Absolute http(s) URL
+ * @returns {string|null} Reason it is blocked, or null when allowed
+ */
+const checkUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'Only http and https URLs are allowed';
+  }
+
+  return checkHost(parsed.hostname).reason;
+};
+
+/**
+ * Throw a UrlPolicyError when a URL is not allowed
+ */
+const assertUrlAllowed = (url) => {
+  const reason = checkUrl(url);
+  if (reason) {
+    throw new UrlPolicyError(`Blocked by outbound URL policy: ${reason}`);
+  }
+};
+
+/**
+ * dns.lookup replacement that refuses hosts resolving to blocked addresses.
+ * Checking the resolved addresses, not the name, is what defeats DNS rebinding.
+ */
+const policyLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!checkHost(hostname).allowlisted) {
+      for (const { address } of addresses) {
+        const reason = checkAddress(address);
+        if (reason) {
+          return callback(new UrlPolicyError(`Blocked by outbound URL policy: ${hostname} resolves to ${reason}`));
+        }
+      }
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check a host before connecting to it through a proxy, where the policy agents
+ * cannot see the connection. Allowlisted hosts are not resolved here, since
+ * the proxy may be the only one able to resolve them.
+ * @param {string} hostname - Host name or IP literal
+ * @returns {Promise<string|null>} An allowed address for the host, or null when it is allowlisted
+ */
+const resolveAllowedHost = (hostname) => new Promise((resolve, reject) => {
+  const { reason, allowlisted } = checkHost(hostname);
+  if (reason) {
+    return reject(new UrlPolicyError(`Blocked by outbound URL policy: ${reason}`));
+  }
+  if (allowlisted) {
+    return resolve(null);
+  }
+
+  const bareHostname = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(bareHostname)) {
+    return resolve(bareHostname);
+  }
+
+  policyLookup(bareHostname, {}, (error, address) => (error ? reject(error) : resolve(address)));
+});
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: policyLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: policyLookup });
+
+/**
+ * axios options that enforce the policy on every connection, including each redirect hop.
+ * Agents cover hostnames; beforeRedirect covers IP literals, which skip DNS lookup.
+ */
+const getPolicyRequestOptions = () => ({
+  httpAgent,
+  httpsAgent,
+  beforeRedirect: (options) => {
+    const reason = checkHost(options.hostname).reason;
+    if (reason) {
+      throw new UrlPolicyError(`Blocked by outbound URL policy: redirect to ${reason}`);
+    }
+  }
+});
+
+module.exports = {
+  UrlPolicyError,
+  isUrlPolicyError,
+  checkUrl,
+  checkHostname,
+  assertUrlAllowed,
+  policyLookup,
+  resolveAllowedHost,
+  getPolicyRequestOptions
+};
@@ -1,11 +1,295 @@
 const Joi = require('joi');
+const { RETRYABLE_OUTCOMES, BACKOFF_STRATEGIES } = require('./retryPolicy');
+const { ASSERTION_TYPES } = require('./assertions');
+const { EXTRACTOR_TYPES } = require('./extractors');
+const { validateJsonPath } = require('./jsonPath');
+const { MISFIRE_POLICIES } = require('./misfirePolicy');
+const {
+  validateTemplate,
+  renderTemplate,
+  getReferencedVariables,
+  SAMPLE_CONTEXT,
+  SECRET_NAME_PATTERN,
+  VARIABLE_NAME_PATTERN
+} = require('./template');
+const { checkUrl, checkHostname } = require('./urlPolicy');
+const { checkRegex, MAX_REGEX_LENGTH } = require('./safeRegex');
+const { parseCron } = require('./cronExpression');
+const { parseRecurrence } = require('./recurrence');
+const { SCHEDULE_TYPES } = require('./cronUtils');
+
+// A heartbeat monitor expects pings on a schedule, so it has to recur
+const HEARTBEAT_SCHEDULE_TYPES = SCHEDULE_TYPES.filter(type => type !== 'once');
 
 // Common validation patterns
 const patterns = {
   email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   password: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d@$!%*?&]{8,}$/,
-  url: /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/,
-  cronExpression: /^(\*|([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])|\*\/([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])) (\*|([0-9]|1[0-9]|2[0-3])|\*\/([0-9]|1[0-9]|2[0-3])) (\*|([1-9]|1[0-9]|2[0-9]|3[0-1])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-1])) (\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2])) (\*|([0-6])|\*\/([0-6]))$/
+  url: /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/
+};
+
+// Joi helper for fields that accept {{variable}} templates
+const checkTemplate = (value, helpers) => {
+  const result = validateTemplate(value);
+  return result.isValid ? value : helpers.message(`Invalid template: ${result.error}`);
+};
+
+// Same for fields of multi-step job steps, which may also use {{vars.name}}
+const checkStepTemplate = (value, helpers) => {
+  const result = validateTemplate(value, { allowVars: true });
+  return result.isValid ? value : helpers.message(`Invalid template: ${result.error}`);
+};
+
+// Joi helper for cron expressions; the message names the offending cron field
+const checkCronExpression = (value, helpers) => {
+  try {
+    parseCron(value);
+    return value.trim();
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+};
+
+// Joi helper for iCalendar recurrence rules; errors name the offending line or rule part
+const checkRecurrence = (value, helpers) => {
+  try {
+    parseRecurrence(value);
+    return value.trim();
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+};
+
+// Joi helper for URLs the worker will call; hosts are checked again after DNS resolution at run time
+const checkOutboundUrl = (value, helpers) => {
+  const reason = checkUrl(value);
+  return reason ? helpers.message(`URL is not allowed: ${reason}`) : value;
+};
+
+// Same check for hosts that are not given as URLs, such as SMTP servers
+const checkOutboundHost = (value, helpers) => {
+  const reason = checkHostname(value);
+  return reason ? helpers.message(`Host is not allowed: ${reason}`) : value;
+};
+
+// Joi helpers for job assertions
+const jsonPathString = Joi.string().max(500).custom((value, helpers) => {
+  const result = validateJsonPath(value);
+  return result.isValid ? value : helpers.message(`Invalid JSONPath "${value}": ${result.error}`);
+});
+
+const regexString = Joi.string().max(MAX_REGEX_LENGTH).custom((value, helpers) => {
+  const reason = checkRegex(value);
+  return reason ? helpers.message(reason) : value;
+});
+
+const assertionSchemas = {
+  status: Joi.object({
+    type: Joi.string().valid('status').required(),
+    values: Joi.array()
+      .items(
+        Joi.number().integer().min(100).max(599),
+        Joi.string().pattern(/^([1-5]xx|\d{3}-\d{3})$/i).messages({
+          'string.pattern.base': 'Status values must be codes (204), classes ("2xx") or ranges ("200-299")'
+        })
+      )
+      .min(1)
+      .required()
+      .messages({
+        'array.includes': 'Status values must be codes (204), classes ("2xx") or ranges ("200-299")',
+        'array.min': 'Status assertions need at least one expected value'
+      })
+  }),
+
+  jsonPath: Joi.object({
+    type: Joi.string().valid('jsonPath').required(),
+    path: jsonPathString.required(),
+    equals: Joi.any(),
+    exists: Joi.boolean()
+  }).xor('equals', 'exists').messages({
+    'object.xor': 'JSONPath assertions need exactly one of "equals" or "exists"',
+    'object.missing': 'JSONPath assertions need exactly one of "equals" or "exists"'
+  }),
+
+  body: Joi.object({
+    type: Joi.string().valid('body').required(),
+    contains: Joi.string().max(1000),
+    notContains: Joi.string().max(1000),
+    regex: regexString,
+    flags: Joi.string().pattern(/^[imsu]*$/).messages({
+      'string.pattern.base': 'Regex flags may only contain i, m, s and u'
+    })
+  }).xor('contains', 'notContains', 'regex').messages({
+    'object.xor': 'Body assertions need exactly one of "contains", "notContains" or "regex"',
+    'object.missing': 'Body assertions need exactly one of "contains", "notContains" or "regex"'
+  }),
+
+  header: Joi.object({
+    type: Joi.string().valid('header').required(),
+    name: Joi.string().max(200).required(),
+    equals: Joi.string().max(1000),
+    contains: Joi.string().max(1000),
+    exists: Joi.boolean()
+  }).xor('equals', 'contains', 'exists').messages({
+    'object.xor': 'Header assertions need exactly one of "equals", "contains" or "exists"',
+    'object.missing': 'Header assertions need exactly one of "equals", "contains" or "exists"'
+  }),
+
+  latency: Joi.object({
+    type: Joi.string().valid('latency').required(),
+    maxMs: Joi.number().integer().min(1).required()
+  })
+};
+
+const assertionList = Joi.array()
+  .items(
+    Joi.alternatives().conditional('.type', {
+      switch: ASSERTION_TYPES.map(type => ({ is: type, then: assertionSchemas[type] })),
+      otherwise: Joi.any().forbidden().messages({
+        'any.unknown': `Assertion type must be one of: ${ASSERTION_TYPES.join(', ')}`
+      })
+    })
+  )
+  .max(50)
+  .allow(null)
+  .messages({
+    'array.base': 'Assertions must be an array',
+    'array.max': 'A job cannot have more than 50 assertions'
+  });
+
+// Outbound auth settings by type; credential fields may use {{secret.NAME}}
+const credentialString = Joi.string().max(2000).custom(checkTemplate);
+
+const authSchemas = {
+  basic: Joi.object({
+    type: Joi.string().valid('basic').required(),
+    username: credentialString.required(),
+    password: credentialString.allow('')
+  }),
+
+  bearer: Joi.object({
+    type: Joi.string().valid('bearer').required(),
+    token: credentialString.required()
+  }),
+
+  oauth2_client_credentials: Joi.object({
+    type: Joi.string().valid('oauth2_client_credentials').required(),
+    tokenUrl: Joi.string().uri({ scheme: ['http', 'https'] }).custom(checkOutboundUrl).required().messages({
+      'string.uri': 'OAuth2 token URL must be a valid http(s) URL'
+    }),
+    clientId: credentialString.required(),
+    clientSecret: credentialString.required(),
+    scope: Joi.string().max(1000),
+    audience: Joi.string().max(1000),
+    clientAuth: Joi.string().valid('basic', 'body').default('basic')
+  }),
+
+  api_key: Joi.object({
+    type: Joi.string().valid('api_key').required(),
+    name: Joi.string().max(200).required(),
+    value: credentialString.required(),
+    in: Joi.string().valid('header', 'query').default('header')
+  }),
+
+  hmac: Joi.object({
+    type: Joi.string().valid('hmac').required(),
+    secret: credentialString.required(),
+    algorithm: Joi.string().valid('sha256', 'sha512').default('sha256'),
+    encoding: Joi.string().valid('hex', 'base64').default('hex'),
+    signatureHeader: Joi.string().max(200).default('X-Signature'),
+    timestampHeader: Joi.string().max(200).default('X-Timestamp')
+  })
+};
+
+const AUTH_TYPES = Object.keys(authSchemas);
+
+// Certificates and keys are only ever read from the user's secrets
+const secretReference = Joi.string().pattern(/^\{\{\s*secret\.[A-Z][A-Z0-9_]{0,63}\s*\}\}$/).messages({
+  'string.pattern.base': '{{#label}} must reference a secret, e.g. secret.CLIENT_KEY in double braces'
+});
+
+// Proxy URLs carry no credentials; those go in username and password so they can be secrets
+const proxyUrl = Joi.string()
+  .uri({ scheme: ['http', 'https', 'socks5', 'socks5h'] })
+  .custom((value, helpers) => {
+    const parsed = new URL(value);
+    if (parsed.username || parsed.password) {
+      return helpers.message('Put proxy credentials in username and password, not in the proxy URL');
+    }
+    return value;
+  })
+  .messages({
+    'string.uri': 'Proxy URL must be an http, https, socks5 or socks5h URL'
+  });
+
+// Extractors of multi-step job steps; the value is available to later steps as {{vars.name}}
+const extractorName = Joi.string().pattern(VARIABLE_NAME_PATTERN).required().messages({
+  'string.pattern.base': 'Extractor names must start with a letter or underscore and contain only letters, digits and underscores',
+  'any.required': 'Extractor name is required'
+});
+
+const extractorSchemas = {
+  jsonPath: Joi.object({
+    name: extractorName,
+    type: Joi.string().valid('jsonPath').required(),
+    path: jsonPathString.required()
+  }),
+
+  header: Joi.object({
+    name: extractorName,
+    type: Joi.string().valid('header').required(),
+    header: Joi.string().max(200).required()
+  }),
+
+  regex: Joi.object({
+    name: extractorName,
+    type: Joi.string().valid('regex').required(),
+    pattern: regexString.required(),
+    flags: Joi.string().pattern(/^[imsu]*$/).messages({
+      'string.pattern.base': 'Regex flags may only contain i, m, s and u'
+    }),
+    group: Joi.number().integer().min(0).max(20)
+  })
+};
+
+/**
+ * Template URL validator; checked as a URL once rendered with sample values
+ */
+const templatedUrl = (templateCheck) => Joi.string().max(2000).custom((value, helpers) => {
+  const checked = templateCheck(value, helpers);
+  if (checked !== value) {
+    return checked;
+  }
+
+  const { error } = customValidators.url.custom(checkOutboundUrl).validate(
+    renderTemplate(value, SAMPLE_CONTEXT, { encode: encodeURIComponent })
+  );
+  return error ? helpers.message(error.details[0].message) : value;
+}).messages({
+  'string.max': 'URL cannot exceed 2000 characters'
+});
+
+/**
+ * Steps may only use variables extracted by an earlier step
+ */
+const checkStepVariables = (steps, helpers) => {
+  const extracted = new Set();
+
+  for (const [index, step] of steps.entries()) {
+    const templates = [step.url, step.body, ...Object.values(step.headers || {})];
+
+    for (const name of getReferencedVariables(templates)) {
+      if (!extracted.has(name)) {
+        return helpers.message(`Step ${index + 1} uses vars.${name}, which no earlier step extracts`);
+      }
+    }
+
+    for (const extractor of step.extract || []) {
+      extracted.add(extractor.name);
+    }
+  }
+
+  return steps;
 };
 
 // Custom Joi validators
@@ -25,9 +309,278 @@ const customValidators = {
     'string.pattern.base': 'URL must start with http:// or https://'
   }),
   
-  cronExpression: Joi.string().pattern(patterns.cronExpression).messages({
-    'string.pattern.base': 'Please provide a valid cron expression (e.g., "0 0 * * *")'
-  })
+  cronExpression: Joi.string().max(200).custom(checkCronExpression).messages({
+    'string.empty': 'Cron expression cannot be empty',
+    'string.max': 'Cron expression cannot exceed 200 characters'
+  }),
+
+  // RFC 5545 DTSTART, RRULE, EXRULE and EXDATE lines, read in the job's timezone
+  rrule: Joi.string().max(2000).custom(checkRecurrence).messages({
+    'string.empty': 'Recurrence rule cannot be empty',
+    'string.max': 'Recurrence rule cannot exceed 2000 characters'
+  }),
+
+  scheduleType: Joi.string().valid(...SCHEDULE_TYPES).messages({
+    'any.only': `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}`
+  }),
+
+  // Seconds between runs of interval and fixed-delay schedules, from 10 seconds to a year
+  intervalSeconds: Joi.number().integer().min(10).max(366 * 24 * 60 * 60).messages({
+    'number.base': 'Interval must be a number of seconds',
+    'number.min': 'Interval must be at least 10 seconds',
+    'number.max': 'Interval cannot exceed 366 days'
+  }),
+
+  // Time an interval schedule counts from
+  anchorTime: Joi.date().iso().messages({
+    'date.base': 'Anchor time must be a valid date',
+    'date.format': 'Anchor time must be an ISO 8601 date'
+  }),
+
+  // Run time of a one-time job: ISO 8601 with a UTC offset or Z, or a local
+  // time such as 2026-11-01T09:00 read in the job's timezone
+  runAt: Joi.string().custom((value, helpers) => {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/i);
+    if (!match) {
+      return helpers.message('Run time must be an ISO 8601 date-time, e.g. 2026-11-01T09:00 or 2026-11-01T08:00:00Z');
+    }
+
+    const [year, month, day, hour, minute, second = 0] = match.slice(1, 7).map(part => parseInt(part || 0, 10));
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+      return helpers.message(`Run time "${value}" is not a real date and time`);
+    }
+    return value;
+  }),
+
+  // One-time run after a delay, up to a year ahead
+  delaySeconds: Joi.number().integer().min(0).max(366 * 24 * 60 * 60).messages({
+    'number.base': 'Delay must be a number of seconds',
+    'number.min': 'Delay cannot be negative',
+    'number.max': 'Delay cannot exceed 366 days'
+  }),
+
+  // IANA timezone name, checked against the runtime's timezone data
+  timezone: Joi.string().max(100).custom((value, helpers) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.message(`Unknown timezone "${value}"`);
+    }
+  }),
+
+  // Job target URL, which may contain templates
+  jobUrl: templatedUrl(checkTemplate),
+
+  requestHeaders: Joi.object()
+    .pattern(Joi.string(), Joi.string().allow('').custom(checkTemplate))
+    .messages({
+      'object.base': 'Headers must be a valid object'
+    }),
+
+  requestBody: Joi.string()
+    .allow('')
+    .max(10000)
+    .custom(checkTemplate)
+    .messages({
+      'string.max': 'Request body cannot exceed 10000 characters'
+    }),
+
+  retryPolicy: Joi.object({
+    maxAttempts: Joi.number().integer().min(1).max(10).required().messages({
+      'number.min': 'Retry max attempts must be at least 1',
+      'number.max': 'Retry max attempts cannot exceed 10',
+      'any.required': 'Retry max attempts is required'
+    }),
+    backoff: Joi.string().valid(...BACKOFF_STRATEGIES).default('exponential').messages({
+      'any.only': `Retry backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}`
+    }),
+    initialDelayMs: Joi.number().integer().min(100).max(60 * 60 * 1000).default(1000).messages({
+      'number.min': 'Retry initial delay must be at least 100ms',
+      'number.max': 'Retry initial delay cannot exceed 1 hour'
+    }),
+    maxDelayMs: Joi.number().integer().min(100).max(24 * 60 * 60 * 1000).default(60 * 60 * 1000).messages({
+      'number.min': 'Retry max delay must be at least 100ms',
+      'number.max': 'Retry max delay cannot exceed 24 hours'
+    }),
+    retryOn: Joi.array().items(Joi.string().valid(...RETRYABLE_OUTCOMES)).unique().messages({
+      'any.only': `Retry outcomes must be any of: ${RETRYABLE_OUTCOMES.join(', ')}`
+    })
+  }).allow(null).messages({
+    'object.base': 'Retry policy must be a valid object'
+  }),
+
+  gracePeriodMs: Joi.number().integer().min(60 * 1000).max(7 * 24 * 60 * 60 * 1000).messages({
+    'number.base': 'Grace period must be a number of milliseconds',
+    'number.min': 'Grace period must be at least 60000ms (1 minute)',
+    'number.max': 'Grace period cannot exceed 7 days'
+  }),
+
+  timeoutMs: Joi.number().integer().min(1000).max(10 * 60 * 1000).messages({
+    'number.base': 'Timeout must be a number of milliseconds',
+    'number.min': 'Timeout must be at least 1000ms',
+    'number.max': 'Timeout cannot exceed 600000ms (10 minutes)'
+  }),
+
+  assertions: assertionList,
+
+  notifications: Joi.array()
+    .items(
+      Joi.object({
+        channelId: Joi.number().integer().positive().required().messages({
+          'any.required': 'Notification channel ID is required'
+        }),
+        onFailure: Joi.boolean().default(true),
+        failureThreshold: Joi.number().integer().min(1).max(100).default(1).messages({
+          'number.min': 'Failure threshold must be at least 1',
+          'number.max': 'Failure threshold cannot exceed 100'
+        }),
+        onRecovery: Joi.boolean().default(false),
+        digest: Joi.boolean().default(false)
+      })
+    )
+    .max(20)
+    .unique('channelId')
+    .messages({
+      'array.unique': 'Each notification channel can only be attached once',
+      'array.max': 'A job cannot have more than 20 notification channels'
+    }),
+
+  maxResponseBytes: Joi.number().integer().min(0).max(5 * 1024 * 1024).messages({
+    'number.base': 'Max response size must be a number of bytes',
+    'number.min': 'Max response size cannot be negative',
+    'number.max': 'Max response size cannot exceed 5242880 bytes (5MB)'
+  }),
+
+  misfirePolicy: Joi.string().valid(...MISFIRE_POLICIES).messages({
+    'any.only': `Misfire policy must be one of: ${MISFIRE_POLICIES.join(', ')}`
+  }),
+
+  misfireMaxRuns: Joi.number().integer().min(1).max(100).messages({
+    'number.base': 'Misfire max runs must be a number',
+    'number.min': 'Misfire max runs must be at least 1',
+    'number.max': 'Misfire max runs cannot exceed 100'
+  }),
+
+  concurrencyPolicy: Joi.string().valid('allow', 'skip', 'queue').messages({
+    'any.only': 'Concurrency policy must be one of: allow, skip, queue'
+  }),
+
+  archivePolicy: Joi.string().valid('always', 'failures', 'never').messages({
+    'any.only': 'Archive policy must be one of: always, failures, never'
+  }),
+
+  archiveMaxBytes: Joi.number().integer().min(1024).max(50 * 1024 * 1024).messages({
+    'number.base': 'Archive size cap must be a number of bytes',
+    'number.min': 'Archive size cap must be at least 1024 bytes',
+    'number.max': 'Archive size cap cannot exceed 52428800 bytes (50MB)'
+  }),
+
+  transport: Joi.object({
+    followRedirects: Joi.boolean().default(true),
+    maxRedirects: Joi.number().integer().min(1).max(21).messages({
+      'number.min': 'Max redirects must be at least 1; set followRedirects to false to disable redirects',
+      'number.max': 'Max redirects cannot exceed 21'
+    }),
+    tls: Joi.object({
+      verify: Joi.boolean().default(true),
+      ca: secretReference.label('CA certificate'),
+      clientCert: secretReference.label('Client certificate'),
+      clientKey: secretReference.label('Client key'),
+      passphrase: secretReference.label('Client key passphrase')
+    }).and('clientCert', 'clientKey').messages({
+      'object.and': 'A client certificate needs both clientCert and clientKey'
+    }),
+    proxy: Joi.object({
+      url: proxyUrl.required().messages({
+        'any.required': 'Proxy URL is required'
+      }),
+      username: credentialString,
+      password: credentialString.allow('')
+    })
+  }).allow(null).messages({
+    'object.base': 'Transport settings must be a valid object'
+  }),
+
+  signRequests: Joi.boolean().messages({
+    'boolean.base': 'Sign requests must be true or false'
+  }),
+
+  auth: Joi.alternatives()
+    .conditional('.type', {
+      switch: AUTH_TYPES.map(type => ({ is: type, then: authSchemas[type] })),
+      otherwise: Joi.any().forbidden().messages({
+        'any.unknown': `Auth type must be one of: ${AUTH_TYPES.join(', ')}`
+      })
+    })
+    .allow(null),
+
+  // Ordered requests of a multi-step job; each runs only if the previous one passed
+  steps: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().max(100).trim(),
+        method: Joi.string().valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH').default('GET').messages({
+          'any.only': 'Step method must be one of: GET, POST, PUT, DELETE, PATCH'
+        }),
+        url: templatedUrl(checkStepTemplate).required().messages({
+          'any.required': 'Each step needs a URL'
+        }),
+        headers: Joi.object()
+          .pattern(Joi.string(), Joi.string().allow('').custom(checkStepTemplate))
+          .default({})
+          .messages({
+            'object.base': 'Step headers must be a valid object'
+          }),
+        body: Joi.string().allow('').max(10000).custom(checkStepTemplate).messages({
+          'string.max': 'Step body cannot exceed 10000 characters'
+        }),
+        assertions: assertionList,
+        extract: Joi.array()
+          .items(
+            Joi.alternatives().conditional('.type', {
+              switch: EXTRACTOR_TYPES.map(type => ({ is: type, then: extractorSchemas[type] })),
+              otherwise: Joi.any().forbidden().messages({
+                'any.unknown': `Extractor type must be one of: ${EXTRACTOR_TYPES.join(', ')}`
+              })
+            })
+          )
+          .max(20)
+          .unique('name')
+          .messages({
+            'array.unique': 'Extractor names must be unique within a step',
+            'array.max': 'A step cannot have more than 20 extractors'
+          })
+      })
+    )
+    .min(1)
+    .max(10)
+    .custom(checkStepVariables)
+    .allow(null)
+    .messages({
+      'array.base': 'Steps must be an array',
+      'array.min': 'A multi-step job needs at least one step',
+      'array.max': 'A job cannot have more than 10 steps'
+    }),
+
+  downstream: Joi.array()
+    .items(
+      Joi.object({
+        jobId: Joi.number().integer().positive().required().messages({
+          'any.required': 'Downstream job ID is required'
+        }),
+        on: Joi.string().valid('success', 'failure', 'always').default('success').messages({
+          'any.only': 'Downstream condition must be one of: success, failure, always'
+        })
+      })
+    )
+    .max(20)
+    .unique('jobId')
+    .messages({
+      'array.unique': 'Each downstream job can only be linked once',
+      'array.max': 'A job cannot have more than 20 downstream jobs'
+    })
 };
 
 // User registration validation
@@ -137,10 +690,31 @@ const validateCronJobCreation = (data) => {
         'string.max': 'Job name cannot exceed 100 characters',
         'any.required': 'Job name is required'
       }),
-    
-    url: customValidators.url.required().messages({
+
+    type: Joi.string().valid('http', 'heartbeat').default('http').messages({
+      'any.only': 'Job type must be either "http" or "heartbeat"'
+    }),
+
+    // Heartbeat monitors are pinged by the job instead of calling a URL,
+    // and multi-step jobs take their URLs from their steps
+    url: customValidators.jobUrl.when('type', {
+      is: 'heartbeat',
+      then: Joi.forbidden().messages({ 'any.unknown': 'Heartbeat monitors do not have a target URL' }),
+      otherwise: Joi.when('steps', {
+        is: Joi.exist().not(null),
+        then: Joi.forbidden().messages({ 'any.unknown': 'Multi-step jobs take their URLs from their steps' }),
+        otherwise: Joi.required()
+      })
+    }).messages({
       'any.required': 'Target URL is required'
     }),
+
+    steps: customValidators.steps.when('type', {
+      is: 'heartbeat',
+      then: Joi.forbidden().messages({ 'any.unknown': 'Heartbeat monitors do not have steps' })
+    }),
+
+    gracePeriodMs: customValidators.gracePeriodMs.default(5 * 60 * 1000),
     
     method: Joi.string()
       .valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH')
@@ -149,40 +723,109 @@ const validateCronJobCreation = (data) => {
         'any.only': 'Method must be one of: GET, POST, PUT, DELETE, PATCH'
       }),
     
-    cronExpression: Joi.string()
-      .pattern(/^(\*|([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])|\*\/([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])) (\*|([0-9]|1[0-9]|2[0-3])|\*\/([0-9]|1[0-9]|2[0-3])) (\*|([1-9]|1[0-9]|2[0-9]|3[0-1])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-1])) (\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2])) (\*|([0-6])|\*\/([0-6]))$/)
-      .required()
+    // A run time on its own makes a one-time job
+    scheduleType: Joi.when('type', {
+      is: 'heartbeat',
+      then: Joi.string().valid(...HEARTBEAT_SCHEDULE_TYPES).messages({
+        'any.only': `Heartbeat monitors must use one of: ${HEARTBEAT_SCHEDULE_TYPES.join(', ')}`
+      }),
+      otherwise: customValidators.scheduleType
+    }).default(parent => (parent.runAt !== undefined && parent.type !== 'heartbeat' ? 'once' : 'cron')),
+
+    runAt: customValidators.runAt
+      .when('scheduleType', {
+        is: 'once',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      })
       .messages({
-        'string.pattern.base': 'Please provide a valid cron expression (e.g., "0 0 * * *")',
-        'any.required': 'Cron expression is required'
+        'any.required': 'Run time is required for one-time jobs',
+        'any.unknown': 'Only one-time jobs take a run time'
+      })
+      .when('type', {
+        is: 'heartbeat',
+        then: Joi.forbidden().messages({ 'any.unknown': 'Heartbeat monitors cannot be one-time jobs' })
       }),
+
+    cronExpression: customValidators.cronExpression.when('scheduleType', {
+      is: 'cron',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Cron expression is required',
+      'any.unknown': 'Cron expression is only used by cron schedules'
+    }),
+
+    rrule: customValidators.rrule.when('scheduleType', {
+      is: 'rrule',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Recurrence rule is required',
+      'any.unknown': 'Recurrence rules are only used by rrule schedules'
+    }),
+
+    intervalSeconds: customValidators.intervalSeconds.when('scheduleType', {
+      is: Joi.valid('interval', 'fixed_delay'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Interval is required for interval and fixed-delay schedules',
+      'any.unknown': 'Only interval and fixed-delay schedules take an interval'
+    }),
+
+    anchorTime: customValidators.anchorTime.when('scheduleType', {
+      is: 'interval',
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.unknown': 'Only interval schedules take an anchor time'
+    }),
     
-    timezone: Joi.string()
+    timezone: customValidators.timezone
       .default('UTC')
       .messages({
         'string.base': 'Timezone must be a valid string'
       }),
     
-    headers: Joi.object()
-      .pattern(Joi.string(), Joi.string())
-      .default({})
-      .messages({
-        'object.base': 'Headers must be a valid object'
-      }),
+    headers: customValidators.requestHeaders.default({}),
     
-    body: Joi.string()
-      .allow('')
-      .max(10000)
-      .messages({
-        'string.max': 'Request body cannot exceed 10000 characters'
-      }),
+    body: customValidators.requestBody,
     
     description: Joi.string()
       .allow('')
       .max(500)
       .messages({
         'string.max': 'Description cannot exceed 500 characters'
-      })
+      }),
+
+    retryPolicy: customValidators.retryPolicy,
+
+    timeoutMs: customValidators.timeoutMs.default(30000),
+
+    maxResponseBytes: customValidators.maxResponseBytes.default(10000),
+
+    archivePolicy: customValidators.archivePolicy.default('never'),
+
+    archiveMaxBytes: customValidators.archiveMaxBytes.default(1024 * 1024),
+
+    assertions: customValidators.assertions,
+
+    notifications: customValidators.notifications,
+
+    // A one-time job that was missed still runs, unless told otherwise
+    misfirePolicy: customValidators.misfirePolicy.default(parent => (parent.runAt !== undefined ? 'run_once' : 'skip')),
+
+    misfireMaxRuns: customValidators.misfireMaxRuns.default(10),
+
+    concurrencyPolicy: customValidators.concurrencyPolicy.default('allow'),
+
+    downstream: customValidators.downstream,
+
+    auth: customValidators.auth,
+
+    transport: customValidators.transport,
+
+    signRequests: customValidators.signRequests.default(false)
   });
 
   return schema.validate(data, { abortEarly: false });
@@ -200,7 +843,7 @@ const validateCronJobUpdate = (data) => {
         'string.max': 'Job name cannot exceed 100 characters'
       }),
     
-    url: customValidators.url,
+    url: customValidators.jobUrl,
     
     method: Joi.string()
       .valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH')
@@ -208,19 +851,24 @@ const validateCronJobUpdate = (data) => {
         'any.only': 'Method must be one of: GET, POST, PUT, DELETE, PATCH'
       }),
     
+    scheduleType: customValidators.scheduleType,
+
+    // Checked against the job's current schedule by the controller
     cronExpression: customValidators.cronExpression,
+
+    rrule: customValidators.rrule,
+
+    intervalSeconds: customValidators.intervalSeconds,
+
+    anchorTime: customValidators.anchorTime.allow(null),
+
+    runAt: customValidators.runAt,
     
-    timezone: Joi.string(),
+    timezone: customValidators.timezone,
     
-    headers: Joi.object()
-      .pattern(Joi.string(), Joi.string()),
+    headers: customValidators.requestHeaders,
     
-    body: Joi.string()
-      .allow('')
-      .max(10000)
-      .messages({
-        'string.max': 'Request body cannot exceed 10000 characters'
-      }),
+    body: customValidators.requestBody,
     
     status: Joi.string()
       .valid('active', 'paused')
@@ -233,7 +881,176 @@ const validateCronJobUpdate = (data) => {
       .max(500)
       .messages({
         'string.max': 'Description cannot exceed 500 characters'
+      }),
+
+    gracePeriodMs: customValidators.gracePeriodMs,
+
+    retryPolicy: customValidators.retryPolicy,
+
+    timeoutMs: customValidators.timeoutMs,
+
+    maxResponseBytes: customValidators.maxResponseBytes,
+
+    archivePolicy: customValidators.archivePolicy,
+
+    archiveMaxBytes: customValidators.archiveMaxBytes,
+
+    assertions: customValidators.assertions,
+
+    steps: customValidators.steps,
+
+    notifications: customValidators.notifications,
+
+    misfirePolicy: customValidators.misfirePolicy,
+
+    misfireMaxRuns: customValidators.misfireMaxRuns,
+
+    concurrencyPolicy: customValidators.concurrencyPolicy,
+
+    downstream: customValidators.downstream,
+
+    auth: customValidators.auth,
+
+    transport: customValidators.transport,
+
+    signRequests: customValidators.signRequests
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Delayed call validation: a single HTTP call at a time or after a delay,
+// without the options of a full job
+const validateDelayedCall = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .messages({
+        'string.min': 'Job name cannot be empty',
+        'string.max': 'Job name cannot exceed 100 characters'
+      }),
+
+    url: customValidators.jobUrl.required().messages({
+      'any.required': 'Target URL is required'
+    }),
+
+    method: Joi.string()
+      .valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH')
+      .default('GET')
+      .messages({
+        'any.only': 'Method must be one of: GET, POST, PUT, DELETE, PATCH'
+      }),
+
+    runAt: customValidators.runAt,
+
+    delaySeconds: customValidators.delaySeconds,
+
+    timezone: customValidators.timezone.default('UTC'),
+
+    headers: customValidators.requestHeaders.default({}),
+
+    body: customValidators.requestBody,
+
+    retryPolicy: customValidators.retryPolicy,
+
+    timeoutMs: customValidators.timeoutMs.default(30000)
+  }).xor('runAt', 'delaySeconds').messages({
+    'object.missing': 'Either runAt or delaySeconds is required',
+    'object.xor': 'Give either runAt or delaySeconds, not both'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Notification channel config, by channel type
+const notificationChannelConfigs = {
+  email: Joi.object({
+    to: Joi.array().items(Joi.string().email()).min(1).max(20).required().messages({
+      'array.min': 'At least one recipient is required',
+      'any.required': 'Email recipients are required',
+      'string.email': 'Recipients must be valid email addresses'
+    }),
+    from: Joi.string().max(200),
+    host: Joi.string().hostname().custom(checkOutboundHost),
+    port: Joi.number().integer().min(1).max(65535),
+    secure: Joi.boolean(),
+    username: Joi.string().max(200),
+    password: Joi.string().max(500)
+  }),
+
+  slack: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).custom(checkOutboundUrl).required().messages({
+      'string.uri': 'Webhook URL must be a valid http(s) URL',
+      'any.required': 'Webhook URL is required'
+    }),
+    flavor: Joi.string().valid('slack', 'discord').default('slack')
+  }),
+
+  webhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).custom(checkOutboundUrl).required().messages({
+      'string.uri': 'Webhook URL must be a valid http(s) URL',
+      'any.required': 'Webhook URL is required'
+    }),
+    headers: Joi.object().pattern(Joi.string(), Joi.string()).default({})
+  })
+};
+
+const NOTIFICATION_CHANNEL_TYPES = Object.keys(notificationChannelConfigs);
+
+// Notification channel creation validation
+const validateNotificationChannel = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'string.max': 'Channel name cannot exceed 100 characters',
+        'any.required': 'Channel name is required'
+      }),
+
+    type: Joi.string()
+      .valid(...NOTIFICATION_CHANNEL_TYPES)
+      .required()
+      .messages({
+        'any.only': `Channel type must be one of: ${NOTIFICATION_CHANNEL_TYPES.join(', ')}`,
+        'any.required': 'Channel type is required'
+      }),
+
+    config: Joi.alternatives()
+      .conditional('type', {
+        switch: NOTIFICATION_CHANNEL_TYPES.map(type => ({ is: type, then: notificationChannelConfigs[type] }))
       })
+      .required()
+      .messages({
+        'any.required': 'Channel config is required'
+      }),
+
+    enabled: Joi.boolean().default(true)
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Notification channel update validation (type cannot change)
+const validateNotificationChannelUpdate = (data, type) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .messages({
+        'string.max': 'Channel name cannot exceed 100 characters'
+      }),
+
+    config: notificationChannelConfigs[type],
+
+    enabled: Joi.boolean()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   });
@@ -241,6 +1058,67 @@ const validateCronJobUpdate = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Secret value and description, shared by creation and update
+const secretFields = {
+  value: Joi.string()
+    .min(1)
+    .max(65536)
+    .messages({
+      'string.empty': 'Secret value cannot be empty',
+      'string.max': 'Secret value cannot exceed 65536 characters'
+    }),
+
+  description: Joi.string()
+    .allow('')
+    .max(500)
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    })
+};
+
+// Secret creation validation
+const validateSecret = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .pattern(SECRET_NAME_PATTERN)
+      .required()
+      .messages({
+        'string.pattern.base': 'Secret name must start with a letter and contain only upper case letters, digits and underscores (max 64)',
+        'any.required': 'Secret name is required'
+      }),
+
+    value: secretFields.value.required().messages({
+      'any.required': 'Secret value is required'
+    }),
+
+    description: secretFields.description
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Secret update validation (the name is fixed because jobs reference it)
+const validateSecretUpdate = (data) => {
+  const schema = Joi.object(secretFields).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Signing secret rotation validation
+const validateSigningSecretRotation = (data) => {
+  const schema = Joi.object({
+    graceHours: Joi.number().integer().min(0).max(168).default(24).messages({
+      'number.base': 'Grace period must be a number of hours',
+      'number.min': 'Grace period cannot be negative',
+      'number.max': 'Grace period cannot exceed 168 hours (7 days)'
+    })
+  });
+
+  return schema.validate(data || {}, { abortEarly: false });
+};
+
 // Token refresh validation
 const validateTokenRefresh = (data) => {
   const schema = Joi.object({
@@ -267,7 +1145,7 @@ const validatePagination = (data) => {
 // Job execution filter validation
 const validateExecutionFilters = (data) => {
   const schema = Joi.object({
-    status: Joi.string().valid('success', 'failed', 'timeout', 'cancelled'),
+    status: Joi.string().valid('success', 'failed', 'timeout', 'cancelled', 'skipped', 'abandoned'),
     jobId: Joi.number().integer().positive(),
     startDate: Joi.date().iso(),
     endDate: Joi.date().iso().min(Joi.ref('startDate')),
@@ -277,12 +1155,81 @@ const validateExecutionFilters = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Schedule preview and describe query validation. The expression and rule
+// themselves are checked by the controller so the offending cron field or
+// rule part can be reported.
+const validateScheduleQuery = (data) => {
+  const schema = Joi.object({
+    type: customValidators.scheduleType.default('cron'),
+
+    expression: Joi.string().max(200).when('type', {
+      is: 'cron',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.unknown': 'Cron expression is only used by cron schedules',
+      'any.required': 'Cron expression is required',
+      'string.empty': 'Cron expression cannot be empty',
+      'string.max': 'Cron expression cannot exceed 200 characters'
+    }),
+
+    rrule: Joi.string().max(2000).when('type', {
+      is: 'rrule',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.unknown': 'Recurrence rules are only used by rrule schedules',
+      'any.required': 'Recurrence rule is required',
+      'string.empty': 'Recurrence rule cannot be empty',
+      'string.max': 'Recurrence rule cannot exceed 2000 characters'
+    }),
+
+    intervalSeconds: customValidators.intervalSeconds.when('type', {
+      is: Joi.valid('interval', 'fixed_delay'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Interval is required for interval and fixed-delay schedules',
+      'any.unknown': 'Only interval and fixed-delay schedules take an interval'
+    }),
+
+    anchorTime: customValidators.anchorTime.when('type', {
+      is: 'interval',
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.unknown': 'Only interval schedules take an anchor time'
+    }),
+
+    runAt: customValidators.runAt.when('type', {
+      is: 'once',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Run time is required for one-time schedules',
+      'any.unknown': 'Only one-time schedules take a run time'
+    }),
+
+    timezone: customValidators.timezone.default('UTC'),
+
+    count: Joi.number().integer().min(1).max(50).default(10).messages({
+      'number.min': 'Count must be at least 1',
+      'number.max': 'Count cannot exceed 50'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
 // Sanitize input data
 const sanitizeInput = (data) => {
   if (typeof data === 'string') {
     return data.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
   }
   
+  if (Array.isArray(data)) {
+    return data.map(sanitizeInput);
+  }
+  
   if (typeof data === 'object' && data !== null) {
     const sanitized = {};
     for (const [key, value] of Object.entries(data)) {
@@ -301,9 +1248,16 @@ module.exports = {
   validateProfileUpdate,
   validateCronJobCreation,
   validateCronJobUpdate,
+  validateDelayedCall,
+  validateNotificationChannel,
+  validateNotificationChannelUpdate,
+  validateSecret,
+  validateSecretUpdate,
+  validateSigningSecretRotation,
   validateTokenRefresh,
   validatePagination,
   validateExecutionFilters,
+  validateScheduleQuery,
   sanitizeInput,
   patterns,
   customValidators
@@ -0,0 +1,55 @@
+/**
+ * Local wall-clock time of an instant in a timezone, as a Date whose UTC
+ * fields hold the local time. Comparing these is comparing wall clocks.
+ */
+const toWallClock = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+const formatWallClock = wall => wall.toISOString().slice(0, 19).replace('T', ' ');
+
+const getUtcOffsetMinutes = (date, timezone) => Math.round((toWallClock(date, timezone) - date) / 60000);
+
+// Far enough either side of a wall-clock time to see the offsets before and after any clock change
+const OFFSET_PROBE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Instant at which a timezone's clocks show a wall-clock time. A time that
+ * happens twice when clocks go back is its first occurrence; a time skipped
+ * when clocks go forward is moved forward by the length of the gap.
+ * @param {Date} wall - Wall-clock time, as returned by toWallClock
+ * @param {string} timezone - Timezone
+ * @returns {Date} Instant
+ */
+const fromWallClock = (wall, timezone) => {
+  const offsets = [-OFFSET_PROBE_MS, OFFSET_PROBE_MS]
+    .map(shift => getUtcOffsetMinutes(new Date(wall.getTime() + shift), timezone));
+
+  const matches = offsets
+    .map(offset => new Date(wall.getTime() - offset * 60000))
+    .filter(instant => toWallClock(instant, timezone).getTime() === wall.getTime())
+    .sort((a, b) => a - b);
+
+  // Read with the offset from before the change, a skipped time lands as far past the change as it was into the gap
+  return matches[0] || new Date(wall.getTime() - offsets[0] * 60000);
+};
+
+module.exports = {
+  toWallClock,
+  fromWallClock,
+  formatWallClock,
+  getUtcOffsetMinutes
+};
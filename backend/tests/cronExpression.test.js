@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CronSyntaxError, parseCron, createCronIterator } = require('../src/utils/cronExpression');
+
+/**
+ * Assert that an expression is refused, blaming a given field
+ */
+const assertFieldError = (expression, field, message) => {
+  assert.throws(() => parseCron(expression), (error) => {
+    assert.ok(error instanceof CronSyntaxError);
+    assert.equal(error.code, 'CRON_SYNTAX');
+    assert.equal(error.field, field);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+};
+
+describe('parseCron', () => {
+  it('accepts five fields and defaults the seconds to 0', () => {
+    const { fields, hasSeconds, macro } = parseCron('*/5 9-17 * * MON-FRI');
+    assert.equal(hasSeconds, false);
+    assert.equal(macro, null);
+    assert.deepEqual(fields, {
+      second: '0',
+      minute: '*/5',
+      hour: '9-17',
+      dayOfMonth: '*',
+      month: '*',
+      dayOfWeek: 'MON-FRI'
+    });
+  });
+
+  it('accepts six fields with seconds first', () => {
+    const { fields, hasSeconds } = parseCron('30 0 12 * * *');
+    assert.equal(hasSeconds, true);
+    assert.equal(fields.second, '30');
+    assert.equal(fields.hour, '12');
+  });
+
+  it('expands macros', () => {
+    const { fields, macro } = parseCron('@Weekly');
+    assert.equal(macro, '@weekly');
+    assert.equal(fields.dayOfWeek, '0');
+  });
+
+  it('accepts L, W, # and ? specials', () => {
+    for (const expression of ['0 0 L * ?', '0 0 15W * ?', '0 0 LW * *', '0 0 ? * 5L', '0 0 ? * MON#2']) {
+      assert.doesNotThrow(() => parseCron(expression), expression);
+    }
+  });
+
+  it('refuses empty expressions, unknown macros and wrong field counts', () => {
+    for (const expression of ['', '   ', '@sometimes', '* * * *', '* * * * * * *']) {
+      assert.throws(() => parseCron(expression), (error) => error instanceof CronSyntaxError && error.field === null);
+    }
+    assert.throws(() => parseCron('* * * *'), /has 4 fields; expected 5/);
+  });
+
+  it('refuses values outside each field range', () => {
+    assertFieldError('60 * * * * *', 'second', /out of range \(0-59\)/);
+    assertFieldError('60 * * * *', 'minute', /out of range \(0-59\)/);
+    assertFieldError('0 24 * * *', 'hour', /out of range \(0-23\)/);
+    assertFieldError('0 0 0 * *', 'dayOfMonth', /out of range \(1-31\)/);
+    assertFieldError('0 0 32 * *', 'dayOfMonth', /out of range \(1-31\)/);
+    assertFieldError('0 0 1 13 *', 'month', /out of range \(1-12\)/);
+    assertFieldError('0 0 * * 8', 'dayOfWeek', /out of range \(0-7\)/);
+  });
+
+  it('accepts the edges of each field range', () => {
+    for (const expression of ['59 59 23 31 12 7', '0 0 0 1 1 0', '0 0 * JAN-DEC SUN-SAT']) {
+      assert.doesNotThrow(() => parseCron(expression), expression);
+    }
+  });
+
+  it('refuses unknown names, backwards ranges and bad steps', () => {
+    assertFieldError('0 0 1 FOO *', 'month', /"FOO" is not a number or a name \(JAN-DEC\)/);
+    assertFieldError('0 0 * * XYZ', 'dayOfWeek', /\(SUN-SAT\)/);
+    assertFieldError('x * * * *', 'minute', /"x" is not a number$/);
+    assertFieldError('0 17-9 * * *', 'hour', /range 17-9 runs backwards/);
+    assertFieldError('*/0 * * * *', 'minute', /step "0"/);
+    assertFieldError('*/61 * * * *', 'minute', /must be a number from 1 to 59/);
+    assertFieldError('1,,2 * * * *', 'minute', /empty entry/);
+  });
+
+  it('refuses misplaced specials', () => {
+    assertFieldError('? * * * *', 'minute', /only allowed for day of month and day of week/);
+    assertFieldError('0 0 ? * ?', 'dayOfWeek', /both day of month and day of week/);
+    assertFieldError('0 0 15W * MON', 'dayOfWeek', /must be \* or \?/);
+    assertFieldError('0 0 1W,15W * *', 'dayOfMonth', /W takes a single day/);
+    assertFieldError('0 0 ? * MON#6', 'dayOfWeek', /occurrence 6; use 1-5/);
+  });
+
+  it('refuses days that no selected month has', () => {
+    assertFieldError('0 0 30 FEB *', 'dayOfMonth', /never occurs in month FEB/);
+    assertFieldError('0 0 31 4,6 *', 'dayOfMonth', /never occurs/);
+    assert.doesNotThrow(() => parseCron('0 0 29 2 *'));
+    assert.doesNotThrow(() => parseCron('0 0 31 4,5 *'));
+  });
+});
+
+describe('createCronIterator', () => {
+  it('returns run times after the current date in the given timezone', () => {
+    const iterator = createCronIterator('0 9 * * *', {
+      tz: 'Europe/Paris',
+      currentDate: new Date('2024-01-15T12:00:00Z')
+    });
+    assert.equal(iterator.next().toISOString(), '2024-01-16T08:00:00.000Z');
+    assert.equal(iterator.next().toISOString(), '2024-01-17T08:00:00.000Z');
+  });
+
+  it('moves W days to the nearest weekday within the month', () => {
+    // 2024-06-01 is a Saturday, so 1W runs on Monday the 3rd
+    const iterator = createCronIterator('0 0 1W * ?', { currentDate: new Date('2024-05-15T00:00:00Z') });
+    assert.equal(iterator.next().toISOString(), '2024-06-03T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/utils/logger');
+
+// Controllers log as they go, and there is no database to connect to; queries are stubbed below
+logger.silent = true;
+
+const { prisma } = require('../src/models');
+const { createJob, getJobById, updateJob } = require('../src/controllers/jobController');
+
+const TRANSPORT = {
+  proxy: { url: 'http://proxy.example.com:3128', username: 'proxy-user', password: 'hunter2' }
+};
+
+const storedJob = (overrides = {}) => ({
+  id: 1,
+  user_id: 1,
+  name: 'Proxied job',
+  type: 'http',
+  url: 'https://example.com/hook',
+  method: 'GET',
+  status: 'active',
+  schedule_type: 'cron',
+  cron_expression: '*/5 * * * *',
+  timezone: 'UTC',
+  success_count: 0,
+  failure_count: 0,
+  auth: null,
+  transport: TRANSPORT,
+  ...overrides
+});
+
+/**
+ * Call a controller with a minimal request and capture its JSON response
+ */
+const call = async (handler, { body = {}, params = {} } = {}) => {
+  const req = { body, params, query: {}, user: { id: 1 }, protocol: 'https', get: () => 'api.example.com' };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  await handler(req, res);
+  return res;
+};
+
+describe('job responses', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = null;
+    prisma.cronJob.create = async ({ data }) => {
+      saved = data;
+      return storedJob({ ...data, id: 1 });
+    };
+    prisma.cronJob.findFirst = async () => storedJob();
+    prisma.cronJob.update = async ({ data }) => {
+      saved = data;
+      return storedJob(data);
+    };
+  });
+
+  it('stores proxy credentials but never returns a literal password or username', async () => {
+    const res = await call(createJob, {
+      body: {
+        name: 'Proxied job',
+        url: 'https://example.com/hook',
+        scheduleType: 'cron',
+        cronExpression: '*/5 * * * *',
+        transport: TRANSPORT
+      }
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(saved.transport.proxy.password, 'hunter2');
+    assert.deepEqual(res.body.data.job.transport.proxy, {
+      url: 'http://proxy.example.com:3128',
+      username: '********',
+      password: '********'
+    });
+    assert.doesNotMatch(JSON.stringify(res.body), /hunter2|proxy-user/);
+  });
+
+  it('masks proxy credentials when a job is read or updated', async () => {
+    const read = await call(getJobById, { params: { id: '1' } });
+    assert.equal(read.body.data.job.transport.proxy.password, '********');
+
+    const updated = await call(updateJob, { params: { id: '1' }, body: { transport: TRANSPORT } });
+    assert.equal(updated.body.data.job.transport.proxy.password, '********');
+    assert.doesNotMatch(JSON.stringify([read.body, updated.body]), /hunter2|proxy-user/);
+  });
+
+  it('keeps secret references visible', async () => {
+    prisma.cronJob.findFirst = async () => storedJob({
+      transport: { proxy: { url: 'http://proxy.example.com:3128', username: 'ops', password: '{{secret.PROXY_PASSWORD}}' } }
+    });
+
+    const res = await call(getJobById, { params: { id: '1' } });
+    assert.deepEqual(res.body.data.job.transport.proxy, {
+      url: 'http://proxy.example.com:3128',
+      username: '********',
+      password: '{{secret.PROXY_PASSWORD}}'
+    });
+  });
+});
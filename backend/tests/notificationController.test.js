@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/utils/logger');
+
+// Controllers log as they go, and there is no database to connect to; queries are stubbed below
+logger.silent = true;
+
+const { prisma } = require('../src/models');
+const { getChannels, createChannel, updateChannel } = require('../src/controllers/notificationController');
+
+const HEADERS = { Authorization: 'Bearer live-token-123', 'X-Api-Key': 'key-456' };
+
+const storedChannel = (overrides = {}) => ({
+  id: 1,
+  user_id: 1,
+  name: 'Ops webhook',
+  type: 'webhook',
+  enabled: true,
+  config: { url: 'https://hooks.example.com/notify', headers: HEADERS },
+  ...overrides
+});
+
+/**
+ * Call a controller with a minimal request and capture its JSON response
+ */
+const call = async (handler, { body = {}, params = {} } = {}) => {
+  const req = { body, params, query: {}, user: { id: 1 } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  await handler(req, res);
+  return res;
+};
+
+describe('notification channel responses', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = null;
+    prisma.notificationChannel.create = async ({ data }) => {
+      saved = data;
+      return storedChannel({ ...data, id: 1 });
+    };
+    prisma.notificationChannel.findMany = async () => [storedChannel()];
+    prisma.notificationChannel.findFirst = async () => storedChannel();
+    prisma.notificationChannel.update = async ({ data }) => {
+      saved = data;
+      return storedChannel(data);
+    };
+  });
+
+  it('stores webhook headers but only returns their names', async () => {
+    const res = await call(createChannel, {
+      body: { name: 'Ops webhook', type: 'webhook', config: { url: 'https://hooks.example.com/notify', headers: HEADERS } }
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(saved.config.headers, HEADERS);
+    assert.deepEqual(res.body.data.channel.config.headers, { Authorization: '********', 'X-Api-Key': '********' });
+    assert.equal(res.body.data.channel.config.url, 'https://hooks.example.com/notify');
+  });
+
+  it('masks header values and SMTP passwords when channels are listed', async () => {
+    prisma.notificationChannel.findMany = async () => [
+      storedChannel(),
+      storedChannel({ id: 2, type: 'email', config: { to: ['ops@example.com'], host: 'smtp.example.com', password: 'smtp-pass' } })
+    ];
+
+    const res = await call(getChannels);
+    const serialized = JSON.stringify(res.body);
+    assert.doesNotMatch(serialized, /live-token-123|key-456|smtp-pass/);
+    assert.equal(res.body.data.channels[1].config.password, '********');
+  });
+
+  it('keeps stored header values that are sent back masked', async () => {
+    const res = await call(updateChannel, {
+      params: { id: '1' },
+      body: {
+        config: {
+          url: 'https://hooks.example.com/notify',
+          headers: { Authorization: '********', 'X-Api-Key': 'new-key', 'X-Team': 'ops' }
+        }
+      }
+    });
+
+    assert.deepEqual(saved.config.headers, { Authorization: 'Bearer live-token-123', 'X-Api-Key': 'new-key', 'X-Team': 'ops' });
+    assert.doesNotMatch(JSON.stringify(res.body), /live-token-123|new-key/);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RecurrenceSyntaxError, parseRecurrence, createRecurrenceIterator, describeRecurrence } = require('../src/utils/recurrence');
+const { formatWallClock } = require('../src/utils/wallClock');
+
+// In Berlin, 2026-03-29 02:00 jumps to 03:00 and 2026-10-25 03:00 falls back to 02:00
+const TIMEZONE = 'Europe/Berlin';
+
+/**
+ * Collect the next runs of a recurrence as [instant, requested wall clock] pairs
+ */
+const takeRuns = (text, currentDate, count, tz = TIMEZONE) => {
+  const iterator = createRecurrenceIterator(text, { tz, currentDate: new Date(currentDate) });
+  const runs = [];
+  for (let index = 0; index < count; index++) {
+    const run = iterator.next();
+    if (!run) break;
+    runs.push([run.time.toISOString(), formatWallClock(run.wallClock)]);
+  }
+  return runs;
+};
+
+describe('parseRecurrence', () => {
+  it('parses DTSTART, rules and exclusions', () => {
+    const { dtstart, rules, exrules, exdates } = parseRecurrence([
+      'DTSTART:20260105T090000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+      'EXRULE:FREQ=MONTHLY;BYDAY=1MO',
+      'EXDATE;VALUE=DATE:20261225'
+    ].join('\n'));
+
+    assert.equal(dtstart.toISOString(), '2026-01-05T09:00:00.000Z');
+    assert.equal(rules.length, 1);
+    assert.equal(exrules.length, 1);
+    assert.deepEqual(exdates.map(exdate => exdate.dateOnly), [true]);
+  });
+
+  it('names the part at fault', () => {
+    const cases = [
+      ['RRULE:FREQ=DAILY', 'DTSTART'],
+      ['DTSTART:20260105T090000', 'RRULE'],
+      ['DTSTART:20260105T090000Z\nRRULE:FREQ=DAILY', 'DTSTART'],
+      ['DTSTART;TZID=Europe/Berlin:20260105T090000\nRRULE:FREQ=DAILY', 'DTSTART'],
+      ['DTSTART:20260231T090000\nRRULE:FREQ=DAILY', 'DTSTART'],
+      ['DTSTART:20260105T090000\nRRULE:FREQ=DAILY;BYDAY=XX', 'BYDAY']
+    ];
+
+    for (const [text, part] of cases) {
+      assert.throws(() => parseRecurrence(text), (error) => {
+        assert.ok(error instanceof RecurrenceSyntaxError, text);
+        assert.equal(error.code, 'RRULE_SYNTAX');
+        assert.equal(error.part, part, text);
+        return true;
+      });
+    }
+  });
+});
+
+describe('createRecurrenceIterator', () => {
+  it('runs at the local time in the job timezone', () => {
+    assert.deepEqual(takeRuns('DTSTART:20260105T090000\nRRULE:FREQ=DAILY', '2026-07-01T00:00:00Z', 2), [
+      ['2026-07-01T07:00:00.000Z', '2026-07-01 09:00:00'],
+      ['2026-07-02T07:00:00.000Z', '2026-07-02 09:00:00']
+    ]);
+  });
+
+  it('runs a time skipped by a DST gap once, after the gap', () => {
+    // 02:30 does not exist on 2026-03-29; that day runs at 03:30 local
+    assert.deepEqual(takeRuns('DTSTART:20260101T023000\nRRULE:FREQ=DAILY', '2026-03-28T12:00:00Z', 3), [
+      ['2026-03-29T01:30:00.000Z', '2026-03-29 02:30:00'],
+      ['2026-03-30T00:30:00.000Z', '2026-03-30 02:30:00'],
+      ['2026-03-31T00:30:00.000Z', '2026-03-31 02:30:00']
+    ]);
+  });
+
+  it('does not run twice when a skipped hour lands on the next one', () => {
+    assert.deepEqual(takeRuns('DTSTART:20260101T000000\nRRULE:FREQ=HOURLY', '2026-03-28T23:30:00Z', 3), [
+      ['2026-03-29T00:00:00.000Z', '2026-03-29 01:00:00'],
+      ['2026-03-29T01:00:00.000Z', '2026-03-29 02:00:00'],
+      ['2026-03-29T02:00:00.000Z', '2026-03-29 04:00:00']
+    ]);
+  });
+
+  it('runs a time repeated by a DST overlap only once', () => {
+    assert.deepEqual(takeRuns('DTSTART:20260101T023000\nRRULE:FREQ=DAILY', '2026-10-24T12:00:00Z', 2), [
+      ['2026-10-25T00:30:00.000Z', '2026-10-25 02:30:00'],
+      ['2026-10-26T01:30:00.000Z', '2026-10-26 02:30:00']
+    ]);
+
+    assert.deepEqual(takeRuns('DTSTART:20260101T000000\nRRULE:FREQ=HOURLY', '2026-10-24T22:30:00Z', 3), [
+      ['2026-10-24T23:00:00.000Z', '2026-10-25 01:00:00'],
+      ['2026-10-25T00:00:00.000Z', '2026-10-25 02:00:00'],
+      ['2026-10-25T02:00:00.000Z', '2026-10-25 03:00:00']
+    ]);
+  });
+
+  it('does not repeat a run when started inside an overlap', () => {
+    // The second 02:30 has passed the first; the next run is the following day
+    assert.deepEqual(takeRuns('DTSTART:20260101T023000\nRRULE:FREQ=DAILY', '2026-10-25T01:00:00Z', 1), [
+      ['2026-10-26T01:30:00.000Z', '2026-10-26 02:30:00']
+    ]);
+  });
+
+  it('skips excluded dates and stops when the rule ends', () => {
+    const text = 'DTSTART:20261223T090000\nRRULE:FREQ=DAILY;COUNT=4\nEXDATE;VALUE=DATE:20261225';
+    assert.deepEqual(takeRuns(text, '2026-12-01T00:00:00Z', 5).map(([, wallClock]) => wallClock), [
+      '2026-12-23 09:00:00',
+      '2026-12-24 09:00:00',
+      '2026-12-26 09:00:00'
+    ]);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('describes rules and exclusions in words', () => {
+    assert.equal(
+      describeRecurrence('DTSTART:20260105T090000\nRRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1'),
+      'Every month on the last weekday at 9:00 AM, starting 2026-01-05 09:00'
+    );
+    assert.equal(
+      describeRecurrence('DTSTART:20260105T093000\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE\nEXDATE;VALUE=DATE:20261225'),
+      'Every Monday and Wednesday at 9:30 AM, except on 2026-12-25, starting 2026-01-05 09:30'
+    );
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_REGEX_LENGTH,
+  MAX_REGEX_INPUT_LENGTH,
+  RegexTimeoutError,
+  findNestedQuantifier,
+  checkRegex,
+  execRegex
+} = require('../src/utils/safeRegex');
+
+describe('findNestedQuantifier', () => {
+  it('finds repeated groups that repeat inside', () => {
+    assert.equal(findNestedQuantifier('^(a+)+$'), '(a+)+');
+    assert.equal(findNestedQuantifier('(\\w*,)*x'), '(\\w*,)*');
+    assert.equal(findNestedQuantifier('((ab)*c)+'), '((ab)*c)+');
+    assert.equal(findNestedQuantifier('(?:x{2,5})*'), '(?:x{2,5})*');
+    assert.equal(findNestedQuantifier('(a+){2,}'), '(a+){2,}');
+  });
+
+  it('allows groups that repeat once or hold no repeat', () => {
+    for (const pattern of ['(a|b)+', '"id":\\s*(\\d+)', '\\d+(\\.\\d+)?', '(a+){1}', '(ab)+', '[(a+)]+', '\\(a+\\)+']) {
+      assert.equal(findNestedQuantifier(pattern), null, pattern);
+    }
+  });
+});
+
+describe('checkRegex', () => {
+  it('refuses long, invalid and nested patterns', () => {
+    assert.match(checkRegex('a'.repeat(MAX_REGEX_LENGTH + 1)), /cannot exceed/);
+    assert.match(checkRegex('('), /Invalid regular expression/);
+    assert.match(checkRegex('(a+)+$'), /exponential time/);
+    assert.equal(checkRegex('token=([a-f0-9]+)', 'i'), null);
+  });
+});
+
+describe('execRegex', () => {
+  it('returns matches with their groups', () => {
+    const match = execRegex('"id":\\s*(\\d+)', '', '{"id": 42}');
+    assert.equal(match[1], '42');
+    assert.equal(execRegex('missing', '', 'text'), null);
+    assert.equal(execRegex('ABC', 'i', 'xabc')[0], 'abc');
+  });
+
+  it('only searches the start of large inputs', () => {
+    const text = `${'x'.repeat(MAX_REGEX_INPUT_LENGTH)}needle`;
+    assert.equal(execRegex('needle', '', text), null);
+  });
+
+  it('stops a regex that backtracks too long', () => {
+    assert.throws(() => execRegex('^(a+)+$', '', `${'a'.repeat(40)}!`), (error) => {
+      assert.ok(error instanceof RegexTimeoutError);
+      assert.equal(error.code, 'REGEX_TIMEOUT');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTemplate, renderTemplate, renderBody, renderRequest, formatDate } = require('../src/utils/template');
+
+const context = {
+  now: new Date('2026-03-29T01:30:00Z'),
+  lastSuccessAt: null,
+  executionId: 7,
+  jobId: 3,
+  jobName: 'Nightly "sync"',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  timezone: 'Europe/Berlin',
+  secrets: {
+    TOKEN: 'abc"def\\ghi',
+    INJECT: '","admin":true,"x":"',
+    MULTILINE: 'line one\nline two\t</script>'
+  },
+  vars: {
+    count: '42',
+    user: '{"id":1,"roles":["a"]}',
+    list: '1, 2, "admin": true',
+    name: 'Ann'
+  }
+};
+
+describe('renderTemplate', () => {
+  it('substitutes variables, secrets and step variables', () => {
+    assert.equal(
+      renderTemplate('{{jobId}}/{{executionId}} {{secret.TOKEN}} {{vars.name}} {{ uuid }}', context),
+      '3/7 abc"def\\ghi Ann 00000000-0000-4000-8000-000000000000'
+    );
+  });
+
+  it('formats dates in the job timezone', () => {
+    assert.equal(renderTemplate('{{now}}', context), '2026-03-29T01:30:00.000Z');
+    assert.equal(renderTemplate('{{now:datetime}}', context), '2026-03-29 03:30:00');
+    assert.equal(renderTemplate('{{now:unix}}', context), '1774747800');
+    assert.equal(renderTemplate('[{{lastSuccessAt:date}}]', context), '[]');
+    assert.equal(formatDate(context.now, 'time', 'America/New_York'), '21:30:00');
+  });
+
+  it('fails on missing secrets and step variables', () => {
+    assert.throws(() => renderTemplate('{{secret.MISSING}}', context), /Secret "MISSING" not found/);
+    assert.throws(() => renderTemplate('{{vars.missing}}', context), /was not extracted by an earlier step/);
+  });
+
+  it('percent-encodes values in URLs', () => {
+    const { url } = renderRequest({ url: 'https://example.com/{{jobName}}?t={{secret.INJECT}}' }, context);
+    assert.equal(url, 'https://example.com/Nightly%20%22sync%22?t=%22%2C%22admin%22%3Atrue%2C%22x%22%3A%22');
+  });
+});
+
+describe('renderBody', () => {
+  it('string-escapes values placed inside JSON strings', () => {
+    const body = renderBody('{"token":"{{secret.TOKEN}}","name":"{{jobName}} at {{now:time}}","note":"{{secret.MULTILINE}}"}', context);
+    assert.deepEqual(JSON.parse(body), {
+      token: 'abc"def\\ghi',
+      name: 'Nightly "sync" at 03:30:00',
+      note: 'line one\nline two\t</script>'
+    });
+  });
+
+  it('keeps values from changing the structure of a JSON body', () => {
+    const body = renderBody('{"role":"user","note":"{{secret.INJECT}}"}', context);
+    assert.deepEqual(JSON.parse(body), { role: 'user', note: '","admin":true,"x":"' });
+  });
+
+  it('inserts single JSON values outside strings as-is', () => {
+    const body = renderBody('{"count":{{vars.count}},"user":{{vars.user}},"sent":{{now:unix_ms}}}', context);
+    assert.deepEqual(JSON.parse(body), { count: 42, user: { id: 1, roles: ['a'] }, sent: 1774747800000 });
+  });
+
+  it('quotes other values outside strings', () => {
+    const body = renderBody('{"items":[{{vars.list}}],"name":{{vars.name}},"last":{{lastSuccessAt}}}', context);
+    assert.deepEqual(JSON.parse(body), { items: ['1, 2, "admin": true'], name: 'Ann', last: '' });
+  });
+
+  it('treats placeholders after escaped quotes as inside the string', () => {
+    const body = renderBody('{"quote":"say \\"{{jobName}}\\""}', context);
+    assert.deepEqual(JSON.parse(body), { quote: 'say "Nightly "sync""' });
+  });
+
+  it('leaves bodies that are not JSON as they are', () => {
+    assert.equal(renderBody('name={{jobName}}&token={{secret.TOKEN}}', context), 'name=Nightly "sync"&token=abc"def\\ghi');
+    assert.equal(renderBody('<id>{{vars.count}}</id>', context), '<id>42</id>');
+    assert.equal(renderBody('', context), '');
+    assert.equal(renderBody(null, context), null);
+  });
+
+  it('is what renderRequest uses for the body', () => {
+    const { body, headers } = renderRequest({
+      url: 'https://example.com/',
+      headers: { 'X-Name': '{{jobName}}' },
+      body: '{"name":"{{jobName}}"}'
+    }, context);
+    assert.equal(body, '{"name":"Nightly \\"sync\\""}');
+    assert.equal(headers['X-Name'], 'Nightly "sync"');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('refuses unknown variables, formats and malformed placeholders', () => {
+    assert.equal(validateTemplate('{{now:iso}} {{secret.API_KEY}}').isValid, true);
+    assert.match(validateTemplate('{{nope}}').error, /Unknown template variable "nope"/);
+    assert.match(validateTemplate('{{now:weird}}').error, /Unknown date format "weird"/);
+    assert.match(validateTemplate('{{jobId:unix}}').error, /does not take a format/);
+    assert.match(validateTemplate('{{secret.lower}}').error, /Invalid secret name/);
+    assert.match(validateTemplate('{{ now').error, /Malformed placeholder/);
+  });
+
+  it('only allows step variables in steps', () => {
+    assert.match(validateTemplate('{{vars.token}}').error, /can only be used in the steps/);
+    assert.equal(validateTemplate('{{vars.token}}', { allowVars: true }).isValid, true);
+  });
+});
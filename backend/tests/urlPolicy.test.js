@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The policy reads these on first use, so they are set before anything checks a URL
+process.env.OUTBOUND_ALLOWLIST = '10.20.0.0/16, 192.168.1.10, fd12::/16, api.internal, *.corp.example.com';
+process.env.OUTBOUND_DENYLIST = 'blocked.example.com, 8.8.4.4, 10.20.30.0/24';
+
+const {
+  UrlPolicyError,
+  isUrlPolicyError,
+  checkUrl,
+  checkHostname,
+  assertUrlAllowed,
+  policyLookup,
+  resolveAllowedHost,
+  getPolicyRequestOptions
+} = require('../src/utils/urlPolicy');
+
+const assertBlocked = (url) => assert.ok(checkUrl(url), `${url} should be blocked`);
+const assertAllowed = (url) => assert.equal(checkUrl(url), null, `${url} should be allowed`);
+
+describe('checkUrl', () => {
+  it('blocks private, loopback, link-local and reserved IPv4 addresses', () => {
+    for (const address of [
+      '0.0.0.0', '10.0.0.1', '100.64.0.1', '127.0.0.1', '127.255.255.254', '169.254.169.254',
+      '172.16.0.1', '172.31.255.255', '192.0.0.8', '192.168.0.1', '198.18.0.1', '224.0.0.1', '255.255.255.255'
+    ]) {
+      assertBlocked(`http://${address}/`);
+    }
+  });
+
+  it('blocks IPv4 addresses written as integers, hex, octal or with parts left out', () => {
+    for (const host of ['2130706433', '0x7f000001', '017700000001', '127.1', '0x7f.1']) {
+      assertBlocked(`http://${host}/`);
+    }
+  });
+
+  it('allows public IPv4 addresses, including those next to blocked ranges', () => {
+    for (const address of ['8.8.8.8', '1.1.1.1', '9.255.255.255', '11.0.0.0', '100.128.0.1', '172.32.0.1', '192.169.0.1', '198.20.0.1']) {
+      assertAllowed(`https://${address}/path`);
+    }
+  });
+
+  it('blocks unspecified, loopback, unique local, link-local and multicast IPv6 addresses', () => {
+    for (const address of ['::', '::1', '0:0:0:0:0:0:0:1', 'fc00::1', 'fd00::1', 'fe80::1', 'febf::1', 'ff02::1']) {
+      assertBlocked(`http://[${address}]/`);
+    }
+  });
+
+  it('allows public IPv6 addresses', () => {
+    for (const address of ['2001:4860:4860::8888', '2606:4700:4700::1111', 'fec0::1']) {
+      assertAllowed(`http://[${address}]/`);
+    }
+  });
+
+  it('checks IPv4-mapped IPv6 addresses as the IPv4 address they carry', () => {
+    for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '0:0:0:0:0:ffff:a00:1', '::FFFF:169.254.169.254', '::ffff:192.168.0.1']) {
+      assertBlocked(`http://[${address}]/`);
+    }
+    assertAllowed('http://[::ffff:8.8.8.8]/');
+    assertAllowed('http://[::ffff:808:808]/');
+  });
+
+  it('blocks localhost names', () => {
+    for (const host of ['localhost', 'LOCALHOST', 'localhost.', 'app.localhost']) {
+      assertBlocked(`http://${host}:3000/`);
+    }
+  });
+
+  it('refuses invalid URLs and other protocols', () => {
+    assert.equal(checkUrl('not a url'), 'URL is not valid');
+    assert.equal(checkUrl('ftp://example.com/'), 'Only http and https URLs are allowed');
+    assert.equal(checkUrl('file:///etc/passwd'), 'Only http and https URLs are allowed');
+  });
+
+  it('applies the allowlist and the denylist', () => {
+    assertAllowed('http://10.20.1.1/');
+    assertAllowed('http://192.168.1.10/');
+    assertAllowed('http://[fd12::1]/');
+    assertAllowed('http://api.internal/');
+    assertAllowed('http://build.corp.example.com/');
+    assertBlocked('http://192.168.1.11/');
+
+    // The denylist wins over the allowlist and applies to public addresses
+    assert.match(checkUrl('http://10.20.30.40/'), /denylist/);
+    assert.match(checkUrl('http://8.8.4.4/'), /denylist/);
+    assert.match(checkUrl('https://Blocked.Example.com/'), /denylist/);
+  });
+});
+
+describe('checkHostname', () => {
+  it('checks bare host names and IP literals', () => {
+    assert.equal(checkHostname('smtp.example.com'), null);
+    assert.equal(checkHostname('8.8.8.8'), null);
+    assert.ok(checkHostname('localhost'));
+    assert.ok(checkHostname('10.0.0.5'));
+    assert.ok(checkHostname('[::1]'));
+    assert.ok(checkHostname('::ffff:10.0.0.5'));
+  });
+});
+
+describe('assertUrlAllowed', () => {
+  it('throws a UrlPolicyError for blocked URLs', () => {
+    assert.throws(() => assertUrlAllowed('http://127.0.0.1/'), (error) => {
+      assert.ok(error instanceof UrlPolicyError);
+      assert.equal(error.code, 'URL_POLICY_BLOCKED');
+      assert.match(error.message, /^Blocked by outbound URL policy: /);
+      return true;
+    });
+    assert.doesNotThrow(() => assertUrlAllowed('https://example.com/'));
+  });
+
+  it('is recognised through wrapping errors', () => {
+    const wrapped = new Error('Request failed', { cause: new Error('Redirect failed', { cause: new UrlPolicyError('blocked') }) });
+    assert.equal(isUrlPolicyError(wrapped), true);
+    assert.equal(isUrlPolicyError(new Error('ECONNREFUSED')), false);
+  });
+});
+
+describe('policyLookup', () => {
+  it('refuses a name that resolves to a blocked address', (t, done) => {
+    policyLookup('localhost', {}, (error) => {
+      assert.ok(error instanceof UrlPolicyError);
+      assert.match(error.message, /localhost resolves to/);
+      done();
+    });
+  });
+});
+
+describe('resolveAllowedHost', () => {
+  it('resolves IP literals and leaves allowlisted names to the proxy', async () => {
+    assert.equal(await resolveAllowedHost('8.8.8.8'), '8.8.8.8');
+    assert.equal(await resolveAllowedHost('[2001:4860:4860::8888]'), '2001:4860:4860::8888');
+    assert.equal(await resolveAllowedHost('api.internal'), null);
+    assert.equal(await resolveAllowedHost('build.corp.example.com'), null);
+  });
+
+  it('rejects blocked hosts', async () => {
+    await assert.rejects(resolveAllowedHost('169.254.169.254'), UrlPolicyError);
+    await assert.rejects(resolveAllowedHost('[::ffff:127.0.0.1]'), UrlPolicyError);
+  });
+});
+
+describe('getPolicyRequestOptions', () => {
+  it('refuses redirects to blocked hosts', () => {
+    const { beforeRedirect } = getPolicyRequestOptions();
+    assert.throws(() => beforeRedirect({ hostname: '169.254.169.254' }), /redirect to/);
+    assert.throws(() => beforeRedirect({ hostname: '[::1]' }), UrlPolicyError);
+    assert.doesNotThrow(() => beforeRedirect({ hostname: 'example.com' }));
+  });
+});
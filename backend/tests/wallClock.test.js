@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toWallClock, fromWallClock, formatWallClock, getUtcOffsetMinutes } = require('../src/utils/wallClock');
+
+// Wall-clock times are Dates whose UTC fields hold the local time
+const wall = text => new Date(`${text}Z`);
+
+// In Berlin, 2026-03-29 02:00 jumps to 03:00 and 2026-10-25 03:00 falls back to 02:00
+const TIMEZONE = 'Europe/Berlin';
+
+describe('toWallClock', () => {
+  it('reads the local time of an instant', () => {
+    assert.equal(formatWallClock(toWallClock(new Date('2026-01-15T12:00:00Z'), TIMEZONE)), '2026-01-15 13:00:00');
+    assert.equal(formatWallClock(toWallClock(new Date('2026-07-15T12:00:00Z'), TIMEZONE)), '2026-07-15 14:00:00');
+  });
+
+  it('jumps over the hour skipped when clocks go forward', () => {
+    assert.equal(formatWallClock(toWallClock(new Date('2026-03-29T00:59:59Z'), TIMEZONE)), '2026-03-29 01:59:59');
+    assert.equal(formatWallClock(toWallClock(new Date('2026-03-29T01:00:00Z'), TIMEZONE)), '2026-03-29 03:00:00');
+  });
+
+  it('shows the repeated hour twice when clocks go back', () => {
+    assert.equal(formatWallClock(toWallClock(new Date('2026-10-25T00:30:00Z'), TIMEZONE)), '2026-10-25 02:30:00');
+    assert.equal(formatWallClock(toWallClock(new Date('2026-10-25T01:30:00Z'), TIMEZONE)), '2026-10-25 02:30:00');
+  });
+});
+
+describe('getUtcOffsetMinutes', () => {
+  it('follows the offset across clock changes', () => {
+    assert.equal(getUtcOffsetMinutes(new Date('2026-03-29T00:59:00Z'), TIMEZONE), 60);
+    assert.equal(getUtcOffsetMinutes(new Date('2026-03-29T01:00:00Z'), TIMEZONE), 120);
+    assert.equal(getUtcOffsetMinutes(new Date('2026-07-01T00:00:00Z'), 'America/New_York'), -240);
+    assert.equal(getUtcOffsetMinutes(new Date('2026-07-01T00:00:00Z'), 'Asia/Kolkata'), 330);
+  });
+});
+
+describe('fromWallClock', () => {
+  it('round-trips ordinary times', () => {
+    assert.equal(fromWallClock(wall('2026-01-15T13:00:00'), TIMEZONE).toISOString(), '2026-01-15T12:00:00.000Z');
+    assert.equal(fromWallClock(wall('2026-07-15T09:00:00'), 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  });
+
+  it('moves a time in a gap forward by the length of the gap', () => {
+    // 02:30 does not exist; it runs at 03:30 local
+    const instant = fromWallClock(wall('2026-03-29T02:30:00'), TIMEZONE);
+    assert.equal(instant.toISOString(), '2026-03-29T01:30:00.000Z');
+    assert.equal(formatWallClock(toWallClock(instant, TIMEZONE)), '2026-03-29 03:30:00');
+  });
+
+  it('moves the start of a gap to the end of it', () => {
+    assert.equal(fromWallClock(wall('2026-03-08T02:00:00'), 'America/New_York').toISOString(), '2026-03-08T07:00:00.000Z');
+  });
+
+  it('takes the first occurrence of a repeated time', () => {
+    assert.equal(fromWallClock(wall('2026-10-25T02:30:00'), TIMEZONE).toISOString(), '2026-10-25T00:30:00.000Z');
+    assert.equal(fromWallClock(wall('2026-11-01T01:30:00'), 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  });
+
+  it('resolves the times either side of an overlap to a single instant', () => {
+    assert.equal(fromWallClock(wall('2026-10-25T01:59:59'), TIMEZONE).toISOString(), '2026-10-24T23:59:59.000Z');
+    assert.equal(fromWallClock(wall('2026-10-25T03:00:00'), TIMEZONE).toISOString(), '2026-10-25T02:00:00.000Z');
+  });
+});
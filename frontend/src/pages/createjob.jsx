@@ -7,40 +7,42 @@ import {
   Play, 
   ArrowLeft,
   AlertCircle,
-  Info
+  Info,
+  Activity
 } from 'lucide-react';
-import { jobsAPI } from '../services/api';
+import { jobsAPI, scheduleAPI } from '../services/api';
 import { useNavigate } from 'react-router-dom';
 
 const CreateJob = () => {
   const [jobData, setJobData] = useState({
+    type: 'http',
     name: '',
     url: '',
     method: 'GET',
+    scheduleType: 'cron',
     cronExpression: '0 9 * * *',
+    rrule: 'DTSTART:20260105T090000\nRRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+    intervalMinutes: 60,
+    anchorTime: '',
+    runAt: '',
     timezone: 'UTC',
     headers: {},
     body: '',
-    description: ''
+    description: '',
+    gracePeriodMinutes: 5
   });
+
+  const isHeartbeat = jobData.type === 'heartbeat';
+  const isCron = jobData.scheduleType === 'cron';
+  const isRecurrence = jobData.scheduleType === 'rrule';
+  const isOnce = jobData.scheduleType === 'once';
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
 
-  const cronPresets = [
-    { label: 'Every 5 minutes', value: '*/5 * * * *', description: 'Every 5 minutes' },
-    { label: 'Every 15 minutes', value: '*/15 * * * *', description: 'Every 15 minutes' },
-    { label: 'Every 30 minutes', value: '*/30 * * * *', description: 'Every 30 minutes' },
-    { label: 'Every hour', value: '0 * * * *', description: 'At the start of every hour' },
-    { label: 'Every 6 hours', value: '0 */6 * * *', description: 'Every 6 hours' },
-    { label: 'Daily at 9 AM', value: '0 9 * * *', description: 'Once daily at 9:00 AM' },
-    { label: 'Daily at noon', value: '0 12 * * *', description: 'Once daily at 12:00 PM' },
-    { label: 'Daily at 6 PM', value: '0 18 * * *', description: 'Once daily at 6:00 PM' },
-    { label: 'Weekdays at 9 AM', value: '0 9 * * 1-5', description: 'Monday to Friday at 9:00 AM' },
-    { label: 'Weekly on Sunday', value: '0 0 * * 0', description: 'Every Sunday at midnight' },
-    { label: 'Monthly on 1st', value: '0 0 1 * *', description: 'On the 1st of every month' }
-  ];
+  const [cronPresets, setCronPresets] = useState([]);
+  const [schedulePreview, setSchedulePreview] = useState({ data: null, error: null, loading: false });
 
   const timezones = [
     'UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
@@ -57,6 +59,25 @@ const CreateJob = () => {
     if (error) setError(null);
   };
 
+  // Schedule fields sent to the API, which only takes the ones the schedule type uses
+  const getScheduleFields = () => (isCron ? {
+    scheduleType: 'cron',
+    cronExpression: jobData.cronExpression.trim()
+  } : isRecurrence ? {
+    scheduleType: 'rrule',
+    rrule: jobData.rrule.trim()
+  } : isOnce ? {
+    // A local time, read in the job's timezone
+    scheduleType: 'once',
+    runAt: jobData.runAt
+  } : {
+    scheduleType: jobData.scheduleType,
+    intervalSeconds: Math.round(jobData.intervalMinutes * 60),
+    ...(jobData.scheduleType === 'interval' && jobData.anchorTime && {
+      anchorTime: new Date(jobData.anchorTime).toISOString()
+    })
+  });
+
   const handlePresetClick = (cronValue) => {
     setJobData(prev => ({
       ...prev,
@@ -64,10 +85,53 @@ const CreateJob = () => {
     }));
   };
 
-  const parseCronExpression = (expression) => {
-    const preset = cronPresets.find(p => p.value === expression);
-    return preset ? preset.description : expression;
-  };
+  useEffect(() => {
+    scheduleAPI.getPresets()
+      .then(response => setCronPresets(response.data.presets))
+      .catch(() => setCronPresets([]));
+  }, []);
+
+  // Live preview of the schedule, fetched once typing pauses
+  useEffect(() => {
+    const schedule = jobData.scheduleType === 'cron' ? {
+      type: 'cron',
+      expression: jobData.cronExpression.trim()
+    } : jobData.scheduleType === 'rrule' ? {
+      type: 'rrule',
+      rrule: jobData.rrule.trim()
+    } : jobData.scheduleType === 'once' ? {
+      type: 'once',
+      runAt: jobData.runAt
+    } : {
+      type: jobData.scheduleType,
+      intervalSeconds: Math.round(jobData.intervalMinutes * 60),
+      anchorTime: jobData.scheduleType === 'interval' && jobData.anchorTime
+        ? new Date(jobData.anchorTime).toISOString()
+        : null
+    };
+    const complete = { cron: schedule.expression, rrule: schedule.rrule, once: schedule.runAt }[schedule.type] ?? schedule.intervalSeconds > 0;
+    if (!complete) {
+      setSchedulePreview({ data: null, error: null, loading: false });
+      return;
+    }
+
+    let cancelled = false;
+    setSchedulePreview(prev => ({ ...prev, loading: true }));
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await scheduleAPI.preview(schedule, jobData.timezone, 5);
+        if (!cancelled) setSchedulePreview({ data: response.data, error: null, loading: false });
+      } catch (err) {
+        if (!cancelled) setSchedulePreview({ data: null, error: err.message, loading: false });
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [jobData.scheduleType, jobData.cronExpression, jobData.rrule, jobData.intervalMinutes, jobData.anchorTime, jobData.runAt, jobData.timezone]);
 
   const isValidUrl = (url) => {
     try {
@@ -82,15 +146,24 @@ const CreateJob = () => {
     if (!jobData.name.trim()) {
       return 'Job name is required';
     }
-    if (!jobData.url.trim()) {
+    if (!isHeartbeat && !jobData.url.trim()) {
       return 'URL is required';
     }
-    if (!isValidUrl(jobData.url)) {
+    if (!isHeartbeat && !isValidUrl(jobData.url)) {
       return 'Please enter a valid URL starting with http:// or https://';
     }
-    if (!jobData.cronExpression.trim()) {
+    if (isHeartbeat && !(jobData.gracePeriodMinutes >= 1)) {
+      return 'Grace period must be at least 1 minute';
+    }
+    if (isCron && !jobData.cronExpression.trim()) {
       return 'Cron expression is required';
     }
+    if (isRecurrence && !jobData.rrule.trim()) {
+      return 'Recurrence rule is required';
+    }
+    if (!isCron && !isRecurrence && !(jobData.intervalMinutes * 60 >= 10)) {
+      return 'Interval must be at least 10 seconds';
+    }
     return null;
   };
 
@@ -107,11 +180,18 @@ const CreateJob = () => {
     setError(null);
 
     try {
-      const response = await jobsAPI.createJob({
+      const response = await jobsAPI.createJob(isHeartbeat ? {
+        type: 'heartbeat',
+        name: jobData.name.trim(),
+        ...getScheduleFields(),
+        timezone: jobData.timezone,
+        gracePeriodMs: Math.round(jobData.gracePeriodMinutes * 60 * 1000),
+        description: jobData.description.trim() || null
+      } : {
         name: jobData.name.trim(),
         url: jobData.url.trim(),
         method: jobData.method,
-        cronExpression: jobData.cronExpression.trim(),
+        ...getScheduleFields(),
         timezone: jobData.timezone,
         headers: jobData.headers,
         body: jobData.body || null,
@@ -187,6 +267,39 @@ const CreateJob = () => {
               </div>
             )}
 
+            {/* Job Type */}
+            <FormField
+              label="Job Type"
+              help={isHeartbeat
+                ? 'Your job pings CronMaster when it runs; you are alerted when a ping is late'
+                : 'CronMaster calls your URL on schedule'}
+            >
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {[
+                  { value: 'http', label: 'HTTP Request', icon: <Globe className="w-4 h-4" /> },
+                  { value: 'heartbeat', label: 'Heartbeat Monitor', icon: <Activity className="w-4 h-4" /> }
+                ].map(({ value, label, icon }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => {
+                      handleInputChange('type', value);
+                      // Heartbeat monitors expect pings on a schedule, so they have to recur
+                      if (value === 'heartbeat' && isOnce) handleInputChange('scheduleType', 'cron');
+                    }}
+                    className={`flex items-center gap-2 p-3 text-sm rounded-lg border transition-all ${
+                      jobData.type === value
+                        ? 'bg-blue-50 border-blue-200 text-blue-900'
+                        : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50 hover:border-gray-300'
+                    }`}
+                  >
+                    {icon}
+                    <span className="font-medium">{label}</span>
+                  </button>
+                ))}
+              </div>
+            </FormField>
+
             {/* Basic Information */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <FormField 
@@ -204,53 +317,71 @@ const CreateJob = () => {
                 />
               </FormField>
 
-              <FormField label="HTTP Method">
-                <select
-                  value={jobData.method}
-                  onChange={(e) => handleInputChange('method', e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              {isHeartbeat ? (
+                <FormField
+                  label="Grace Period (minutes)"
+                  required
+                  help="How late a ping may arrive before the monitor is marked down"
                 >
-                  <option value="GET">GET</option>
-                  <option value="POST">POST</option>
-                  <option value="PUT">PUT</option>
-                  <option value="DELETE">DELETE</option>
-                  <option value="PATCH">PATCH</option>
-                </select>
-              </FormField>
+                  <input
+                    type="number"
+                    min="1"
+                    value={jobData.gracePeriodMinutes}
+                    onChange={(e) => handleInputChange('gracePeriodMinutes', Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </FormField>
+              ) : (
+                <FormField label="HTTP Method">
+                  <select
+                    value={jobData.method}
+                    onChange={(e) => handleInputChange('method', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="GET">GET</option>
+                    <option value="POST">POST</option>
+                    <option value="PUT">PUT</option>
+                    <option value="DELETE">DELETE</option>
+                    <option value="PATCH">PATCH</option>
+                  </select>
+                </FormField>
+              )}
             </div>
 
             {/* URL Field */}
-            <FormField 
-              label="Target URL" 
-              required
-              help="The URL that will be called when the job executes"
-              error={jobData.url && !isValidUrl(jobData.url) ? "Please enter a valid URL starting with http:// or https://" : null}
-            >
-              <div className="relative">
-                <div className="absolute left-3 top-1/2 transform -translate-y-1/2">
-                  <Globe className="w-4 h-4 text-gray-400" />
-                </div>
-                <input
-                  type="url"
-                  value={jobData.url}
-                  onChange={(e) => handleInputChange('url', e.target.value)}
-                  className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 transition-all ${
-                    jobData.url && isValidUrl(jobData.url) 
-                      ? 'border-green-300 focus:border-green-500' 
-                      : jobData.url 
-                        ? 'border-red-300 focus:border-red-500 focus:ring-red-500' 
-                        : 'border-gray-300 focus:border-blue-500'
-                  }`}
-                  placeholder="https://api.example.com/webhook"
-                  required
-                />
-                {jobData.url && isValidUrl(jobData.url) && (
-                  <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                    <CheckCircle className="w-4 h-4 text-green-500" />
+            {!isHeartbeat && (
+              <FormField 
+                label="Target URL" 
+                required
+                help="The URL that will be called when the job executes"
+                error={jobData.url && !isValidUrl(jobData.url) ? "Please enter a valid URL starting with http:// or https://" : null}
+              >
+                <div className="relative">
+                  <div className="absolute left-3 top-1/2 transform -translate-y-1/2">
+                    <Globe className="w-4 h-4 text-gray-400" />
                   </div>
-                )}
-              </div>
-            </FormField>
+                  <input
+                    type="url"
+                    value={jobData.url}
+                    onChange={(e) => handleInputChange('url', e.target.value)}
+                    className={`w-full pl-10 pr-10 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 transition-all ${
+                      jobData.url && isValidUrl(jobData.url) 
+                        ? 'border-green-300 focus:border-green-500' 
+                        : jobData.url 
+                          ? 'border-red-300 focus:border-red-500 focus:ring-red-500' 
+                          : 'border-gray-300 focus:border-blue-500'
+                    }`}
+                    placeholder="https://api.example.com/webhook"
+                    required
+                  />
+                  {jobData.url && isValidUrl(jobData.url) && (
+                    <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
+                      <CheckCircle className="w-4 h-4 text-green-500" />
+                    </div>
+                  )}
+                </div>
+              </FormField>
+            )}
 
             {/* Schedule Configuration */}
             <div className="space-y-6">
@@ -259,43 +390,120 @@ const CreateJob = () => {
                 <h3 className="text-lg font-semibold text-gray-900">Schedule Configuration</h3>
               </div>
               
-              {/* Quick Presets */}
-              <FormField label="Quick Presets" help="Click a preset to automatically set the cron expression">
-                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
-                  {cronPresets.map((preset) => (
+              {/* Schedule Type */}
+              <FormField
+                label="Schedule Type"
+                help={{
+                  cron: 'Runs at the times a cron expression matches',
+                  interval: 'Runs at a fixed rate, counted from an anchor time',
+                  fixed_delay: 'Runs a fixed time after the previous run finishes, so runs never overlap',
+                  rrule: 'Runs on an iCalendar recurrence rule, for calendars cron cannot express',
+                  once: 'Runs once at the given time, then the job is marked completed'
+                }[jobData.scheduleType]}
+              >
+                <div className={`grid grid-cols-2 gap-3 ${isHeartbeat ? 'sm:grid-cols-4' : 'sm:grid-cols-5'}`}>
+                  {[
+                    { value: 'cron', label: 'Cron' },
+                    { value: 'interval', label: 'Interval' },
+                    { value: 'fixed_delay', label: 'Fixed Delay' },
+                    { value: 'rrule', label: 'Calendar Rule' },
+                    ...(isHeartbeat ? [] : [{ value: 'once', label: 'One Time' }])
+                  ].map(({ value, label }) => (
                     <button
-                      key={preset.value}
+                      key={value}
                       type="button"
-                      onClick={() => handlePresetClick(preset.value)}
-                      className={`p-3 text-sm rounded-lg border transition-all text-left ${
-                        jobData.cronExpression === preset.value
+                      onClick={() => handleInputChange('scheduleType', value)}
+                      className={`p-3 text-sm rounded-lg border transition-all ${
+                        jobData.scheduleType === value
                           ? 'bg-blue-50 border-blue-200 text-blue-900'
                           : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50 hover:border-gray-300'
                       }`}
                     >
-                      <div className="font-medium">{preset.label}</div>
-                      <div className="text-xs text-gray-500 mt-1">{preset.description}</div>
+                      <span className="font-medium">{label}</span>
                     </button>
                   ))}
                 </div>
               </FormField>
 
-              {/* Cron Expression and Timezone */}
+              {/* Quick Presets */}
+              {isCron && (
+                <FormField label="Quick Presets" help="Click a preset to automatically set the cron expression">
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3">
+                    {cronPresets.map((preset) => (
+                      <button
+                        key={preset.value}
+                        type="button"
+                        onClick={() => handlePresetClick(preset.value)}
+                        className={`p-3 text-sm rounded-lg border transition-all text-left ${
+                          jobData.cronExpression === preset.value
+                            ? 'bg-blue-50 border-blue-200 text-blue-900'
+                            : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50 hover:border-gray-300'
+                        }`}
+                      >
+                        <div className="font-medium">{preset.label}</div>
+                        <div className="text-xs text-gray-500 mt-1">{preset.description}</div>
+                      </button>
+                    ))}
+                  </div>
+                </FormField>
+              )}
+
+              {/* Schedule and Timezone */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <FormField 
-                  label="Cron Expression" 
-                  required
-                  help="Custom cron expression (minute hour day month dayOfWeek)"
-                >
-                  <input
-                    type="text"
-                    value={jobData.cronExpression}
-                    onChange={(e) => handleInputChange('cronExpression', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
-                    placeholder="0 9 * * *"
+                {isCron ? (
+                  <FormField 
+                    label="Cron Expression" 
                     required
-                  />
-                </FormField>
+                    help="minute hour day month dayOfWeek, with optional seconds first, or a macro like @daily"
+                  >
+                    <input
+                      type="text"
+                      value={jobData.cronExpression}
+                      onChange={(e) => handleInputChange('cronExpression', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                      placeholder="0 9 * * *"
+                      required
+                    />
+                  </FormField>
+                ) : isRecurrence ? (
+                  <FormField
+                    label="Recurrence Rule"
+                    required
+                    help="DTSTART, RRULE, EXRULE and EXDATE lines (RFC 5545), read in the job's timezone"
+                  >
+                    <textarea
+                      value={jobData.rrule}
+                      onChange={(e) => handleInputChange('rrule', e.target.value)}
+                      rows={4}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                      placeholder={'DTSTART:20260105T090000\nRRULE:FREQ=MONTHLY;BYDAY=2TU'}
+                      required
+                    />
+                  </FormField>
+                ) : isOnce ? (
+                  <FormField label="Run At" required help="Date and time of the single run, in the job's timezone">
+                    <input
+                      type="datetime-local"
+                      value={jobData.runAt}
+                      onChange={(e) => handleInputChange('runAt', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      required
+                    />
+                  </FormField>
+                ) : (
+                  <FormField
+                    label={jobData.scheduleType === 'interval' ? 'Interval (minutes)' : 'Delay After Each Run (minutes)'}
+                    required
+                  >
+                    <input
+                      type="number"
+                      min="1"
+                      value={jobData.intervalMinutes}
+                      onChange={(e) => handleInputChange('intervalMinutes', Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </FormField>
+                )}
 
                 <FormField label="Timezone">
                   <select
@@ -308,27 +516,60 @@ const CreateJob = () => {
                     ))}
                   </select>
                 </FormField>
+
+                {jobData.scheduleType === 'interval' && (
+                  <FormField label="Anchor Time" help="Runs fall on this time plus whole intervals; leave empty to start from now">
+                    <input
+                      type="datetime-local"
+                      value={jobData.anchorTime}
+                      onChange={(e) => handleInputChange('anchorTime', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </FormField>
+                )}
               </div>
 
               {/* Schedule Preview */}
-              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                <div className="flex items-center gap-3">
-                  <div className="p-2 bg-blue-100 rounded-lg">
-                    <Clock className="w-4 h-4 text-blue-600" />
+              <div className={`border rounded-lg p-4 ${schedulePreview.error ? 'bg-red-50 border-red-200' : 'bg-blue-50 border-blue-200'}`}>
+                <div className="flex items-start gap-3">
+                  <div className={`p-2 rounded-lg ${schedulePreview.error ? 'bg-red-100' : 'bg-blue-100'}`}>
+                    <Clock className={`w-4 h-4 ${schedulePreview.error ? 'text-red-600' : 'text-blue-600'}`} />
                   </div>
-                  <div>
-                    <p className="text-sm font-medium text-blue-900">Schedule Preview</p>
-                    <p className="text-lg font-semibold text-blue-900 mt-1">
-                      {parseCronExpression(jobData.cronExpression)}
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm font-medium ${schedulePreview.error ? 'text-red-900' : 'text-blue-900'}`}>
+                      Schedule Preview {schedulePreview.loading && <span className="font-normal text-blue-700">(updating…)</span>}
                     </p>
-                    <p className="text-sm text-blue-700">Timezone: {jobData.timezone}</p>
+                    {schedulePreview.error ? (
+                      <p className="text-sm text-red-700 mt-1">{schedulePreview.error}</p>
+                    ) : schedulePreview.data && (
+                      <>
+                        <p className="text-lg font-semibold text-blue-900 mt-1">
+                          {schedulePreview.data.description}
+                        </p>
+                        <p className="text-sm text-blue-700">Timezone: {schedulePreview.data.timezone}</p>
+                        <ul className="mt-3 space-y-1">
+                          {schedulePreview.data.runs.map(run => (
+                            <li key={run.time} className="text-sm">
+                              <span className="font-mono text-blue-900">{run.localTime}</span>
+                              <span className="text-blue-700 ml-2">UTC{run.utcOffset}</span>
+                              {run.dst && (
+                                <span className="flex items-start gap-1 text-amber-700 mt-0.5">
+                                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                                  {run.dst.message}
+                                </span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
                   </div>
                 </div>
               </div>
             </div>
 
             {/* Request Configuration */}
-            {(jobData.method === 'POST' || jobData.method === 'PUT' || jobData.method === 'PATCH') && (
+            {!isHeartbeat && (jobData.method === 'POST' || jobData.method === 'PUT' || jobData.method === 'PATCH') && (
               <div className="space-y-6">
                 <h3 className="text-lg font-semibold text-gray-900">Request Configuration</h3>
                 
@@ -278,6 +278,13 @@ const Dashboard = () => {
                         />
                       </div>
                     </div>
+
+                    {stats.monitorsDown > 0 && (
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-600">Heartbeat Monitors Down</span>
+                        <span className="font-medium text-red-600">{stats.monitorsDown}</span>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div className="text-center py-8">
@@ -11,7 +11,8 @@ import {
   Filter,
   CheckCircle,
   XCircle,
-  Globe
+  Globe,
+  Activity
 } from 'lucide-react';
 import { jobsAPI } from '../services/api';
 import { useNavigate } from 'react-router-dom';
@@ -22,6 +23,7 @@ const JobsList = () => {
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [scheduleFilter, setScheduleFilter] = useState('all');
   const [actionLoading, setActionLoading] = useState({});
   const navigate = useNavigate();
 
@@ -81,9 +83,11 @@ const JobsList = () => {
 
   const filteredJobs = jobs.filter(job => {
     const matchesSearch = job.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         job.url.toLowerCase().includes(searchTerm.toLowerCase());
+                         (job.url || '').toLowerCase().includes(searchTerm.toLowerCase());
     const matchesStatus = statusFilter === 'all' || job.status === statusFilter;
-    return matchesSearch && matchesStatus;
+    const matchesSchedule = scheduleFilter === 'all' ||
+                           (scheduleFilter === 'once') === (job.schedule_type === 'once');
+    return matchesSearch && matchesStatus && matchesSchedule;
   });
 
   const JobCard = ({ job }) => {
@@ -99,46 +103,75 @@ const JobsList = () => {
               <span className={`px-2 py-1 text-xs font-medium rounded-full ${
                 job.status === 'active' 
                   ? 'bg-green-100 text-green-800' 
-                  : 'bg-gray-100 text-gray-800'
+                  : job.status === 'completed'
+                    ? 'bg-blue-100 text-blue-800'
+                    : 'bg-gray-100 text-gray-800'
               }`}>
                 {job.status}
               </span>
+              {job.type === 'heartbeat' && job.monitor_status && (
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                  job.monitor_status === 'up' ? 'bg-green-100 text-green-800' :
+                  job.monitor_status === 'down' ? 'bg-red-100 text-red-800' :
+                  'bg-gray-100 text-gray-800'
+                }`}>
+                  {job.monitor_status}
+                </span>
+              )}
             </div>
-            <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
-              <span className={`px-2 py-1 text-xs font-medium rounded ${
-                job.method === 'GET' ? 'bg-green-100 text-green-800' :
-                job.method === 'POST' ? 'bg-blue-100 text-blue-800' :
-                job.method === 'PUT' ? 'bg-yellow-100 text-yellow-800' :
-                job.method === 'DELETE' ? 'bg-red-100 text-red-800' :
-                'bg-gray-100 text-gray-800'
-              }`}>
-                {job.method}
-              </span>
-              <Globe className="w-4 h-4" />
-              <span className="truncate">{job.url}</span>
-            </div>
-            <p className="text-sm text-gray-600">{job.cron_expression}</p>
+            {job.type === 'heartbeat' ? (
+              <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+                <span className="px-2 py-1 text-xs font-medium rounded bg-purple-100 text-purple-800">
+                  HEARTBEAT
+                </span>
+                <Activity className="w-4 h-4" />
+                <span className="truncate font-mono text-xs" title="Ping this URL when the job runs">{job.pingUrl}</span>
+              </div>
+            ) : (
+              <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+                <span className={`px-2 py-1 text-xs font-medium rounded ${
+                  job.method === 'GET' ? 'bg-green-100 text-green-800' :
+                  job.method === 'POST' ? 'bg-blue-100 text-blue-800' :
+                  job.method === 'PUT' ? 'bg-yellow-100 text-yellow-800' :
+                  job.method === 'DELETE' ? 'bg-red-100 text-red-800' :
+                  'bg-gray-100 text-gray-800'
+                }`}>
+                  {job.method}
+                </span>
+                <Globe className="w-4 h-4" />
+                <span className="truncate">{job.url}</span>
+                {job.steps?.length > 1 && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded bg-indigo-100 text-indigo-800 whitespace-nowrap">
+                    {job.steps.length} steps
+                  </span>
+                )}
+              </div>
+            )}
+            <p className="text-sm text-gray-600">{job.cron_expression || job.cronDescription}</p>
           </div>
           
           <div className="flex items-center gap-2 ml-4">
-            <button
-              onClick={() => handleJobAction(job.id, 'toggle')}
-              disabled={actionLoading[`${job.id}_toggle`]}
-              className={`p-2 rounded-lg transition-colors ${
-                job.status === 'active' 
-                  ? 'text-orange-600 hover:bg-orange-50' 
-                  : 'text-green-600 hover:bg-green-50'
-              }`}
-              title={job.status === 'active' ? 'Pause Job' : 'Resume Job'}
-            >
-              {actionLoading[`${job.id}_toggle`] ? (
-                <RefreshCw className="w-4 h-4 animate-spin" />
-              ) : job.status === 'active' ? (
-                <Pause className="w-4 h-4" />
-              ) : (
-                <Play className="w-4 h-4" />
-              )}
-            </button>
+            {/* A completed one-time job has nothing left to pause or resume */}
+            {job.status !== 'completed' && (
+              <button
+                onClick={() => handleJobAction(job.id, 'toggle')}
+                disabled={actionLoading[`${job.id}_toggle`]}
+                className={`p-2 rounded-lg transition-colors ${
+                  job.status === 'active' 
+                    ? 'text-orange-600 hover:bg-orange-50' 
+                    : 'text-green-600 hover:bg-green-50'
+                }`}
+                title={job.status === 'active' ? 'Pause Job' : 'Resume Job'}
+              >
+                {actionLoading[`${job.id}_toggle`] ? (
+                  <RefreshCw className="w-4 h-4 animate-spin" />
+                ) : job.status === 'active' ? (
+                  <Pause className="w-4 h-4" />
+                ) : (
+                  <Play className="w-4 h-4" />
+                )}
+              </button>
+            )}
             
             <button
               onClick={() => handleJobAction(job.id, 'trigger')}
@@ -309,6 +342,18 @@ const JobsList = () => {
                     <option value="all">All Status</option>
                     <option value="active">Active</option>
                     <option value="paused">Paused</option>
+                    <option value="completed">Completed</option>
+                  </select>
+                </div>
+                <div className="sm:w-48">
+                  <select
+                    value={scheduleFilter}
+                    onChange={(e) => setScheduleFilter(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="all">All Schedules</option>
+                    <option value="recurring">Recurring</option>
+                    <option value="once">One-time</option>
                   </select>
                 </div>
                 <button
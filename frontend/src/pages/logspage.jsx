@@ -15,7 +15,9 @@ import {
   Globe,
   Timer,
   Activity,
-  Plus
+  Plus,
+  Square,
+  Download
 } from 'lucide-react';
 import { jobsAPI } from '../services/api';
 import { useNavigate } from 'react-router-dom';
@@ -29,6 +31,8 @@ const LogsPage = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [jobFilter, setJobFilter] = useState('all');
   const [expandedLogs, setExpandedLogs] = useState([]);
+  const [expandedSteps, setExpandedSteps] = useState([]);
+  const [cancellingLogs, setCancellingLogs] = useState([]);
   const [stats, setStats] = useState({
     total: 0,
     successful: 0,
@@ -90,6 +94,51 @@ const LogsPage = () => {
     );
   };
 
+  const toggleStepExpansion = (stepKey) => {
+    setExpandedSteps(prev =>
+      prev.includes(stepKey)
+        ? prev.filter(key => key !== stepKey)
+        : [...prev, stepKey]
+    );
+  };
+
+  const cancelExecution = async (log) => {
+    try {
+      setCancellingLogs(prev => [...prev, log.id]);
+      await jobsAPI.cancelExecution(log.job_id, log.id);
+      setLogs(prev => prev.map(entry =>
+        entry.id === log.id ? { ...entry, status: 'cancelled', error_message: 'Execution was cancelled' } : entry
+      ));
+    } catch (err) {
+      console.error('Failed to cancel execution:', err);
+      setError(err.message);
+    } finally {
+      setCancellingLogs(prev => prev.filter(id => id !== log.id));
+    }
+  };
+
+  const downloadArtifact = async (log, artifact) => {
+    try {
+      const blob = await jobsAPI.downloadArtifact(log.job_id, log.id, artifact.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      const stepPart = artifact.step_index !== null ? `-step-${artifact.step_index + 1}` : '';
+      link.href = url;
+      link.download = `execution-${log.id}${stepPart}-${artifact.kind}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download artifact:', err);
+      setError(err.message);
+    }
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
   const formatJson = (jsonString) => {
     try {
       return JSON.stringify(JSON.parse(jsonString), null, 2);
@@ -104,6 +153,9 @@ const LogsPage = () => {
       case 'failed': return 'bg-red-100 text-red-800 border-red-200';
       case 'running': return 'bg-blue-100 text-blue-800 border-blue-200';
       case 'timeout': return 'bg-orange-100 text-orange-800 border-orange-200';
+      case 'skipped': return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+      case 'cancelled': return 'bg-gray-100 text-gray-600 border-gray-300';
+      case 'abandoned': return 'bg-purple-100 text-purple-800 border-purple-200';
       default: return 'bg-gray-100 text-gray-800 border-gray-200';
     }
   };
@@ -140,8 +192,78 @@ const LogsPage = () => {
     </div>
   );
 
+  const StepResult = ({ log, step, index }) => {
+    const stepKey = `${log.id}-${index}`;
+    const isExpanded = expandedSteps.includes(stepKey);
+
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <button
+          onClick={() => toggleStepExpansion(stepKey)}
+          className="w-full flex items-center gap-3 p-3 text-left hover:bg-gray-50"
+        >
+          {isExpanded ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+          <span className="text-sm font-medium text-gray-900">
+            {index + 1}. {step.name || `Step ${index + 1}`}
+          </span>
+          <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full border ${getStatusColor(step.status)}`}>
+            {getStatusIcon(step.status)}
+            {step.status}
+          </span>
+          {step.responseCode && (
+            <span className={`text-xs font-mono px-2 py-0.5 rounded ${
+              step.responseCode >= 200 && step.responseCode < 300
+                ? 'bg-green-100 text-green-800'
+                : 'bg-red-100 text-red-800'
+            }`}>
+              {step.responseCode}
+            </span>
+          )}
+          <span className="text-xs text-gray-500 truncate flex-1">
+            {step.request && `${step.request.method} ${step.request.url}`}
+          </span>
+          <span className="text-xs text-gray-500">{step.duration}ms</span>
+        </button>
+
+        {isExpanded && (
+          <div className="border-t border-gray-200 p-3 space-y-3">
+            {step.error && (
+              <p className="text-sm text-red-800 p-2 bg-red-50 border border-red-200 rounded">{step.error}</p>
+            )}
+
+            {step.extracted?.length > 0 && (
+              <p className="text-xs text-gray-600">
+                Extracted: {step.extracted.map(name => <code key={name} className="mr-2">vars.{name}</code>)}
+              </p>
+            )}
+
+            {step.request && (
+              <div className="bg-gray-900 rounded-lg p-3 overflow-x-auto">
+                <pre className="text-green-400 text-xs font-mono whitespace-pre-wrap">
+                  {`${step.request.method} ${step.request.url}`}
+                  {'\n'}
+                  {formatJson(JSON.stringify(step.request.headers))}
+                  {step.request.body && `\n\n${formatJson(step.request.body)}`}
+                </pre>
+              </div>
+            )}
+
+            {step.responseBody && (
+              <div className="bg-gray-900 rounded-lg p-3 overflow-x-auto">
+                <pre className="text-green-400 text-xs font-mono whitespace-pre-wrap">
+                  {formatJson(step.responseBody)}
+                </pre>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const LogCard = ({ log }) => {
     const isExpanded = expandedLogs.includes(log.id);
+    const hasSteps = log.step_results?.length > 0;
     
     return (
       <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
@@ -165,25 +287,50 @@ const LogsPage = () => {
                 )}
               </div>
               
-              <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
-                <span className={`px-2 py-1 text-xs font-medium rounded ${
-                  log.job_method === 'GET' ? 'bg-green-100 text-green-800' :
-                  log.job_method === 'POST' ? 'bg-blue-100 text-blue-800' :
-                  log.job_method === 'PUT' ? 'bg-yellow-100 text-yellow-800' :
-                  log.job_method === 'DELETE' ? 'bg-red-100 text-red-800' :
-                  'bg-gray-100 text-gray-800'
-                }`}>
-                  {log.job_method}
-                </span>
-                <Globe className="w-4 h-4" />
-                <span className="truncate">{log.job_url}</span>
-              </div>
+              {log.job_type === 'heartbeat' ? (
+                <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+                  <span className="px-2 py-1 text-xs font-medium rounded bg-purple-100 text-purple-800">
+                    HEARTBEAT
+                  </span>
+                  <Activity className="w-4 h-4" />
+                  <span className="truncate">Inbound ping monitor</span>
+                </div>
+              ) : (
+                <div className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+                  <span className={`px-2 py-1 text-xs font-medium rounded ${
+                    log.job_method === 'GET' ? 'bg-green-100 text-green-800' :
+                    log.job_method === 'POST' ? 'bg-blue-100 text-blue-800' :
+                    log.job_method === 'PUT' ? 'bg-yellow-100 text-yellow-800' :
+                    log.job_method === 'DELETE' ? 'bg-red-100 text-red-800' :
+                    'bg-gray-100 text-gray-800'
+                  }`}>
+                    {log.job_method}
+                  </span>
+                  <Globe className="w-4 h-4" />
+                  <span className="truncate">{log.job_url}</span>
+                </div>
+              )}
               
               <div className="flex items-center gap-4 text-xs text-gray-500">
                 <span>{new Date(log.executed_at).toLocaleString()}</span>
                 {log.duration && <span>{log.duration}ms</span>}
+                {log.attempt > 1 && <span>Retry attempt {log.attempt}</span>}
+                {log.triggered_by === 'catchup' && <span>Catch-up run</span>}
+                {log.triggered_by === 'chained' && <span>Chained run (after execution #{log.parent_execution_id})</span>}
+                {log.triggered_by === 'ping' && <span>{log.error_type === 'missed_ping' ? 'Missed ping' : 'Ping'}</span>}
               </div>
             </div>
+
+            {log.status === 'running' && (
+              <button
+                onClick={() => cancelExecution(log)}
+                disabled={cancellingLogs.includes(log.id)}
+                className="inline-flex items-center gap-1 px-3 py-1.5 mr-2 text-sm font-medium text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                <Square className="w-3 h-3" />
+                {cancellingLogs.includes(log.id) ? 'Cancelling...' : 'Cancel'}
+              </button>
+            )}
             
             <button
               onClick={() => toggleLogExpansion(log.id)}
@@ -193,15 +340,113 @@ const LogsPage = () => {
             </button>
           </div>
 
-          {log.error_message && (
+          {log.failed_assertions?.length > 0 ? (
+            <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm font-medium text-red-900 mb-2">
+                {log.failed_assertions.length} assertion{log.failed_assertions.length === 1 ? '' : 's'} failed
+              </p>
+              <ul className="space-y-1">
+                {log.failed_assertions.map((assertion, index) => (
+                  <li key={index} className="flex items-start gap-2 text-sm text-red-800">
+                    <span className="px-1.5 py-0.5 text-xs font-mono rounded bg-red-100 border border-red-200">
+                      {assertion.type}
+                    </span>
+                    <span>{assertion.message}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : log.error_message && (
             <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
               <p className="text-sm text-red-800">{log.error_message}</p>
             </div>
           )}
         </div>
 
-        {isExpanded && (log.response_body || log.response_headers) && (
+        {isExpanded && log.artifacts?.length > 0 && (
+          <div className="border-t border-gray-200 px-4 py-3 bg-gray-50">
+            <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center gap-2">
+              <Download className="w-4 h-4" />
+              Archived Bodies
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {log.artifacts.map(artifact => (
+                <button
+                  key={artifact.id}
+                  onClick={() => downloadArtifact(log, artifact)}
+                  className="inline-flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-100"
+                >
+                  <Download className="w-3 h-3" />
+                  {artifact.step_index !== null && `Step ${artifact.step_index + 1} `}
+                  {artifact.kind} ({formatBytes(artifact.size)}{artifact.truncated ? ', truncated' : ''})
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {isExpanded && (log.redirect_chain?.length > 0 || log.tls_info) && (
+          <div className="border-t border-gray-200 px-4 py-3 bg-gray-50">
+            <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center gap-2">
+              <Globe className="w-4 h-4" />
+              Connection
+            </h4>
+            <div className="bg-gray-900 rounded-lg p-4 overflow-x-auto">
+              <pre className="text-green-400 text-sm font-mono whitespace-pre-wrap">
+                {log.redirect_chain?.map(hop => `${hop.status} → ${hop.url}`).join('\n')}
+                {log.redirect_chain?.length > 0 && log.tls_info && '\n\n'}
+                {log.tls_info && [
+                  `${log.tls_info.protocol} ${log.tls_info.cipher}`,
+                  log.tls_info.authorized ? 'Certificate verified' : `Certificate not verified${log.tls_info.authorizationError ? `: ${log.tls_info.authorizationError}` : ''}`,
+                  log.tls_info.peerCertificate && `Subject: ${log.tls_info.peerCertificate.subject.CN || JSON.stringify(log.tls_info.peerCertificate.subject)}`,
+                  log.tls_info.peerCertificate && `Issuer: ${log.tls_info.peerCertificate.issuer.CN || JSON.stringify(log.tls_info.peerCertificate.issuer)}`,
+                  log.tls_info.peerCertificate && `Valid until: ${log.tls_info.peerCertificate.validTo}`
+                ].filter(Boolean).join('\n')}
+              </pre>
+            </div>
+          </div>
+        )}
+
+        {isExpanded && hasSteps && (
+          <div className="border-t border-gray-200 p-4 bg-gray-50">
+            <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center gap-2">
+              <Eye className="w-4 h-4" />
+              Steps
+            </h4>
+            <div className="space-y-2">
+              {log.step_results.map((step, index) => (
+                <StepResult key={index} log={log} step={step} index={index} />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {isExpanded && !hasSteps && (log.request || log.response_body || log.response_headers) && (
           <div className="border-t border-gray-200 p-4 bg-gray-50">
+            {log.request && (
+              <div className="mb-4">
+                <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center gap-2">
+                  <Eye className="w-4 h-4" />
+                  {log.triggered_by === 'ping' ? 'Ping Received' : 'Request Sent'}
+                </h4>
+                <div className="bg-gray-900 rounded-lg p-4 overflow-x-auto">
+                  {log.triggered_by === 'ping' ? (
+                    <pre className="text-green-400 text-sm font-mono whitespace-pre-wrap">
+                      {`${log.request.method} ${log.request.kind} ping from ${log.request.ip}`}
+                      {log.request.userAgent && `\nUser-Agent: ${log.request.userAgent}`}
+                    </pre>
+                  ) : (
+                    <pre className="text-green-400 text-sm font-mono whitespace-pre-wrap">
+                      {`${log.request.method} ${log.request.url}`}
+                      {'\n'}
+                      {formatJson(JSON.stringify(log.request.headers))}
+                      {log.request.body && `\n\n${formatJson(log.request.body)}`}
+                    </pre>
+                  )}
+                </div>
+              </div>
+            )}
+
             {log.response_headers && (
               <div className="mb-4">
                 <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center gap-2">
@@ -220,7 +465,7 @@ const LogsPage = () => {
               <div>
                 <h4 className="text-sm font-medium text-gray-900 mb-2 flex items-center gap-2">
                   <Eye className="w-4 h-4" />
-                  Response Body
+                  {log.triggered_by === 'ping' ? 'Ping Body' : 'Response Body'}
                 </h4>
                 <div className="bg-gray-900 rounded-lg p-4 overflow-x-auto">
                   <pre className="text-green-400 text-sm font-mono whitespace-pre-wrap">
@@ -378,6 +623,9 @@ const LogsPage = () => {
                     <option value="failed">Failed</option>
                     <option value="running">Running</option>
                     <option value="timeout">Timeout</option>
+                    <option value="skipped">Skipped</option>
+                    <option value="cancelled">Cancelled</option>
+                    <option value="abandoned">Abandoned</option>
                   </select>
                 </div>
               </div>
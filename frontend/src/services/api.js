@@ -115,6 +115,26 @@ export const jobsAPI = {
     });
   },
 
+  // Cancel a running execution
+  cancelExecution: async (jobId, executionId) => {
+    return apiRequest(`/api/jobs/${jobId}/executions/${executionId}/cancel`, {
+      method: 'POST',
+    });
+  },
+
+  // Download an archived request or response body as a Blob
+  downloadArtifact: async (jobId, executionId, artifactId) => {
+    const response = await fetch(`${API_URL}/api/jobs/${jobId}/executions/${executionId}/artifacts/${artifactId}`, {
+      headers: { Authorization: `Bearer ${getAuthToken()}` },
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to download artifact');
+    }
+
+    return response.blob();
+  },
+
   // Get job logs
   getJobLogs: async (id, params = {}) => {
     const searchParams = new URLSearchParams(params);
@@ -151,7 +171,9 @@ export const jobsAPI = {
             // Add job information to each execution for easier display
             const executionsWithJobInfo = logsResponse.data.executions.map(execution => ({
               ...execution,
+              job_id: job.id,
               job_name: job.name,
+              job_type: job.type,
               job_url: job.url,
               job_method: job.method
             }));
@@ -273,6 +295,33 @@ export const authAPI = {
   }
 };
 
+// Query parameters of a schedule, leaving out the ones it does not use
+const scheduleParams = (schedule) => Object.fromEntries(
+  Object.entries(schedule).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// Schedule API functions
+export const scheduleAPI = {
+  // Next runs of a schedule in a timezone, with DST flags. The schedule is
+  // { type, expression } for cron, { type, rrule } for a recurrence rule,
+  // { type, runAt } for a one-time run, or { type, intervalSeconds, anchorTime }
+  preview: async (schedule, timezone = 'UTC', count = 5) => {
+    const searchParams = new URLSearchParams({ ...scheduleParams(schedule), timezone, count });
+    return apiRequest(`/api/schedule/preview?${searchParams}`);
+  },
+
+  // Describe a schedule in words
+  describe: async (schedule) => {
+    const searchParams = new URLSearchParams(scheduleParams(schedule));
+    return apiRequest(`/api/schedule/describe?${searchParams}`);
+  },
+
+  // Schedule presets
+  getPresets: async () => {
+    return apiRequest('/api/schedule/presets');
+  }
+};
+
 // System API functions
 export const systemAPI = {
   // Health check
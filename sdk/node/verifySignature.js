@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-cronmaster-signature';
+
+// Reject signatures older than this to limit replays
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Parse "t=<unix seconds>,v1=<hex>,v1=<hex>" into its timestamp and signatures
+ */
+const parseSignatureHeader = (header) => {
+  let timestamp = null;
+  const signatures = [];
+
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+
+  return { timestamp, signatures };
+};
+
+/**
+ * Verify the X-CronMaster-Signature header of a request sent by CronMaster
+ * @param {string|Buffer} payload - Raw request body, exactly as received
+ * @param {string} header - Value of the X-CronMaster-Signature header
+ * @param {string|Array} secrets - Signing secret, or all secrets valid during a rotation
+ * @param {Object} options - { toleranceSeconds, now }
+ * @returns {boolean} True when the signature matches and is recent enough
+ */
+const verifySignature = (payload, header, secrets, options = {}) => {
+  const { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = options;
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload || '');
+
+  return [].concat(secrets).some(secret => {
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+    );
+
+    return signatures.some(signature => {
+      const received = Buffer.from(signature);
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  });
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  parseSignatureHeader,
+  verifySignature
+};